@@ -1,4 +1,7 @@
 import * as THREE from 'three';
+import { clone as cloneSkinned } from 'three/examples/jsm/utils/SkeletonUtils.js';
+import { ResourceTracker } from '../utils/ResourceTracker.js';
+import { scaleModel } from '../utils/Units.js';
 
 export class ARMode {
   constructor(modelViewer) {
@@ -7,9 +10,22 @@ export class ARMode {
     this.xrRefSpace = null;
     this.xrHitTestSource = null;
     this.placedModel = null;
+    this.placedSelection = null;
+    this.placedTracker = null;
+    this.savedCameraDepth = null;
     this.reticle = null;
     this.isARSupported = false;
     
+    // Session-scoped allocations: reticle and placed clones
+    this.resourceTracker = new ResourceTracker();
+    
+    // Hit testing runs in the viewer's frame loop, which three.js feeds XR frames during a session
+    this.modelViewer.addEventListener('update', ({ frame }) => {
+      if (frame) {
+        this.onXRFrame(frame);
+      }
+    });
+    
     this.checkARSupport();
   }
 
@@ -41,6 +57,15 @@ export class ARMode {
       // Set up XR session
       await this.setupXRSession();
       
+      // The desktop copy may be fit-to-view scaled; in AR only the 1:1 placed clone is shown
+      this.modelViewer.modelRoot.visible = false;
+      
+      // Desktop framing may have tightened near/far for small parts; AR needs room-scale depth
+      this.savedCameraDepth = { near: this.modelViewer.camera.near, far: this.modelViewer.camera.far };
+      this.modelViewer.camera.near = 0.01;
+      this.modelViewer.camera.far = 1000;
+      this.modelViewer.camera.updateProjectionMatrix();
+      
       // Enable AR rendering
       this.modelViewer.renderer.xr.enabled = true;
       this.modelViewer.renderer.xr.setSession(this.xrSession);
@@ -93,7 +118,7 @@ export class ARMode {
       opacity: 0.7
     });
     
-    this.reticle = new THREE.Mesh(geometry, material);
+    this.reticle = this.resourceTracker.track(new THREE.Mesh(geometry, material));
     this.reticle.matrixAutoUpdate = false;
     this.reticle.visible = false;
     this.modelViewer.scene.add(this.reticle);
@@ -106,28 +131,67 @@ export class ARMode {
   }
 
   placeModel(hitPose) {
-    if (!this.modelViewer.currentModel) return;
+    const { modelViewer } = this;
+    if (modelViewer.models.length === 0) return;
 
-    // Clone the current model for AR placement
-    const modelClone = this.modelViewer.currentModel.clone();
+    // Clone the whole arrangement for AR placement; SkeletonUtils rebinds skinned meshes to the clone's own bones
+    const arrangement = cloneSkinned(modelViewer.modelRoot);
+    arrangement.visible = true;
+    arrangement.position.set(0, 0, 0);
+    arrangement.scale.setScalar(1);
+    
+    // Always true 1:1 scale in AR, keeping the models' placements relative to each other
+    const models = arrangement.children.map(placement => placement.children[0]);
+    models.forEach(model => scaleModel(model, model.userData.unitScale));
+    
+    // Rest the arrangement on the detected surface, centered over the hit point
+    arrangement.updateMatrixWorld(true);
+    const bounds = new THREE.Box3();
+    models.forEach(model => bounds.union(modelViewer.getModelBox(model)));
+    const center = bounds.getCenter(new THREE.Vector3());
+    arrangement.position.set(-center.x, -bounds.min.y, -center.z);
     
     // Position model at hit location
-    modelClone.position.setFromMatrixPosition(hitPose.transform.matrix);
-    modelClone.quaternion.setFromRotationMatrix(hitPose.transform.matrix);
+    const anchor = new THREE.Group();
+    anchor.add(arrangement);
+    anchor.position.setFromMatrixPosition(hitPose.transform.matrix);
+    anchor.quaternion.setFromRotationMatrix(hitPose.transform.matrix);
     
     // Remove previous placed model
-    if (this.placedModel) {
-      this.modelViewer.scene.remove(this.placedModel);
-    }
+    this.removePlacedModel();
     
     // Add new placed model
-    this.modelViewer.scene.add(modelClone);
-    this.placedModel = modelClone;
+    modelViewer.scene.add(anchor);
+    this.placedModel = anchor;
+    
+    // Keep the selected model's copy animating in step with the desktop model and showing its
+    // measurements; attached before tracking so objects the handlers add are freed with the clone
+    this.placedSelection = models[modelViewer.models.indexOf(modelViewer.currentModel)] || null;
+    if (this.placedSelection) {
+      modelViewer.attachClone(this.placedSelection);
+    }
+    
+    this.placedTracker = new ResourceTracker();
+    this.placedTracker.track(anchor);
     
     // Hide reticle
     this.reticle.visible = false;
   }
 
+  removePlacedModel() {
+    if (!this.placedModel) return;
+    
+    if (this.placedSelection) {
+      this.modelViewer.detachClone(this.placedSelection);
+      this.placedSelection = null;
+    }
+    
+    // Clones share geometry and materials with the viewer's models; only free what the clone added
+    this.placedTracker.dispose(this.modelViewer.getResourceTrackers());
+    this.placedTracker = null;
+    this.placedModel = null;
+  }
+
   onSessionEnd() {
     // Clean up AR session
     this.xrSession = null;
@@ -135,19 +199,22 @@ export class ARMode {
     this.xrHitTestSource = null;
     
     // Remove AR elements
-    if (this.reticle) {
-      this.modelViewer.scene.remove(this.reticle);
-      this.reticle = null;
-    }
-    
-    if (this.placedModel) {
-      this.modelViewer.scene.remove(this.placedModel);
-      this.placedModel = null;
-    }
+    this.removePlacedModel();
+    this.resourceTracker.dispose();
+    this.reticle = null;
     
     // Reset renderer
     this.modelViewer.renderer.xr.enabled = false;
     
+    // Restore the desktop view
+    this.modelViewer.modelRoot.visible = true;
+    if (this.savedCameraDepth) {
+      Object.assign(this.modelViewer.camera, this.savedCameraDepth);
+      this.modelViewer.camera.updateProjectionMatrix();
+      this.savedCameraDepth = null;
+    }
+    this.modelViewer.requestRender();
+    
     // Reset lighting
     this.resetLighting();
   }
@@ -0,0 +1,179 @@
+import * as THREE from 'three';
+
+const LOOP_MODES = {
+  repeat: THREE.LoopRepeat,
+  once: THREE.LoopOnce,
+  pingpong: THREE.LoopPingPong
+};
+
+export class AnimationController extends THREE.EventDispatcher {
+  constructor() {
+    super();
+    this.clips = [];
+    this.targets = []; // { root, mixer, action }
+    this.clipIndex = -1;
+    this.paused = false;
+    this.speed = 1;
+    this.loop = 'repeat';
+    this.crossfadeDuration = 0.3;
+  }
+
+  // Replaces the animated model; the first clip starts playing
+  setClips(root, clips = []) {
+    this.clear();
+    this.clips = clips;
+
+    if (clips.length === 0) {
+      this.dispatchEvent({ type: 'change' });
+      return;
+    }
+
+    this.attach(root);
+    this.play(0, { crossfade: 0 });
+  }
+
+  // Drives another copy of the model (e.g. the clone placed in AR) in sync with the first
+  attach(root) {
+    if (this.clips.length === 0 || this.targets.some(target => target.root === root)) return;
+
+    const target = { root, mixer: new THREE.AnimationMixer(root), action: null };
+    this.targets.push(target);
+
+    if (this.clipIndex >= 0) {
+      const time = this.getTime();
+      target.action = this.createAction(target, this.clips[this.clipIndex]);
+      target.action.play();
+      target.action.time = time;
+      target.mixer.update(0);
+    }
+  }
+
+  detach(root) {
+    const target = this.targets.find(candidate => candidate.root === root);
+    if (!target) return;
+
+    target.mixer.stopAllAction();
+    target.mixer.uncacheRoot(root);
+    this.targets = this.targets.filter(candidate => candidate !== target);
+  }
+
+  createAction(target, clip) {
+    const action = target.mixer.clipAction(clip);
+    action.setLoop(LOOP_MODES[this.loop], Infinity);
+    action.clampWhenFinished = this.loop === 'once';
+    return action;
+  }
+
+  play(index, { crossfade = this.crossfadeDuration } = {}) {
+    const clip = this.clips[index];
+    if (!clip) return;
+
+    for (const target of this.targets) {
+      const previous = target.action;
+      const action = this.createAction(target, clip);
+
+      action.reset();
+      action.play();
+
+      // Blend from whatever was playing instead of snapping to the new pose
+      if (previous && previous !== action && crossfade > 0) {
+        action.crossFadeFrom(previous, crossfade, false);
+      } else if (previous && previous !== action) {
+        previous.stop();
+      }
+
+      target.action = action;
+    }
+
+    this.clipIndex = index;
+    this.setPaused(false);
+    this.dispatchEvent({ type: 'change' });
+  }
+
+  setPaused(paused) {
+    this.paused = paused;
+    this.targets.forEach(target => {
+      target.mixer.timeScale = paused ? 0 : this.speed;
+    });
+    this.dispatchEvent({ type: 'change' });
+  }
+
+  togglePaused() {
+    // A finished one-shot clip restarts instead of staying clamped on its last frame
+    if (this.paused || this.isFinished()) {
+      if (this.isFinished()) {
+        this.setTime(0);
+      }
+      this.setPaused(false);
+    } else {
+      this.setPaused(true);
+    }
+  }
+
+  setSpeed(speed) {
+    this.speed = speed;
+    if (!this.paused) {
+      this.targets.forEach(target => {
+        target.mixer.timeScale = speed;
+      });
+    }
+    this.dispatchEvent({ type: 'change' });
+  }
+
+  setLoop(loop) {
+    if (!LOOP_MODES[loop]) {
+      throw new Error(`Unknown loop mode: ${loop}. Supported modes: ${Object.keys(LOOP_MODES).join(', ')}`);
+    }
+
+    this.loop = loop;
+    this.targets.forEach(target => {
+      if (target.action) {
+        target.action.setLoop(LOOP_MODES[loop], Infinity);
+        target.action.clampWhenFinished = loop === 'once';
+      }
+    });
+    this.dispatchEvent({ type: 'change' });
+  }
+
+  // Scrubbing: jumps every copy to the same time and poses it immediately
+  setTime(time) {
+    this.targets.forEach(target => {
+      if (target.action) {
+        target.action.enabled = true;
+        target.action.paused = false;
+        target.action.time = time;
+        target.mixer.update(0);
+      }
+    });
+    this.dispatchEvent({ type: 'update' });
+  }
+
+  getTime() {
+    const action = this.targets[0] && this.targets[0].action;
+    return action ? action.time : 0;
+  }
+
+  getDuration() {
+    const clip = this.clips[this.clipIndex];
+    return clip ? clip.duration : 0;
+  }
+
+  isFinished() {
+    const action = this.targets[0] && this.targets[0].action;
+    return Boolean(action && this.loop === 'once' && !action.isRunning() && action.time >= this.getDuration());
+  }
+
+  update(delta) {
+    if (this.targets.length === 0) return;
+
+    this.targets.forEach(target => target.mixer.update(delta));
+    this.dispatchEvent({ type: 'update' });
+  }
+
+  clear() {
+    [...this.targets].forEach(target => this.detach(target.root));
+    this.clips = [];
+    this.clipIndex = -1;
+    this.dispatchEvent({ type: 'change' });
+  }
+}
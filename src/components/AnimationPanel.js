@@ -0,0 +1,117 @@
+export class AnimationPanel {
+  constructor(container, animationController) {
+    this.container = container;
+    this.controller = animationController;
+    this.isScrubbing = false;
+
+    this.createElements();
+    this.bindEvents();
+    this.render();
+  }
+
+  createElements() {
+    this.element = document.createElement('div');
+    this.element.className = 'animation-panel';
+    this.element.innerHTML = `
+      <div class="animation-row">
+        <select class="animation-clip" title="Animation clip"></select>
+        <button class="animation-play" type="button" title="Play/Pause">⏸</button>
+      </div>
+      <div class="animation-row">
+        <input class="animation-timeline" type="range" min="0" max="1" step="0.001" value="0" title="Timeline" />
+        <span class="animation-time">0.00 / 0.00 s</span>
+      </div>
+      <div class="animation-row">
+        <select class="animation-loop" title="Loop mode">
+          <option value="repeat">Loop</option>
+          <option value="once">Once</option>
+          <option value="pingpong">Ping-pong</option>
+        </select>
+        <select class="animation-speed" title="Playback speed">
+          <option value="0.25">0.25×</option>
+          <option value="0.5">0.5×</option>
+          <option value="1" selected>1×</option>
+          <option value="1.5">1.5×</option>
+          <option value="2">2×</option>
+        </select>
+      </div>
+    `;
+
+    this.clipSelect = this.element.querySelector('.animation-clip');
+    this.playButton = this.element.querySelector('.animation-play');
+    this.timeline = this.element.querySelector('.animation-timeline');
+    this.timeLabel = this.element.querySelector('.animation-time');
+    this.loopSelect = this.element.querySelector('.animation-loop');
+    this.speedSelect = this.element.querySelector('.animation-speed');
+
+    this.container.appendChild(this.element);
+  }
+
+  bindEvents() {
+    this.clipSelect.addEventListener('change', () => {
+      this.controller.play(Number(this.clipSelect.value));
+    });
+
+    this.playButton.addEventListener('click', () => {
+      this.controller.togglePaused();
+    });
+
+    // Scrubbing pauses playback so the pose follows the slider, whether it's dragged or moved
+    // with the keyboard
+    const startScrubbing = () => {
+      this.isScrubbing = true;
+      if (!this.controller.paused) {
+        this.controller.setPaused(true);
+      }
+    };
+    this.timeline.addEventListener('pointerdown', startScrubbing);
+    this.timeline.addEventListener('input', () => {
+      startScrubbing();
+      this.controller.setTime(Number(this.timeline.value) * this.controller.getDuration());
+    });
+    this.timeline.addEventListener('change', () => {
+      this.isScrubbing = false;
+    });
+
+    this.loopSelect.addEventListener('change', () => {
+      this.controller.setLoop(this.loopSelect.value);
+    });
+
+    this.speedSelect.addEventListener('change', () => {
+      this.controller.setSpeed(Number(this.speedSelect.value));
+    });
+
+    this.controller.addEventListener('change', () => this.render());
+    this.controller.addEventListener('update', () => this.updateTimeline());
+  }
+
+  render() {
+    const { clips, clipIndex } = this.controller;
+
+    this.element.style.display = clips.length > 0 ? 'block' : 'none';
+
+    // Rebuild the clip list only when the model changed
+    if (this.clipSelect.options.length !== clips.length || clips.some((clip, i) => this.clipSelect.options[i].text !== (clip.name || `Clip ${i + 1}`))) {
+      this.clipSelect.innerHTML = '';
+      clips.forEach((clip, i) => {
+        this.clipSelect.add(new Option(clip.name || `Clip ${i + 1}`, i));
+      });
+    }
+
+    this.clipSelect.value = clipIndex;
+    this.loopSelect.value = this.controller.loop;
+    this.speedSelect.value = this.controller.speed;
+    this.updateTimeline();
+  }
+
+  updateTimeline() {
+    const duration = this.controller.getDuration();
+    const time = duration > 0 ? this.controller.getTime() % (duration + Number.EPSILON) : 0;
+
+    if (!this.isScrubbing) {
+      this.timeline.value = duration > 0 ? time / duration : 0;
+    }
+    this.timeLabel.textContent = `${time.toFixed(2)} / ${duration.toFixed(2)} s`;
+    this.playButton.textContent = this.controller.paused || this.controller.isFinished() ? '▶' : '⏸';
+  }
+}
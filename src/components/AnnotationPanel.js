@@ -0,0 +1,142 @@
+import { AnnotationTool } from './AnnotationTool.js';
+import { downloadBlob } from '../utils/Download.js';
+
+export class AnnotationPanel {
+  constructor(container, annotationTool, { onError = null } = {}) {
+    this.container = container;
+    this.tool = annotationTool;
+    this.onError = onError;
+    this.listKey = null;
+
+    this.createElements();
+    this.bindEvents();
+    this.render();
+  }
+
+  createElements() {
+    this.element = document.createElement('details');
+    this.element.className = 'annotation-panel';
+    this.element.innerHTML = `
+      <summary>📌 Notes</summary>
+      <div class="annotation-row">
+        <button class="annotation-toggle" type="button" title="Click the model to pin a note">+ Pin note</button>
+        <button class="annotation-export" type="button" title="Save notes as JSON">Export</button>
+        <button class="annotation-import" type="button" title="Load notes from JSON">Import</button>
+        <button class="annotation-clear" type="button" title="Remove all notes">Clear</button>
+        <input class="annotation-file" type="file" accept=".json,application/json" hidden />
+      </div>
+      <ol class="annotation-list"></ol>
+    `;
+
+    this.toggleButton = this.element.querySelector('.annotation-toggle');
+    this.exportButton = this.element.querySelector('.annotation-export');
+    this.importButton = this.element.querySelector('.annotation-import');
+    this.clearButton = this.element.querySelector('.annotation-clear');
+    this.fileInput = this.element.querySelector('.annotation-file');
+    this.list = this.element.querySelector('.annotation-list');
+
+    this.container.appendChild(this.element);
+  }
+
+  bindEvents() {
+    this.toggleButton.addEventListener('click', () => {
+      this.tool.setEnabled(!this.tool.enabled);
+    });
+
+    this.exportButton.addEventListener('click', () => {
+      const data = this.tool.toJSON();
+      const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+      downloadBlob(blob, `${data.model || 'model'}.annotations.json`);
+    });
+
+    this.importButton.addEventListener('click', () => this.fileInput.click());
+    this.fileInput.addEventListener('change', () => {
+      const [file] = this.fileInput.files;
+      this.fileInput.value = '';
+      if (file) {
+        this.importFile(file);
+      }
+    });
+
+    this.clearButton.addEventListener('click', () => {
+      this.tool.clear();
+    });
+
+    this.tool.addEventListener('change', () => this.render());
+  }
+
+  async importFile(file) {
+    try {
+      const data = AnnotationTool.parse(await file.text());
+
+      // Notes are positioned for one model; loading them onto another only makes sense on purpose
+      const modelKey = this.tool.getModelKey();
+      if (data.model && modelKey && data.model !== modelKey &&
+          !window.confirm(`These notes were made for "${data.model}", not "${modelKey}". Import anyway?`)) {
+        return;
+      }
+
+      this.tool.load(data);
+    } catch (error) {
+      console.error('Annotation import failed:', error);
+      if (this.onError) {
+        this.onError(error);
+      }
+    }
+  }
+
+  render() {
+    const { enabled, annotations, model } = this.tool;
+
+    this.toggleButton.classList.toggle('active', enabled);
+    this.toggleButton.disabled = !model;
+    this.importButton.disabled = !model;
+    this.exportButton.disabled = annotations.length === 0;
+    this.clearButton.disabled = annotations.length === 0;
+
+    // Rebuilding the list while someone types would drop their focus, so only do it when notes come or go
+    const listKey = annotations.map(annotation => annotation.id).join(',');
+    if (listKey !== this.listKey) {
+      this.listKey = listKey;
+      this.renderList();
+    }
+
+    for (const item of this.list.children) {
+      item.classList.toggle('selected', Number(item.dataset.id) === this.tool.selectedId);
+    }
+  }
+
+  renderList() {
+    this.list.innerHTML = '';
+
+    for (const annotation of this.tool.annotations) {
+      const item = document.createElement('li');
+      item.dataset.id = annotation.id;
+      item.innerHTML = `
+        <div class="annotation-item-header">
+          <input class="annotation-title-input" type="text" placeholder="Title" />
+          <button class="annotation-remove" type="button" title="Remove note">×</button>
+        </div>
+        <textarea class="annotation-body-input" rows="2" placeholder="Note"></textarea>
+      `;
+
+      const titleInput = item.querySelector('.annotation-title-input');
+      const bodyInput = item.querySelector('.annotation-body-input');
+      titleInput.value = annotation.title;
+      bodyInput.value = annotation.body;
+
+      titleInput.addEventListener('input', () => this.tool.updateAnnotation(annotation.id, { title: titleInput.value }));
+      bodyInput.addEventListener('input', () => this.tool.updateAnnotation(annotation.id, { body: bodyInput.value }));
+      item.addEventListener('focusin', () => {
+        if (this.tool.selectedId !== annotation.id) {
+          this.tool.select(annotation.id);
+        }
+      });
+      item.querySelector('.annotation-remove').addEventListener('click', () => {
+        this.tool.removeAnnotation(annotation.id);
+      });
+
+      this.list.appendChild(item);
+    }
+  }
+}
@@ -0,0 +1,366 @@
+import * as THREE from 'three';
+import { isHelperObject } from '../utils/SceneHelpers.js';
+
+export const ANNOTATIONS_VERSION = 1;
+const CLICK_TOLERANCE_PX = 4;
+const OCCLUSION_INTERVAL_MS = 100;
+const STORAGE_PREFIX = 'annotations:';
+
+// Notes pinned to the model surface. Positions are model-local, so annotations follow
+// re-scaling and show on every copy of the model (e.g. the clone placed in AR).
+export class AnnotationTool extends THREE.EventDispatcher {
+  constructor(modelViewer) {
+    super();
+    this.viewer = modelViewer;
+    this.enabled = false;
+    this.annotations = [];
+    this.savedAnnotations = new WeakMap(); // model -> its annotations while another one is selected
+    this.selectedId = null;
+    this.nextId = 1;
+    this.model = null;
+
+    // Every copy of the model that shows annotations: { root, group, labels: Map<id, label> }
+    this.targets = [];
+
+    this.raycaster = new THREE.Raycaster();
+    this.pointer = new THREE.Vector2();
+    this.pointerDown = null;
+    this.origin = new THREE.Vector3();
+    this.direction = new THREE.Vector3();
+    this.offset = new THREE.Vector3();
+
+    this.bindEvents();
+
+    this.viewer.addEventListener('modelchange', ({ model }) => this.setModel(model));
+    this.addEventListener('change', () => this.viewer.requestRender());
+    this.viewer.addCloneHandler(this);
+  }
+
+  bindEvents() {
+    const canvas = this.viewer.renderer.domElement;
+
+    this.onPointerDown = (event) => {
+      this.pointerDown = { x: event.clientX, y: event.clientY };
+    };
+
+    // A click (not an orbit drag) on the surface pins a new note
+    this.onPointerUp = (event) => {
+      if (!this.enabled || !this.pointerDown || event.button !== 0) return;
+
+      const moved = Math.hypot(event.clientX - this.pointerDown.x, event.clientY - this.pointerDown.y);
+      this.pointerDown = null;
+      if (moved > CLICK_TOLERANCE_PX) return;
+
+      const point = this.pick(event);
+      if (point) {
+        const annotation = this.addAnnotation({ position: this.model.worldToLocal(point) });
+        this.select(annotation.id);
+      }
+    };
+
+    canvas.addEventListener('pointerdown', this.onPointerDown);
+    canvas.addEventListener('pointerup', this.onPointerUp);
+  }
+
+  setModel(model) {
+    this.targets.forEach(target => this.detach(target.root));
+    if (this.model) {
+      this.savedAnnotations.set(this.model, this.annotations);
+    }
+
+    this.selectedId = null;
+    this.model = model;
+    this.annotations = (model && this.savedAnnotations.get(model)) || [];
+
+    if (model) {
+      this.attach(model);
+      if (!this.savedAnnotations.has(model)) {
+        this.restore();
+      }
+    }
+    this.dispatchEvent({ type: 'change' });
+  }
+
+  setEnabled(enabled) {
+    this.enabled = enabled;
+    this.viewer.renderer.domElement.style.cursor = enabled ? 'crosshair' : '';
+    this.dispatchEvent({ type: 'change' });
+  }
+
+  pick(event) {
+    if (!this.model) return null;
+
+    const rect = this.viewer.renderer.domElement.getBoundingClientRect();
+    this.pointer.set(
+      ((event.clientX - rect.left) / rect.width) * 2 - 1,
+      -((event.clientY - rect.top) / rect.height) * 2 + 1
+    );
+    this.raycaster.setFromCamera(this.pointer, this.viewer.camera);
+    this.raycaster.far = Infinity;
+
+    const hit = this.raycaster.intersectObject(this.model, true)
+      .find(intersection => intersection.object.isMesh && !isHelperObject(intersection.object));
+    return hit ? hit.point.clone() : null;
+  }
+
+  // The key annotations are saved and exported under, so they only come back on the same model
+  getModelKey() {
+    return (this.model && (this.model.userData.fileName || this.model.name)) || null;
+  }
+
+  addAnnotation({ position, title = '', body = '' }) {
+    const id = this.nextId++;
+    const annotation = {
+      id,
+      title: title || `Note ${id}`,
+      body,
+      position: position.clone()
+    };
+    this.annotations.push(annotation);
+
+    this.targets.forEach(target => this.addToTarget(target, annotation));
+    this.save();
+    this.dispatchEvent({ type: 'change' });
+    return annotation;
+  }
+
+  updateAnnotation(id, { title, body }) {
+    const annotation = this.annotations.find(candidate => candidate.id === id);
+    if (!annotation) return;
+
+    if (title !== undefined) annotation.title = title;
+    if (body !== undefined) annotation.body = body;
+
+    this.targets.forEach(target => this.renderLabel(target.labels.get(id), annotation));
+    this.save();
+    this.dispatchEvent({ type: 'change' });
+  }
+
+  removeAnnotation(id) {
+    this.annotations = this.annotations.filter(annotation => annotation.id !== id);
+    this.targets.forEach(target => this.removeFromTarget(target, id));
+    if (this.selectedId === id) {
+      this.selectedId = null;
+    }
+
+    this.save();
+    this.dispatchEvent({ type: 'change' });
+  }
+
+  clear() {
+    [...this.annotations].forEach(annotation => this.removeAnnotation(annotation.id));
+  }
+
+  // Opens one note's card (or closes all with null)
+  select(id) {
+    this.selectedId = id;
+    for (const target of this.targets) {
+      for (const [labelId, label] of target.labels) {
+        label.element.classList.toggle('open', labelId === id);
+      }
+    }
+    this.dispatchEvent({ type: 'change' });
+  }
+
+  toJSON() {
+    return {
+      version: ANNOTATIONS_VERSION,
+      model: this.getModelKey(),
+      annotations: this.annotations.map(({ title, body, position }) => ({
+        title,
+        body,
+        position: position.toArray()
+      }))
+    };
+  }
+
+  static parse(text) {
+    const data = JSON.parse(text);
+    if (!data || !Array.isArray(data.annotations)) {
+      throw new Error('Not an annotations file');
+    }
+    if (data.version > ANNOTATIONS_VERSION) {
+      throw new Error(`Unsupported annotations version: ${data.version}`);
+    }
+    return data;
+  }
+
+  // Replaces the current annotations with those from toJSON()
+  load(data) {
+    if (!this.model) {
+      throw new Error('Load a model before importing annotations');
+    }
+
+    // Check everything first so a bad file leaves the current notes alone
+    for (const { position } of data.annotations) {
+      if (!Array.isArray(position) || position.length !== 3 || !position.every(Number.isFinite)) {
+        throw new Error('Annotation positions must be [x, y, z] arrays');
+      }
+    }
+
+    this.clear();
+    for (const { title, body, position } of data.annotations) {
+      this.addAnnotation({
+        title: String(title || ''),
+        body: String(body || ''),
+        position: new THREE.Vector3().fromArray(position)
+      });
+    }
+  }
+
+  // Annotations are kept in localStorage per model file, so they survive a reload.
+  // Storage can be unavailable (private mode, quota); annotations then only live in the session.
+  save() {
+    const key = this.getModelKey();
+    if (!key) return;
+
+    try {
+      if (this.annotations.length > 0) {
+        localStorage.setItem(STORAGE_PREFIX + key, JSON.stringify(this.toJSON()));
+      } else {
+        localStorage.removeItem(STORAGE_PREFIX + key);
+      }
+    } catch (error) {
+      console.warn('Could not save annotations:', error);
+    }
+  }
+
+  restore() {
+    const key = this.getModelKey();
+    if (!key) return;
+
+    try {
+      const text = localStorage.getItem(STORAGE_PREFIX + key);
+      if (text) {
+        this.load(AnnotationTool.parse(text));
+      }
+    } catch (error) {
+      console.warn('Could not restore annotations:', error);
+    }
+  }
+
+  createLabelElement(annotation) {
+    const element = document.createElement('div');
+    element.className = 'annotation-label';
+    element.innerHTML = `
+      <button class="annotation-marker" type="button"></button>
+      <div class="annotation-card">
+        <strong class="annotation-title"></strong>
+        <p class="annotation-body"></p>
+      </div>
+    `;
+    element.querySelector('.annotation-marker').addEventListener('click', () => {
+      this.select(this.selectedId === annotation.id ? null : annotation.id);
+    });
+    return element;
+  }
+
+  renderLabel(label, annotation) {
+    if (!label) return;
+
+    const index = this.annotations.indexOf(annotation) + 1;
+    const marker = label.element.querySelector('.annotation-marker');
+    marker.textContent = index;
+    marker.title = annotation.title;
+    label.element.querySelector('.annotation-title').textContent = annotation.title;
+    label.element.querySelector('.annotation-body').textContent = annotation.body;
+    label.element.classList.toggle('open', annotation.id === this.selectedId);
+  }
+
+  // Markers hide behind the model they belong to. Raycasting a large mesh every frame is
+  // costly, so each marker re-checks at most every OCCLUSION_INTERVAL_MS.
+  createOcclusionTest(root) {
+    const state = { checkedAt: -Infinity, occluded: false };
+
+    return (position, camera) => {
+      const now = performance.now();
+      if (now - state.checkedAt < OCCLUSION_INTERVAL_MS) {
+        return state.occluded;
+      }
+      state.checkedAt = now;
+      state.occluded = this.isOccluded(root, position, camera);
+      return state.occluded;
+    };
+  }
+
+  isOccluded(root, position, camera) {
+    camera.getWorldPosition(this.origin);
+
+    if (camera.isOrthographicCamera) {
+      // Parallel rays: start from the camera plane straight in front of the point
+      camera.getWorldDirection(this.direction);
+      const depth = this.offset.subVectors(position, this.origin).dot(this.direction);
+      this.origin.copy(position).addScaledVector(this.direction, -depth);
+    } else {
+      this.direction.subVectors(position, this.origin).normalize();
+    }
+
+    // Stop just short of the point so the surface it sits on doesn't count
+    const distance = this.origin.distanceTo(position);
+    this.raycaster.set(this.origin, this.direction);
+    this.raycaster.far = distance * 0.99;
+
+    return this.raycaster.intersectObject(root, true)
+      .some(intersection => intersection.object.isMesh && !isHelperObject(intersection.object));
+  }
+
+  addToTarget(target, annotation) {
+    const anchor = new THREE.Object3D();
+    anchor.position.copy(annotation.position);
+    anchor.userData.annotationId = annotation.id;
+    target.group.add(anchor);
+
+    const label = this.viewer.labelLayer.add(anchor, this.createLabelElement(annotation), {
+      isOccluded: this.createOcclusionTest(target.root)
+    });
+    target.labels.set(annotation.id, label);
+
+    // Marker numbers follow list order, so every label is renumbered
+    this.annotations.forEach(entry => this.renderLabel(target.labels.get(entry.id), entry));
+  }
+
+  removeFromTarget(target, id) {
+    const anchor = target.group.children.find(child => child.userData.annotationId === id);
+    if (anchor) {
+      target.group.remove(anchor);
+    }
+
+    this.viewer.labelLayer.remove(target.labels.get(id));
+    target.labels.delete(id);
+    this.annotations.forEach(entry => this.renderLabel(target.labels.get(entry.id), entry));
+  }
+
+  // Shows the annotations on another copy of the model, e.g. the clone placed in AR
+  attach(root) {
+    if (this.targets.some(target => target.root === root)) return;
+
+    // A clone carries a copy of the desktop group; rebuild it so each copy owns its anchors and labels
+    root.children.filter(child => child.userData.annotations).forEach(child => root.remove(child));
+
+    const group = new THREE.Group();
+    group.name = 'annotations';
+    group.userData.helper = true;
+    group.userData.annotations = true;
+    root.add(group);
+
+    const target = { root, group, labels: new Map() };
+    this.targets.push(target);
+    this.annotations.forEach(annotation => this.addToTarget(target, annotation));
+  }
+
+  detach(root) {
+    const target = this.targets.find(candidate => candidate.root === root);
+    if (!target) return;
+
+    this.annotations.forEach(annotation => this.removeFromTarget(target, annotation.id));
+    root.remove(target.group);
+    this.targets = this.targets.filter(candidate => candidate !== target);
+  }
+
+  dispose() {
+    this.targets.forEach(target => this.detach(target.root));
+    const canvas = this.viewer.renderer.domElement;
+    canvas.removeEventListener('pointerdown', this.onPointerDown);
+    canvas.removeEventListener('pointerup', this.onPointerUp);
+  }
+}
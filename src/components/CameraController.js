@@ -0,0 +1,272 @@
+import * as THREE from 'three';
+import { isHelperObject } from '../utils/SceneHelpers.js';
+
+// Directions from the target to the camera
+export const VIEWS = {
+  front: { label: 'Front', direction: new THREE.Vector3(0, 0, 1) },
+  back: { label: 'Back', direction: new THREE.Vector3(0, 0, -1) },
+  left: { label: 'Left', direction: new THREE.Vector3(-1, 0, 0) },
+  right: { label: 'Right', direction: new THREE.Vector3(1, 0, 0) },
+  top: { label: 'Top', direction: new THREE.Vector3(0, 1, 0) },
+  bottom: { label: 'Bottom', direction: new THREE.Vector3(0, -1, 0) },
+  iso: { label: 'Isometric', direction: new THREE.Vector3(1, 1, 1).normalize() }
+};
+
+const TRANSITION_DURATION = 0.6; // seconds
+const FIT_MARGIN = 1.15;
+
+// Standard views, fit-to-bounds framing and a perspective/orthographic switch for the viewer's camera.
+// The active camera is always modelViewer.camera; switching projection swaps it and dispatches 'change'.
+export class CameraController extends THREE.EventDispatcher {
+  constructor(modelViewer) {
+    super();
+    this.viewer = modelViewer;
+    this.perspectiveCamera = modelViewer.camera;
+    this.orthographicCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0.1, 1000);
+    this.transition = null;
+
+    this.raycaster = new THREE.Raycaster();
+    this.pointer = new THREE.Vector2();
+
+    this.viewer.addEventListener('update', ({ delta }) => this.update(delta));
+
+    // Double-click frames the part under the cursor
+    this.onDoubleClick = (event) => {
+      const object = this.pick(event);
+      if (object) {
+        this.frameObject(object);
+      }
+    };
+    this.viewer.renderer.domElement.addEventListener('dblclick', this.onDoubleClick);
+  }
+
+  get camera() {
+    return this.viewer.camera;
+  }
+
+  get projection() {
+    return this.camera.isOrthographicCamera ? 'orthographic' : 'perspective';
+  }
+
+  // Of one half while the viewer shows two models side by side
+  getAspect() {
+    const { clientWidth, clientHeight } = this.viewer.container;
+    const width = this.viewer.splitView ? Math.floor(clientWidth / 2) : clientWidth;
+    return width / clientHeight || 1;
+  }
+
+  // Height of the visible area at the target, which both projections must agree on
+  getVisibleHeight(camera = this.camera) {
+    if (camera.isOrthographicCamera) {
+      return (camera.top - camera.bottom) / camera.zoom;
+    }
+    const distance = camera.position.distanceTo(this.viewer.controls.target);
+    return 2 * distance * Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2);
+  }
+
+  setOrthographicHeight(height) {
+    const camera = this.orthographicCamera;
+    const aspect = this.getAspect();
+
+    camera.top = height / 2;
+    camera.bottom = -height / 2;
+    camera.left = -height / 2 * aspect;
+    camera.right = height / 2 * aspect;
+    camera.zoom = 1;
+    camera.updateProjectionMatrix();
+  }
+
+  // Swaps cameras while keeping the same view direction, target and visible size
+  setProjection(projection) {
+    if (projection === this.projection) return;
+    if (projection !== 'perspective' && projection !== 'orthographic') {
+      throw new Error(`Unknown projection: ${projection}. Supported: perspective, orthographic`);
+    }
+
+    this.cancelTransition();
+
+    const from = this.camera;
+    const target = this.viewer.controls.target;
+    const height = this.getVisibleHeight(from);
+    const direction = from.position.clone().sub(target).normalize();
+
+    let to;
+    if (projection === 'orthographic') {
+      to = this.orthographicCamera;
+      this.setOrthographicHeight(height);
+      to.position.copy(from.position);
+    } else {
+      to = this.perspectiveCamera;
+      const distance = height / 2 / Math.tan(THREE.MathUtils.degToRad(to.fov) / 2);
+      to.position.copy(target).addScaledVector(direction, distance);
+      to.aspect = this.getAspect();
+    }
+
+    to.near = from.near;
+    to.far = from.far;
+    to.up.copy(from.up);
+    to.lookAt(target);
+    to.updateProjectionMatrix();
+
+    this.viewer.camera = to;
+    this.viewer.controls.object = to;
+    this.viewer.controls.update();
+    this.dispatchEvent({ type: 'change' });
+  }
+
+  onResize() {
+    const aspect = this.getAspect();
+
+    this.perspectiveCamera.aspect = aspect;
+    this.perspectiveCamera.updateProjectionMatrix();
+
+    const camera = this.orthographicCamera;
+    const halfHeight = (camera.top - camera.bottom) / 2;
+    camera.left = -halfHeight * aspect;
+    camera.right = halfHeight * aspect;
+    camera.updateProjectionMatrix();
+  }
+
+  // Distance at which a sphere of this radius fills the view, whichever of the two FOVs is tighter
+  getFitDistance(radius) {
+    const verticalFov = THREE.MathUtils.degToRad(this.perspectiveCamera.fov);
+    const horizontalFov = 2 * Math.atan(Math.tan(verticalFov / 2) * this.getAspect());
+    return (radius * FIT_MARGIN) / Math.sin(Math.min(verticalFov, horizontalFov) / 2);
+  }
+
+  // Moves the camera so the box fills the view, looking along `direction` (default: the current one)
+  fitBox(box, { direction = null, animate = true } = {}) {
+    if (box.isEmpty()) return;
+
+    const sphere = box.getBoundingSphere(new THREE.Sphere());
+    const radius = sphere.radius || 1;
+    const viewDirection = direction ? direction.clone() : this.camera.position.clone().sub(this.viewer.controls.target).normalize();
+    const distance = this.getFitDistance(radius);
+
+    this.moveTo({
+      target: sphere.center,
+      direction: viewDirection,
+      distance,
+      // Orthographic views show the same area a perspective camera would at that distance
+      height: 2 * distance * Math.tan(THREE.MathUtils.degToRad(this.perspectiveCamera.fov) / 2),
+      animate
+    });
+  }
+
+  // Measured bounds of every model, so helpers and exploded parts don't change the fit
+  getModelBox() {
+    return this.viewer.getModelsBox();
+  }
+
+  fitAll(options = {}) {
+    this.fitBox(this.getModelBox(), options);
+  }
+
+  frameObject(object, options = {}) {
+    const box = new THREE.Box3();
+    object.updateWorldMatrix(true, true);
+    object.traverse((child) => {
+      if ((child.isMesh || child.isPoints || child.isLine) && !isHelperObject(child)) {
+        box.expandByObject(child);
+      }
+    });
+    this.fitBox(box, options);
+  }
+
+  setView(name, { animate = true } = {}) {
+    const view = VIEWS[name];
+    if (!view) {
+      throw new Error(`Unknown view: ${name}. Supported views: ${Object.keys(VIEWS).join(', ')}`);
+    }
+    this.fitBox(this.getModelBox(), { direction: view.direction, animate });
+  }
+
+  moveTo({ target, direction, distance, height, animate }) {
+    this.cancelTransition();
+
+    const controls = this.viewer.controls;
+    const end = {
+      target: target.clone(),
+      direction: direction.clone().normalize(),
+      distance,
+      height
+    };
+
+    if (!animate) {
+      this.applyPose(end);
+      return;
+    }
+
+    const start = {
+      target: controls.target.clone(),
+      direction: this.camera.position.clone().sub(controls.target).normalize(),
+      distance: this.camera.position.distanceTo(controls.target),
+      height: this.getVisibleHeight()
+    };
+
+    this.transition = {
+      start,
+      end,
+      elapsed: 0,
+      rotation: new THREE.Quaternion().setFromUnitVectors(start.direction, end.direction)
+    };
+  }
+
+  applyPose({ target, direction, distance, height }) {
+    const controls = this.viewer.controls;
+    const camera = this.camera;
+
+    controls.target.copy(target);
+    camera.position.copy(target).addScaledVector(direction, distance);
+    camera.lookAt(target);
+
+    if (camera.isOrthographicCamera) {
+      this.setOrthographicHeight(height);
+    }
+  }
+
+  cancelTransition() {
+    this.transition = null;
+  }
+
+  update(delta) {
+    if (!this.transition) return;
+
+    const { start, end, rotation } = this.transition;
+    this.transition.elapsed += delta;
+
+    const t = Math.min(this.transition.elapsed / TRANSITION_DURATION, 1);
+    const eased = t * t * (3 - 2 * t);
+
+    // Rotate around the target rather than cutting straight through the model
+    const partial = new THREE.Quaternion().slerp(rotation, eased);
+    this.applyPose({
+      target: start.target.clone().lerp(end.target, eased),
+      direction: start.direction.clone().applyQuaternion(partial),
+      distance: THREE.MathUtils.lerp(start.distance, end.distance, eased),
+      height: THREE.MathUtils.lerp(start.height, end.height, eased)
+    });
+
+    if (t >= 1) {
+      this.transition = null;
+    }
+  }
+
+  pick(event) {
+    if (this.viewer.models.length === 0) return null;
+
+    const rect = this.viewer.renderer.domElement.getBoundingClientRect();
+    this.pointer.set(
+      ((event.clientX - rect.left) / rect.width) * 2 - 1,
+      -((event.clientY - rect.top) / rect.height) * 2 + 1
+    );
+    this.raycaster.setFromCamera(this.pointer, this.camera);
+
+    const hit = this.raycaster.intersectObject(this.viewer.modelRoot, true).find(intersection => !isHelperObject(intersection.object));
+    return hit ? hit.object : null;
+  }
+
+  dispose() {
+    this.viewer.renderer.domElement.removeEventListener('dblclick', this.onDoubleClick);
+  }
+}
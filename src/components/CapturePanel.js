@@ -0,0 +1,144 @@
+import { CaptureTool, MAX_IMAGE_SIZE } from './CaptureTool.js';
+import { downloadBlob } from '../utils/Download.js';
+
+export class CapturePanel {
+  constructor(container, captureTool, { onError = null } = {}) {
+    this.container = container;
+    this.tool = captureTool;
+    this.onError = onError;
+    this.recordAbortController = null;
+
+    this.createElements();
+    this.bindEvents();
+  }
+
+  createElements() {
+    this.element = document.createElement('details');
+    this.element.className = 'capture-panel';
+    this.element.innerHTML = `
+      <summary>📷 Capture</summary>
+      <div class="capture-row">
+        <input class="capture-width" type="number" min="1" max="${MAX_IMAGE_SIZE}" step="1" title="Width (px)" />
+        ×
+        <input class="capture-height" type="number" min="1" max="${MAX_IMAGE_SIZE}" step="1" title="Height (px)" />
+        <button class="capture-size" type="button" data-scale="1" title="Viewport size">1×</button>
+        <button class="capture-size" type="button" data-scale="2" title="Twice the viewport size">2×</button>
+        <button class="capture-size" type="button" data-scale="4" title="Four times the viewport size">4×</button>
+      </div>
+      <div class="capture-row">
+        <label><input class="capture-transparent" type="checkbox" /> Transparent</label>
+        <button class="capture-image" type="button">Save PNG</button>
+      </div>
+      <div class="capture-row">
+        <select class="capture-duration" title="Turntable duration">
+          <option value="4">4 s</option>
+          <option value="8" selected>8 s</option>
+          <option value="12">12 s</option>
+        </select>
+        <button class="capture-record" type="button" title="Orbit 360° and save a WebM video">Record turntable</button>
+        <button class="capture-cancel" type="button">Cancel</button>
+      </div>
+      <progress class="capture-progress" max="1" value="0"></progress>
+    `;
+
+    this.widthInput = this.element.querySelector('.capture-width');
+    this.heightInput = this.element.querySelector('.capture-height');
+    this.transparentToggle = this.element.querySelector('.capture-transparent');
+    this.imageButton = this.element.querySelector('.capture-image');
+    this.durationSelect = this.element.querySelector('.capture-duration');
+    this.recordButton = this.element.querySelector('.capture-record');
+    this.cancelButton = this.element.querySelector('.capture-cancel');
+    this.progress = this.element.querySelector('.capture-progress');
+
+    if (!CaptureTool.isRecordingSupported()) {
+      this.recordButton.disabled = true;
+      this.recordButton.title = 'Video recording is not supported in this browser';
+    }
+    this.setRecording(false);
+    this.setScale(2);
+
+    this.container.appendChild(this.element);
+  }
+
+  bindEvents() {
+    this.element.querySelectorAll('.capture-size').forEach(button => {
+      button.addEventListener('click', () => this.setScale(Number(button.dataset.scale)));
+    });
+
+    this.imageButton.addEventListener('click', () => this.saveImage());
+    this.recordButton.addEventListener('click', () => this.record());
+    this.cancelButton.addEventListener('click', () => {
+      if (this.recordAbortController) {
+        this.recordAbortController.abort();
+      }
+    });
+  }
+
+  // Presets keep the viewport's aspect ratio so the export frames what is on screen
+  setScale(scale) {
+    const canvas = this.tool.viewer.renderer.domElement;
+    this.widthInput.value = Math.min(Math.round(canvas.clientWidth * scale), MAX_IMAGE_SIZE);
+    this.heightInput.value = Math.min(Math.round(canvas.clientHeight * scale), MAX_IMAGE_SIZE);
+  }
+
+  getBaseName() {
+    const model = this.tool.viewer.currentModel;
+    return (model && model.name) || 'model';
+  }
+
+  async saveImage() {
+    this.imageButton.disabled = true;
+
+    try {
+      const blob = await this.tool.captureImage({
+        width: Math.round(Number(this.widthInput.value)),
+        height: Math.round(Number(this.heightInput.value)),
+        transparent: this.transparentToggle.checked
+      });
+      downloadBlob(blob, `${this.getBaseName()}.png`);
+    } catch (error) {
+      this.reportError(error);
+    } finally {
+      this.imageButton.disabled = false;
+    }
+  }
+
+  async record() {
+    const abortController = new AbortController();
+    this.recordAbortController = abortController;
+    this.setRecording(true);
+
+    try {
+      const blob = await this.tool.recordTurntable({
+        duration: Number(this.durationSelect.value),
+        signal: abortController.signal,
+        onProgress: (progress) => {
+          this.progress.value = progress;
+        }
+      });
+      downloadBlob(blob, `${this.getBaseName()}-turntable.webm`);
+    } catch (error) {
+      if (!abortController.signal.aborted) {
+        this.reportError(error);
+      }
+    } finally {
+      this.recordAbortController = null;
+      this.setRecording(false);
+    }
+  }
+
+  setRecording(recording) {
+    this.recordButton.style.display = recording ? 'none' : '';
+    this.cancelButton.style.display = recording ? '' : 'none';
+    this.progress.style.display = recording ? '' : 'none';
+    this.progress.value = 0;
+    this.imageButton.disabled = recording;
+  }
+
+  reportError(error) {
+    console.error('Capture failed:', error);
+    if (this.onError) {
+      this.onError(error);
+    }
+  }
+}
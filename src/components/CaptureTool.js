@@ -0,0 +1,192 @@
+import * as THREE from 'three';
+
+// Largest tile rendered in one pass; bigger images are stitched from several
+const MAX_TILE_SIZE = 4096;
+export const MAX_IMAGE_SIZE = 8192;
+const VIDEO_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+
+// Still and video exports of the current view: high-resolution PNGs and 360° turntable WebMs
+export class CaptureTool {
+  constructor(modelViewer) {
+    this.viewer = modelViewer;
+    this.recorder = null;
+  }
+
+  static isRecordingSupported() {
+    return typeof MediaRecorder !== 'undefined' &&
+      'captureStream' in HTMLCanvasElement.prototype &&
+      VIDEO_TYPES.some(type => MediaRecorder.isTypeSupported(type));
+  }
+
+  // Renders the view at width × height in tiles (camera view offsets), so the image can be
+  // larger than the screen or the GPU's drawing buffer. Resolves to a PNG blob.
+  async captureImage({ width, height, transparent = false }) {
+    if (!(width > 0 && height > 0) || width > MAX_IMAGE_SIZE || height > MAX_IMAGE_SIZE) {
+      throw new Error(`Image size must be between 1 and ${MAX_IMAGE_SIZE} pixels per side`);
+    }
+
+    const { renderer, scene, camera } = this.viewer;
+    const tileSize = Math.min(renderer.capabilities.maxTextureSize, MAX_TILE_SIZE);
+
+    const output = document.createElement('canvas');
+    output.width = width;
+    output.height = height;
+    const context = output.getContext('2d');
+
+    const saved = {
+      pixelRatio: renderer.getPixelRatio(),
+      size: renderer.getSize(new THREE.Vector2()),
+      clearColor: renderer.getClearColor(new THREE.Color()),
+      clearAlpha: renderer.getClearAlpha(),
+      background: scene.background,
+      aspect: camera.aspect,
+      left: camera.left,
+      right: camera.right
+    };
+
+    try {
+      if (transparent) {
+        scene.background = null;
+        renderer.setClearColor(0x000000, 0);
+      }
+      renderer.setPixelRatio(1);
+
+      // Perspective cameras take the image's aspect from setViewOffset; orthographic ones need it here
+      if (camera.isOrthographicCamera) {
+        const halfWidth = (camera.top - camera.bottom) / 2 * (width / height);
+        camera.left = -halfWidth;
+        camera.right = halfWidth;
+      }
+
+      // The canvas keeps its CSS size and everything is restored before the browser paints
+      for (let y = 0; y < height; y += tileSize) {
+        for (let x = 0; x < width; x += tileSize) {
+          const tileWidth = Math.min(tileSize, width - x);
+          const tileHeight = Math.min(tileSize, height - y);
+
+          camera.setViewOffset(width, height, x, y, tileWidth, tileHeight);
+          renderer.setSize(tileWidth, tileHeight, false);
+          this.viewer.renderScene();
+          context.drawImage(renderer.domElement, 0, 0, tileWidth, tileHeight, x, y, tileWidth, tileHeight);
+        }
+      }
+    } finally {
+      camera.clearViewOffset();
+      if (camera.isOrthographicCamera) {
+        camera.left = saved.left;
+        camera.right = saved.right;
+      } else {
+        camera.aspect = saved.aspect;
+      }
+      camera.updateProjectionMatrix();
+      renderer.setPixelRatio(saved.pixelRatio);
+      renderer.setSize(saved.size.x, saved.size.y, false);
+      renderer.setClearColor(saved.clearColor, saved.clearAlpha);
+      scene.background = saved.background;
+
+      // Resizing cleared the canvas; redraw the view
+      this.viewer.requestRender();
+    }
+
+    return new Promise((resolve, reject) => {
+      output.toBlob((blob) => {
+        if (blob) {
+          resolve(blob);
+        } else {
+          reject(new Error('PNG encoding failed'));
+        }
+      }, 'image/png');
+    });
+  }
+
+  // Orbits the camera once around the controls' target while recording the canvas.
+  // Resolves to a WebM blob; aborting the signal stops early and rejects with its reason.
+  recordTurntable({ duration = 6, fps = 30, onProgress = null, signal = null } = {}) {
+    if (!CaptureTool.isRecordingSupported()) {
+      return Promise.reject(new Error('Video recording (MediaRecorder with WebM) is not supported in this browser'));
+    }
+    if (this.recorder) {
+      return Promise.reject(new Error('A recording is already in progress'));
+    }
+    if (signal?.aborted) {
+      return Promise.reject(signal.reason);
+    }
+
+    const { renderer, camera, controls } = this.viewer;
+    const mimeType = VIDEO_TYPES.find(type => MediaRecorder.isTypeSupported(type));
+    const stream = renderer.domElement.captureStream(fps);
+    const recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: 8000000 });
+    const chunks = [];
+
+    const target = controls.target.clone();
+    const startOffset = camera.position.clone().sub(target);
+    let startTime = null;
+
+    this.recorder = recorder;
+    controls.enabled = false;
+    this.viewer.cameraController.cancelTransition();
+
+    return new Promise((resolve, reject) => {
+      // Runs every frame after the controls update, so the camera is where the recording wants it
+      const onUpdate = () => {
+        const now = performance.now();
+        if (startTime === null) {
+          startTime = now;
+        }
+
+        const progress = Math.min((now - startTime) / (duration * 1000), 1);
+        camera.position.copy(startOffset).applyAxisAngle(camera.up, progress * Math.PI * 2).add(target);
+        camera.lookAt(target);
+        this.viewer.requestRender();
+
+        if (onProgress) {
+          onProgress(progress);
+        }
+        if (progress >= 1 && recorder.state === 'recording') {
+          recorder.stop();
+        }
+      };
+
+      const onAbort = () => {
+        if (recorder.state !== 'inactive') {
+          recorder.stop();
+        }
+      };
+
+      const cleanup = () => {
+        this.viewer.removeEventListener('update', onUpdate);
+        signal?.removeEventListener('abort', onAbort);
+        stream.getTracks().forEach(track => track.stop());
+
+        camera.position.copy(startOffset).add(target);
+        camera.lookAt(target);
+        controls.enabled = true;
+        this.recorder = null;
+      };
+
+      recorder.addEventListener('dataavailable', (event) => {
+        if (event.data.size > 0) {
+          chunks.push(event.data);
+        }
+      });
+
+      recorder.addEventListener('stop', () => {
+        cleanup();
+        if (signal?.aborted) {
+          reject(signal.reason);
+        } else {
+          resolve(new Blob(chunks, { type: 'video/webm' }));
+        }
+      });
+
+      recorder.addEventListener('error', (event) => {
+        cleanup();
+        reject(event.error || new Error('Recording failed'));
+      });
+
+      signal?.addEventListener('abort', onAbort, { once: true });
+      this.viewer.addEventListener('update', onUpdate);
+      recorder.start(250);
+    });
+  }
+}
@@ -0,0 +1,138 @@
+import { COMPARE_MODES, COMPARE_ALIGNMENTS, COMPARE_TINTS, DEVIATION_COLORS } from './CompareTool.js';
+import { UNITS, toMeters } from '../utils/Units.js';
+
+export class ComparePanel {
+  constructor(container, compareTool, { onError = null } = {}) {
+    this.container = container;
+    this.tool = compareTool;
+    this.onError = onError;
+
+    this.createElements();
+    this.bindEvents();
+    this.render();
+  }
+
+  createElements() {
+    this.element = document.createElement('details');
+    this.element.className = 'compare-panel';
+    this.element.innerHTML = `
+      <summary>⚖️ Compare</summary>
+      <div class="compare-row">
+        <span class="compare-swatch compare-swatch-a"></span>
+        <select class="compare-a" title="Reference model (A)"></select>
+      </div>
+      <div class="compare-row">
+        <span class="compare-swatch compare-swatch-b"></span>
+        <select class="compare-b" title="Model compared against A (B)"></select>
+      </div>
+      <div class="compare-row">
+        <select class="compare-mode" title="How the two models are shown"></select>
+        <select class="compare-alignment" title="How B is lined up with A"></select>
+      </div>
+      <progress class="compare-progress" max="1"></progress>
+      <div class="compare-legend">
+        <div class="compare-gradient"></div>
+        <div class="compare-scale"><span></span><span></span><span></span></div>
+      </div>
+      <div class="compare-note"></div>
+    `;
+
+    this.modelASelect = this.element.querySelector('.compare-a');
+    this.modelBSelect = this.element.querySelector('.compare-b');
+    this.modeSelect = this.element.querySelector('.compare-mode');
+    this.alignmentSelect = this.element.querySelector('.compare-alignment');
+    this.progress = this.element.querySelector('.compare-progress');
+    this.legend = this.element.querySelector('.compare-legend');
+    this.scaleLabels = [...this.element.querySelectorAll('.compare-scale span')];
+    this.note = this.element.querySelector('.compare-note');
+
+    this.element.querySelector('.compare-swatch-a').style.background = COMPARE_TINTS[0];
+    this.element.querySelector('.compare-swatch-b').style.background = COMPARE_TINTS[1];
+    this.element.querySelector('.compare-gradient').style.background = `linear-gradient(to right, ${DEVIATION_COLORS.join(', ')})`;
+
+    for (const [key, mode] of Object.entries(COMPARE_MODES)) {
+      this.modeSelect.add(new Option(mode.label, key));
+    }
+    for (const [key, alignment] of Object.entries(COMPARE_ALIGNMENTS)) {
+      this.alignmentSelect.add(new Option(alignment.label, key));
+    }
+
+    this.container.appendChild(this.element);
+  }
+
+  bindEvents() {
+    const getModel = select => this.tool.viewer.models[Number(select.value)] || null;
+
+    this.modelASelect.addEventListener('change', () => {
+      this.apply(() => this.tool.setModels(getModel(this.modelASelect), this.tool.modelB));
+    });
+
+    this.modelBSelect.addEventListener('change', () => {
+      this.apply(() => this.tool.setModels(this.tool.modelA, getModel(this.modelBSelect)));
+    });
+
+    this.modeSelect.addEventListener('change', () => {
+      this.apply(() => this.tool.setMode(this.modeSelect.value));
+    });
+
+    this.alignmentSelect.addEventListener('change', () => {
+      this.apply(() => this.tool.setAlignment(this.alignmentSelect.value));
+    });
+
+    this.tool.addEventListener('change', () => this.render());
+  }
+
+  async apply(action) {
+    try {
+      await action();
+    } catch (error) {
+      console.error('Compare failed:', error);
+      if (this.onError) {
+        this.onError(error);
+      }
+    } finally {
+      this.render();
+    }
+  }
+
+  // Deviations read in the reference model's units, to three significant digits
+  static formatDeviation(meters, unit) {
+    return `${Number((meters / toMeters(unit)).toPrecision(3))} ${UNITS[unit].symbol}`;
+  }
+
+  render() {
+    const { models } = this.tool.viewer;
+    const { modelA, modelB, mode, deviation, progress } = this.tool;
+
+    [[this.modelASelect, modelA], [this.modelBSelect, modelB]].forEach(([select, selected]) => {
+      select.replaceChildren(...models.map((model, index) => new Option(`${index + 1}. ${model.parent.name}`, index)));
+      select.value = models.indexOf(selected);
+      select.disabled = models.length < 2 || progress !== null;
+    });
+
+    this.modeSelect.value = mode;
+    this.modeSelect.disabled = !this.tool.canCompare();
+    this.alignmentSelect.value = this.tool.alignment;
+    this.alignmentSelect.disabled = !this.tool.canCompare() || progress !== null;
+
+    this.progress.hidden = progress === null;
+    this.progress.value = progress || 0;
+
+    this.legend.hidden = !deviation;
+    if (deviation) {
+      [0, 0.5, 1].forEach((t, index) => {
+        this.scaleLabels[index].textContent = ComparePanel.formatDeviation(deviation.max * t, deviation.unit);
+      });
+    }
+
+    if (models.length < 2) {
+      this.note.textContent = 'Load a second model (Add to scene) to compare two revisions.';
+    } else if (mode === 'deviation' && deviation) {
+      this.note.textContent = 'Distance from each point of B to the nearest surface of A.';
+    } else if (mode === 'split') {
+      this.note.textContent = 'A on the left, B on the right; both halves share the camera.';
+    } else {
+      this.note.textContent = '';
+    }
+  }
+}
@@ -0,0 +1,379 @@
+import * as THREE from 'three';
+import { isHelperObject } from '../utils/SceneHelpers.js';
+import { createStandIn, getModelClippingPlanes } from './StandIns.js';
+import { HIDDEN_LAYER } from '../utils/LODGenerator.js';
+import { TriangleGrid, collectTriangles } from '../utils/Deviation.js';
+
+export const COMPARE_MODES = {
+  off: { label: 'Off' },
+  split: { label: 'Side by side' },
+  overlay: { label: 'Overlay' },
+  deviation: { label: 'Deviation heatmap' }
+};
+
+export const COMPARE_ALIGNMENTS = {
+  origin: { label: 'Align source origins' },
+  center: { label: 'Align centers' }
+};
+
+// Of A and B in the overlay; the panel's key uses the same colors
+export const COMPARE_TINTS = ['#2f80ed', '#f2994a'];
+const TINT_OPACITY = 0.55;
+const GHOST_OPACITY = 0.15;
+
+// From no deviation to the largest; the panel's legend uses the same stops
+export const DEVIATION_COLORS = ['#2c7bb6', '#abd9e9', '#ffffbf', '#fdae61', '#d7191c'];
+const deviationStops = DEVIATION_COLORS.map(color => new THREE.Color(color));
+
+const VERTICES_PER_STEP = 20000; // Between yields to the page while computing deviations
+
+// Puts two loaded models (two revisions of a part, say) in the same place to compare them:
+// side by side with one camera, overlaid with distinct tints, or as a heatmap of how far each
+// vertex of B lies from A's surface.
+//
+// Model B's placement is moved onto A's while comparing, and other models are hidden; both are
+// restored when the mode goes back to off. Overlay and heatmap draw stand-in meshes hung off
+// the models' own, which are moved to a layer no camera renders, so materials stay untouched.
+export class CompareTool extends THREE.EventDispatcher {
+  constructor(modelViewer) {
+    super();
+    this.viewer = modelViewer;
+    this.modelA = null; // The reference
+    this.modelB = null; // The revision compared against it
+    this.mode = 'off';
+    this.alignment = 'origin';
+
+    this.saved = null; // Placement state to restore, while comparing
+    this.hiddenMeshes = new Map(); // mesh -> layer mask before compare mode hid it
+    this.proxies = [];
+    this.heatGeometries = [];
+
+    this.deviation = null; // { max, unit } of the shown heatmap, max in meters
+    this.progress = null; // 0-1 while deviations are computed
+    this.run = 0; // Bumped to abandon a computation in progress
+
+    this.createMaterials();
+
+    this.addEventListener('change', () => this.viewer.requestRender());
+
+    // Models coming or going end the comparison, as the placements it saved may be gone
+    const onModelsChange = () => {
+      if (this.mode !== 'off') {
+        this.setMode('off');
+      }
+      this.updateModels();
+    };
+    this.viewer.addEventListener('modeladd', onModelsChange);
+    this.viewer.addEventListener('modelremove', onModelsChange);
+  }
+
+  createMaterials() {
+    const tint = color => new THREE.MeshStandardMaterial({
+      color,
+      roughness: 0.6,
+      transparent: true,
+      opacity: TINT_OPACITY,
+      side: THREE.DoubleSide
+    });
+
+    this.tintMaterials = COMPARE_TINTS.map(tint);
+    this.ghostMaterial = new THREE.MeshStandardMaterial({
+      color: 0x888888,
+      transparent: true,
+      opacity: GHOST_OPACITY,
+      depthWrite: false
+    });
+    this.heatMaterial = new THREE.MeshStandardMaterial({ vertexColors: true, roughness: 0.8 });
+
+    this.getMaterials().forEach(material => { material.userData.helper = true; });
+  }
+
+  getMaterials() {
+    return [...this.tintMaterials, this.ghostMaterial, this.heatMaterial];
+  }
+
+  // Keeps A and B pointing at loaded models, defaulting to the first two
+  updateModels() {
+    const { models } = this.viewer;
+    if (!models.includes(this.modelA)) {
+      this.modelA = models.find(model => model !== this.modelB) || null;
+    }
+    if (!models.includes(this.modelB) || this.modelB === this.modelA) {
+      this.modelB = models.find(model => model !== this.modelA) || null;
+    }
+    this.dispatchEvent({ type: 'change' });
+  }
+
+  canCompare() {
+    return Boolean(this.modelA && this.modelB && this.modelA !== this.modelB);
+  }
+
+  async setModels(modelA, modelB) {
+    this.modelA = modelA;
+    this.modelB = modelB;
+    await this.restart();
+  }
+
+  async setAlignment(alignment) {
+    if (!COMPARE_ALIGNMENTS[alignment]) {
+      throw new Error(`Unknown alignment: ${alignment}. Supported alignments: ${Object.keys(COMPARE_ALIGNMENTS).join(', ')}`);
+    }
+
+    this.alignment = alignment;
+    await this.restart();
+  }
+
+  // Re-aligns after the models or alignment changed, keeping the mode
+  async restart() {
+    const { mode } = this;
+    this.setMode('off');
+    await this.setMode(mode);
+  }
+
+  // Resolves once the mode is shown, which for the heatmap means its deviations are computed
+  async setMode(mode) {
+    if (!COMPARE_MODES[mode]) {
+      throw new Error(`Unknown compare mode: ${mode}. Supported modes: ${Object.keys(COMPARE_MODES).join(', ')}`);
+    }
+    if (mode !== 'off' && !this.canCompare()) {
+      throw new Error('Load two models to compare them');
+    }
+
+    this.clearDisplay();
+    if (mode === 'off') {
+      this.restorePlacements();
+    } else if (!this.saved) {
+      this.alignPlacements();
+    }
+    this.mode = mode;
+
+    if (mode === 'split') {
+      this.viewer.setSplitView([this.modelA, this.modelB]);
+    } else if (mode === 'overlay') {
+      this.addProxies(this.modelA, () => this.tintMaterials[0]);
+      this.addProxies(this.modelB, () => this.tintMaterials[1]);
+    }
+    this.dispatchEvent({ type: 'change' });
+
+    if (mode === 'deviation') {
+      await this.showDeviation();
+    }
+  }
+
+  // Moves B's placement onto A's and hides the other models
+  alignPlacements() {
+    const { modelA, modelB } = this;
+    const placementA = modelA.parent;
+    const placementB = modelB.parent;
+
+    this.saved = {
+      placement: placementB,
+      position: placementB.position.clone(),
+      quaternion: placementB.quaternion.clone(),
+      scale: placementB.scale.clone(),
+      visible: new Map(this.viewer.models.map(model => [model, model.parent.visible]))
+    };
+
+    placementB.position.copy(placementA.position);
+    placementB.quaternion.copy(placementA.quaternion);
+    placementB.scale.copy(placementA.scale);
+
+    // Models are centered in their placements; lining up where their source coordinates
+    // start instead keeps revisions that grew on one side where the file puts them
+    if (this.alignment === 'origin') {
+      const offset = modelA.position.clone().sub(modelB.position)
+        .multiply(placementA.scale)
+        .applyQuaternion(placementA.quaternion);
+      placementB.position.add(offset);
+    }
+
+    this.viewer.models.forEach((model) => {
+      model.parent.visible = model === modelA || model === modelB;
+    });
+
+    this.viewer.updateModelScale();
+    this.viewer.cameraController.fitBox(this.viewer.getModelBox(modelA), { animate: false });
+  }
+
+  restorePlacements() {
+    if (!this.saved) return;
+
+    const { placement } = this.saved;
+    placement.position.copy(this.saved.position);
+    placement.quaternion.copy(this.saved.quaternion);
+    placement.scale.copy(this.saved.scale);
+    this.saved.visible.forEach((visible, model) => { model.parent.visible = visible; });
+    this.saved = null;
+
+    this.viewer.updateModelScale();
+    this.viewer.cameraController.fitBox(this.viewer.getModelsBox(), { animate: false });
+  }
+
+  // Meshes of the model as it's displayed: visible, and not helpers or LOD levels
+  static getMeshes(model) {
+    const meshes = [];
+    model.traverse((child) => {
+      if (!child.isMesh || isHelperObject(child)) return;
+
+      for (let current = child; current !== model; current = current.parent) {
+        if (!current.visible) return;
+      }
+      meshes.push(child);
+    });
+    return meshes;
+  }
+
+  // Hides the model's meshes (and LOD levels) and draws each with a stand-in instead.
+  // getProxy(mesh) returns the stand-in's material, or { material, geometry }.
+  addProxies(model, getProxy) {
+    model.traverse((child) => {
+      if (child.isMesh && !child.userData.helper && !this.hiddenMeshes.has(child)) {
+        this.hiddenMeshes.set(child, child.layers.mask);
+        child.layers.set(HIDDEN_LAYER);
+      }
+    });
+
+    CompareTool.getMeshes(model).forEach((mesh) => {
+      const proxy = getProxy(mesh);
+      const { material, geometry } = proxy.isMaterial ? { material: proxy } : proxy;
+      const standIn = createStandIn(mesh, material, geometry);
+      mesh.add(standIn);
+      this.proxies.push(standIn);
+    });
+
+    const clippingPlanes = getModelClippingPlanes(model);
+    this.getMaterials().forEach(material => { material.clippingPlanes = clippingPlanes; });
+  }
+
+  clearDisplay() {
+    this.run++;
+    this.progress = null;
+    this.deviation = null;
+
+    if (this.viewer.splitView) {
+      this.viewer.setSplitView(null);
+    }
+    this.proxies.forEach(proxy => proxy.removeFromParent());
+    this.proxies = [];
+    this.heatGeometries.forEach(geometry => geometry.dispose());
+    this.heatGeometries = [];
+    this.hiddenMeshes.forEach((mask, mesh) => { mesh.layers.mask = mask; });
+    this.hiddenMeshes.clear();
+  }
+
+  async showDeviation() {
+    const run = this.run;
+    const { modelA, modelB } = this;
+
+    this.progress = 0;
+    this.dispatchEvent({ type: 'change' });
+
+    let distances;
+    try {
+      distances = await this.computeDeviations(modelA, modelB, {
+        isCancelled: () => run !== this.run,
+        onProgress: (progress) => {
+          this.progress = progress;
+          this.dispatchEvent({ type: 'change' });
+        }
+      });
+    } catch (error) {
+      if (run === this.run) {
+        this.setMode('off');
+      }
+      throw error;
+    }
+    if (run !== this.run) return;
+
+    let max = 0;
+    distances.forEach(values => values.forEach((value) => { max = Math.max(max, value); }));
+
+    this.addProxies(modelA, () => this.ghostMaterial);
+    this.addProxies(modelB, (mesh) => {
+      if (!distances.has(mesh)) return this.ghostMaterial;
+
+      const geometry = CompareTool.createHeatGeometry(mesh.geometry, distances.get(mesh), max);
+      this.heatGeometries.push(geometry);
+      return { material: this.heatMaterial, geometry };
+    });
+
+    this.progress = null;
+    this.deviation = { max, unit: modelA.userData.unit };
+    this.dispatchEvent({ type: 'change' });
+  }
+
+  // Distance from each vertex of the model's meshes to the reference's surface, in meters (the
+  // reference placement's space). Instanced meshes are left out, as their instances share
+  // vertex colors. Yields to the page every few thousand vertices.
+  async computeDeviations(reference, model, { isCancelled = () => false, onProgress = null } = {}) {
+    reference.updateWorldMatrix(true, true);
+    model.updateWorldMatrix(true, true);
+    const toReference = reference.parent.matrixWorld.clone().invert();
+
+    const grid = new TriangleGrid(collectTriangles(CompareTool.getMeshes(reference), toReference));
+    if (grid.count === 0) {
+      throw new Error('The reference model has no visible surfaces');
+    }
+
+    const meshes = CompareTool.getMeshes(model).filter(mesh => !mesh.isInstancedMesh);
+    const total = meshes.reduce((sum, mesh) => sum + mesh.geometry.attributes.position.count, 0);
+    const distances = new Map();
+    const matrix = new THREE.Matrix4();
+    const vertex = new THREE.Vector3();
+    let done = 0;
+
+    for (const mesh of meshes) {
+      const { count } = mesh.geometry.attributes.position;
+      const values = new Float32Array(count);
+      matrix.multiplyMatrices(toReference, mesh.matrixWorld);
+
+      for (let i = 0; i < count; i++) {
+        mesh.getVertexPosition(i, vertex).applyMatrix4(matrix);
+        values[i] = grid.distanceTo(vertex);
+
+        if (++done % VERTICES_PER_STEP === 0) {
+          onProgress?.(done / total);
+          await new Promise(resolve => setTimeout(resolve));
+          if (isCancelled()) return distances;
+        }
+      }
+      distances.set(mesh, values);
+    }
+    return distances;
+  }
+
+  // The mesh's geometry (attributes shared, not copied) with vertex colors for the deviations
+  static createHeatGeometry(source, values, max) {
+    const geometry = new THREE.BufferGeometry();
+    for (const [name, attribute] of Object.entries(source.attributes)) {
+      geometry.setAttribute(name, attribute);
+    }
+    geometry.setIndex(source.index);
+    geometry.morphAttributes = source.morphAttributes;
+    geometry.morphTargetsRelative = source.morphTargetsRelative;
+    if (!source.boundingSphere) {
+      source.computeBoundingSphere();
+    }
+    geometry.boundingSphere = source.boundingSphere;
+
+    const colors = new Float32Array(values.length * 3);
+    const color = new THREE.Color();
+    values.forEach((value, i) => {
+      CompareTool.getDeviationColor(max > 0 ? value / max : 0, color).toArray(colors, i * 3);
+    });
+    geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+    return geometry;
+  }
+
+  // Color along DEVIATION_COLORS for t from 0 to 1
+  static getDeviationColor(t, target = new THREE.Color()) {
+    const position = THREE.MathUtils.clamp(t, 0, 1) * (deviationStops.length - 1);
+    const index = Math.min(Math.floor(position), deviationStops.length - 2);
+    return target.copy(deviationStops[index]).lerp(deviationStops[index + 1], position - index);
+  }
+
+  dispose() {
+    this.setMode('off');
+    this.getMaterials().forEach(material => material.dispose());
+  }
+}
@@ -0,0 +1,241 @@
+import * as THREE from 'three';
+import { RGBELoader } from 'three/examples/jsm/loaders/RGBELoader.js';
+import { EXRLoader } from 'three/examples/jsm/loaders/EXRLoader.js';
+import { RoomEnvironment } from 'three/examples/jsm/environments/RoomEnvironment.js';
+
+export const TONE_MAPPINGS = {
+  none: { label: 'None', value: THREE.NoToneMapping },
+  linear: { label: 'Linear', value: THREE.LinearToneMapping },
+  reinhard: { label: 'Reinhard', value: THREE.ReinhardToneMapping },
+  cineon: { label: 'Cineon', value: THREE.CineonToneMapping },
+  aces: { label: 'ACES Filmic', value: THREE.ACESFilmicToneMapping },
+  agx: { label: 'AgX', value: THREE.AgXToneMapping },
+  neutral: { label: 'Khronos Neutral', value: THREE.NeutralToneMapping }
+};
+
+const ENVIRONMENT_LOADERS = {
+  hdr: () => new RGBELoader(),
+  exr: () => new EXRLoader()
+};
+
+// Equirect maps shipped in public/environments/; relative so they follow the app's base path
+export const BUNDLED_ENVIRONMENTS = {
+  sky: { label: 'Sky (bundled)', url: 'environments/sky.hdr' }
+};
+
+export const BACKGROUND_COLOR = 0xf0f0f0;
+
+function getLoaderFor(name) {
+  return ENVIRONMENT_LOADERS[name.split('?')[0].split('.').pop().toLowerCase()] || null;
+}
+
+// Image-based lighting: a PMREM-filtered environment (built-in studio, a bundled map or an .hdr/.exr file),
+// tone mapping and exposure, environment rotation and an optional blurred backdrop.
+export class EnvironmentController extends THREE.EventDispatcher {
+  constructor(renderer, scene) {
+    super();
+    this.renderer = renderer;
+    this.scene = scene;
+    this.pmremGenerator = new THREE.PMREMGenerator(renderer);
+    this.pmremGenerator.compileEquirectangularShader();
+
+    this.source = 'none'; // 'none' | 'studio' | 'file' | a BUNDLED_ENVIRONMENTS key
+    this.requestedSource = null; // Latest choice, so a slow bundled download can't override a newer one
+    this.fileName = null;
+    this.environmentMap = null; // PMREM render target texture used for lighting
+    this.backgroundTexture = null; // Full-resolution equirect for the backdrop, when there is one
+    this.studioTarget = null;
+    this.bundled = new Map(); // key -> promise of { texture, target }, loaded the first time each is picked
+    this.fileTarget = null;
+    this.fileTexture = null;
+
+    this.toneMapping = 'neutral';
+    this.exposure = 1;
+    this.rotation = 0; // degrees around the vertical axis
+    this.showBackground = false;
+    this.blur = 0;
+
+    this.setToneMapping(this.toneMapping);
+  }
+
+  static isEnvironmentFile(file) {
+    return Boolean(getLoaderFor(file.name));
+  }
+
+  // The neutral studio is generated from RoomEnvironment, so it needs no network or files
+  useStudio() {
+    if (!this.studioTarget) {
+      const room = new RoomEnvironment();
+      this.studioTarget = this.pmremGenerator.fromScene(room, 0.04);
+      room.dispose();
+    }
+
+    this.requestedSource = 'studio';
+    this.source = 'studio';
+    this.environmentMap = this.studioTarget.texture;
+    this.backgroundTexture = this.studioTarget.texture;
+    this.apply();
+  }
+
+  useNone() {
+    this.requestedSource = 'none';
+    this.source = 'none';
+    this.environmentMap = null;
+    this.backgroundTexture = null;
+    this.apply();
+  }
+
+  // Re-selects the last loaded file without reading it again
+  useFile() {
+    if (!this.fileTarget) return;
+
+    this.requestedSource = 'file';
+    this.source = 'file';
+    this.environmentMap = this.fileTarget.texture;
+    this.backgroundTexture = this.fileTexture;
+    this.apply();
+  }
+
+  // Served with the app, so only the first pick of each one downloads it
+  async useBundled(key) {
+    this.requestedSource = key;
+    if (!this.bundled.has(key)) {
+      const loading = this.loadFromURL(new URL(BUNDLED_ENVIRONMENTS[key].url, document.baseURI).href);
+      this.bundled.set(key, loading);
+      loading.catch(() => this.bundled.delete(key));
+    }
+
+    const { texture, target } = await this.bundled.get(key);
+    if (this.requestedSource !== key) return;
+
+    this.source = key;
+    this.environmentMap = target.texture;
+    this.backgroundTexture = texture;
+    this.apply();
+  }
+
+  async setSource(source) {
+    if (Object.hasOwn(BUNDLED_ENVIRONMENTS, source)) await this.useBundled(source);
+    else if (source === 'studio') this.useStudio();
+    else if (source === 'file') this.useFile();
+    else this.useNone();
+  }
+
+  async loadFile(file) {
+    const createLoader = getLoaderFor(file.name);
+    if (!createLoader) {
+      throw new Error(`Unsupported environment format: .${file.name.split('.').pop().toLowerCase()}. Supported formats: ${Object.keys(ENVIRONMENT_LOADERS).map(ext => `.${ext}`).join(', ')}`);
+    }
+
+    const url = URL.createObjectURL(file);
+    try {
+      const { texture, target } = await this.loadFromURL(url, { loader: createLoader() });
+
+      // Replace the previous file only once the new one decoded
+      this.disposeFile();
+      this.fileTexture = texture;
+      this.fileTarget = target;
+      this.fileName = file.name;
+
+      this.useFile();
+      return texture;
+    } finally {
+      URL.revokeObjectURL(url);
+    }
+  }
+
+  // Decodes an equirect map and prefilters it for lighting; the caller owns both results
+  async loadFromURL(url, { loader = null } = {}) {
+    if (!loader) {
+      const createLoader = getLoaderFor(url);
+      if (!createLoader) {
+        throw new Error(`Unsupported environment format: ${url.split('/').pop()}`);
+      }
+      loader = createLoader();
+    }
+
+    const texture = await loader.loadAsync(url);
+    texture.mapping = THREE.EquirectangularReflectionMapping;
+    return { texture, target: this.pmremGenerator.fromEquirectangular(texture) };
+  }
+
+  setToneMapping(toneMapping) {
+    if (!TONE_MAPPINGS[toneMapping]) {
+      throw new Error(`Unknown tone mapping: ${toneMapping}. Supported: ${Object.keys(TONE_MAPPINGS).join(', ')}`);
+    }
+
+    this.toneMapping = toneMapping;
+    this.renderer.toneMapping = TONE_MAPPINGS[toneMapping].value;
+    this.renderer.toneMappingExposure = this.exposure;
+    this.dispatchEvent({ type: 'change' });
+  }
+
+  setExposure(exposure) {
+    this.exposure = exposure;
+    this.renderer.toneMappingExposure = exposure;
+    this.dispatchEvent({ type: 'change' });
+  }
+
+  setRotation(degrees) {
+    this.rotation = degrees;
+    this.apply();
+  }
+
+  setShowBackground(showBackground) {
+    this.showBackground = showBackground;
+    this.apply();
+  }
+
+  setBlur(blur) {
+    this.blur = THREE.MathUtils.clamp(blur, 0, 1);
+    this.apply();
+  }
+
+  apply() {
+    const radians = THREE.MathUtils.degToRad(this.rotation);
+
+    this.scene.environment = this.environmentMap;
+    this.scene.environmentRotation.set(0, radians, 0);
+    this.scene.backgroundRotation.set(0, radians, 0);
+    this.scene.backgroundBlurriness = this.blur;
+    this.restoreBackground();
+
+    this.dispatchEvent({ type: 'change' });
+  }
+
+  // Puts the desktop backdrop back, e.g. after the AR simulation cleared it for the camera feed
+  restoreBackground() {
+    if (this.showBackground && this.backgroundTexture) {
+      this.scene.background = this.backgroundTexture;
+    } else {
+      this.scene.background = new THREE.Color(BACKGROUND_COLOR);
+    }
+  }
+
+  disposeFile() {
+    if (this.fileTarget) {
+      this.fileTarget.dispose();
+      this.fileTarget = null;
+    }
+    if (this.fileTexture) {
+      this.fileTexture.dispose();
+      this.fileTexture = null;
+    }
+    this.fileName = null;
+  }
+
+  dispose() {
+    this.useNone();
+    this.disposeFile();
+    this.bundled.forEach(loading => loading.then(({ texture, target }) => {
+      texture.dispose();
+      target.dispose();
+    }, () => {}));
+    this.bundled.clear();
+    if (this.studioTarget) {
+      this.studioTarget.dispose();
+      this.studioTarget = null;
+    }
+    this.pmremGenerator.dispose();
+  }
+}
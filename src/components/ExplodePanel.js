@@ -0,0 +1,56 @@
+export class ExplodePanel {
+  constructor(container, explodeTool) {
+    this.container = container;
+    this.tool = explodeTool;
+
+    this.createElements();
+    this.bindEvents();
+    this.render();
+  }
+
+  createElements() {
+    this.element = document.createElement('div');
+    this.element.className = 'explode-panel';
+    this.element.innerHTML = `
+      <span class="explode-title">💥 Explode</span>
+      <input class="explode-amount" type="range" min="0" max="1" step="0.01" value="0" title="Exploded view" />
+      <select class="explode-axis" title="Explode direction">
+        <option value="radial">From center</option>
+        <option value="x">Along X</option>
+        <option value="y">Along Y</option>
+        <option value="z">Along Z</option>
+      </select>
+      <button class="explode-reset" type="button" title="Reassemble the model">Reset</button>
+    `;
+
+    this.amountSlider = this.element.querySelector('.explode-amount');
+    this.axisSelect = this.element.querySelector('.explode-axis');
+    this.resetButton = this.element.querySelector('.explode-reset');
+
+    this.container.appendChild(this.element);
+  }
+
+  bindEvents() {
+    // Dragging the slider follows the pointer directly; the animated transition is for jumps
+    this.amountSlider.addEventListener('input', () => {
+      this.tool.setAmount(Number(this.amountSlider.value), { immediate: true });
+    });
+
+    this.axisSelect.addEventListener('change', () => {
+      this.tool.setAxis(this.axisSelect.value);
+    });
+
+    this.resetButton.addEventListener('click', () => {
+      this.tool.reset();
+    });
+
+    this.tool.addEventListener('change', () => this.render());
+  }
+
+  render() {
+    this.element.style.display = this.tool.hasParts ? 'flex' : 'none';
+    this.amountSlider.value = this.tool.targetAmount;
+    this.axisSelect.value = this.tool.axis;
+    this.resetButton.disabled = this.tool.targetAmount === 0;
+  }
+}
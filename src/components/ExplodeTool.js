@@ -0,0 +1,176 @@
+import * as THREE from 'three';
+import { isHelperObject } from '../utils/SceneHelpers.js';
+
+// How far a part travels at 100%, as a multiple of its offset from the assembly centroid
+const EXPLODE_SPREAD = 1.5;
+const TRANSITION_LAMBDA = 8;
+const AXES = {
+  x: new THREE.Vector3(1, 0, 0),
+  y: new THREE.Vector3(0, 1, 0),
+  z: new THREE.Vector3(0, 0, 1)
+};
+
+export class ExplodeTool extends THREE.EventDispatcher {
+  constructor(modelViewer) {
+    super();
+    this.viewer = modelViewer;
+    this.parts = []; // { path, basePosition, offsets: { radial, x, y, z } }
+    this.targets = []; // { root, nodes } for the model and its copies
+    this.axis = 'radial';
+    this.amount = 0;
+    this.targetAmount = 0;
+
+    this.viewer.addEventListener('modelchange', ({ model }) => this.setModel(model));
+    this.viewer.addEventListener('update', ({ delta }) => this.update(delta));
+    this.addEventListener('change', () => this.viewer.requestRender());
+    this.viewer.addCloneHandler(this);
+  }
+
+  // Wrapper nodes (glTF scene, a single root node) are skipped down to the first level that branches
+  static findParts(root) {
+    let node = root;
+
+    for (;;) {
+      const children = node.children.filter(child => !isHelperObject(child));
+      if (children.length !== 1) {
+        return children.length > 1 ? children : [];
+      }
+      node = children[0];
+    }
+  }
+
+  // Child-index path from the root, so the same part can be found in a clone
+  static getPath(root, node) {
+    const path = [];
+    for (let current = node; current !== root; current = current.parent) {
+      path.unshift(current.parent.children.indexOf(current));
+    }
+    return path;
+  }
+
+  static resolvePath(root, path) {
+    return path.reduce((node, index) => node && node.children[index], root);
+  }
+
+  setModel(model) {
+    // Put the previous model back together before letting go of it
+    this.amount = 0;
+    this.apply();
+
+    this.targets = [];
+    this.parts = [];
+    this.amount = 0;
+    this.targetAmount = 0;
+
+    if (model) {
+      this.analyze(model);
+      this.attach(model);
+    }
+    this.dispatchEvent({ type: 'change' });
+  }
+
+  analyze(model) {
+    model.updateMatrixWorld(true);
+
+    const box = new THREE.Box3();
+    const parts = ExplodeTool.findParts(model)
+      .map(node => ({ node, box: new THREE.Box3().setFromObject(node) }))
+      .filter(part => !part.box.isEmpty()); // Bones, lights and cameras stay put
+
+    if (parts.length < 2) return;
+
+    // Offsets live in the parts' parent space, which is what their positions are in
+    const parent = parts[0].node.parent;
+    const worldToParent = parent.matrixWorld.clone().invert();
+    parts.forEach(part => box.union(part.box));
+    const centroid = box.getCenter(new THREE.Vector3()).applyMatrix4(worldToParent);
+
+    const axes = Object.fromEntries(Object.entries(AXES).map(([name, axis]) => [
+      name,
+      axis.clone().transformDirection(worldToParent)
+    ]));
+
+    this.parts = parts.map(({ node, box: partBox }) => {
+      const radial = partBox.getCenter(new THREE.Vector3()).applyMatrix4(worldToParent).sub(centroid);
+      const offsets = { radial };
+
+      for (const [name, axis] of Object.entries(axes)) {
+        offsets[name] = axis.clone().multiplyScalar(radial.dot(axis));
+      }
+
+      return {
+        path: ExplodeTool.getPath(model, node),
+        basePosition: node.position.clone(),
+        offsets
+      };
+    });
+  }
+
+  get hasParts() {
+    return this.parts.length > 0;
+  }
+
+  // amount is 0 (assembled) to 1 (fully exploded); transitions animate unless immediate
+  setAmount(amount, { immediate = false } = {}) {
+    this.targetAmount = THREE.MathUtils.clamp(amount, 0, 1);
+
+    if (immediate) {
+      this.amount = this.targetAmount;
+      this.apply();
+    }
+    this.dispatchEvent({ type: 'change' });
+  }
+
+  setAxis(axis) {
+    if (axis !== 'radial' && !AXES[axis]) {
+      throw new Error(`Unknown explode axis: ${axis}. Supported axes: radial, ${Object.keys(AXES).join(', ')}`);
+    }
+
+    this.axis = axis;
+    this.apply();
+    this.dispatchEvent({ type: 'change' });
+  }
+
+  reset() {
+    this.setAmount(0);
+  }
+
+  // Parts are placed absolutely (base + offset) and only while something changes,
+  // so an assembled model is left exactly as loaded
+  update(delta) {
+    if (this.amount === this.targetAmount) return;
+
+    this.amount = THREE.MathUtils.damp(this.amount, this.targetAmount, TRANSITION_LAMBDA, delta);
+    if (Math.abs(this.amount - this.targetAmount) < 0.001) {
+      this.amount = this.targetAmount;
+    }
+    this.apply();
+  }
+
+  apply() {
+    const distance = this.amount * EXPLODE_SPREAD;
+    this.viewer.requestRender();
+
+    for (const target of this.targets) {
+      target.nodes.forEach((node, i) => {
+        if (!node) return;
+
+        const part = this.parts[i];
+        node.position.copy(part.basePosition).addScaledVector(part.offsets[this.axis], distance);
+      });
+    }
+  }
+
+  // Explodes another copy of the model (e.g. the clone placed in AR) in step with the first
+  attach(root) {
+    if (this.targets.some(target => target.root === root)) return;
+
+    const nodes = this.parts.map(part => ExplodeTool.resolvePath(root, part.path));
+    this.targets.push({ root, nodes });
+    this.apply();
+  }
+
+  detach(root) {
+    this.targets = this.targets.filter(target => target.root !== root);
+  }
+}
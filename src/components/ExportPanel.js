@@ -0,0 +1,87 @@
+import { EXPORT_UNITS } from './ExportTool.js';
+import { downloadBlob } from '../utils/Download.js';
+
+export class ExportPanel {
+  constructor(container, exportTool, { onError = null } = {}) {
+    this.container = container;
+    this.tool = exportTool;
+    this.onError = onError;
+    this.exporting = false;
+
+    this.createElements();
+    this.bindEvents();
+    this.render();
+  }
+
+  createElements() {
+    this.element = document.createElement('details');
+    this.element.className = 'export-panel';
+    this.element.innerHTML = `
+      <summary>💾 Export</summary>
+      <div class="export-row">
+        <label><input class="export-textures" type="checkbox" /> Embed textures</label>
+        <label><input class="export-hidden" type="checkbox" /> Strip hidden</label>
+      </div>
+      <div class="export-row">
+        <select class="export-units" title="Units of the exported file"></select>
+        <button class="export-glb" type="button" title="Save the selected model as binary glTF">Save GLB</button>
+      </div>
+    `;
+
+    this.texturesToggle = this.element.querySelector('.export-textures');
+    this.hiddenToggle = this.element.querySelector('.export-hidden');
+    this.unitsSelect = this.element.querySelector('.export-units');
+    this.exportButton = this.element.querySelector('.export-glb');
+
+    for (const [key, units] of Object.entries(EXPORT_UNITS)) {
+      this.unitsSelect.add(new Option(units.label, key));
+    }
+
+    this.container.appendChild(this.element);
+  }
+
+  bindEvents() {
+    this.texturesToggle.addEventListener('change', () => {
+      this.tool.setEmbedTextures(this.texturesToggle.checked);
+    });
+
+    this.hiddenToggle.addEventListener('change', () => {
+      this.tool.setStripHidden(this.hiddenToggle.checked);
+    });
+
+    this.unitsSelect.addEventListener('change', () => {
+      this.tool.setUnits(this.unitsSelect.value);
+    });
+
+    this.exportButton.addEventListener('click', () => this.export());
+
+    this.tool.addEventListener('change', () => this.render());
+    this.tool.viewer.addEventListener('modelchange', () => this.render());
+  }
+
+  render() {
+    this.texturesToggle.checked = this.tool.embedTextures;
+    this.hiddenToggle.checked = this.tool.stripHidden;
+    this.unitsSelect.value = this.tool.units;
+    this.exportButton.disabled = !this.tool.viewer.currentModel || this.exporting;
+  }
+
+  async export() {
+    this.exporting = true;
+    this.render();
+
+    try {
+      const fileName = this.tool.getFileName();
+      const blob = await this.tool.exportGLB();
+      downloadBlob(blob, fileName);
+    } catch (error) {
+      console.error('Export failed:', error);
+      if (this.onError) {
+        this.onError(error);
+      }
+    } finally {
+      this.exporting = false;
+      this.render();
+    }
+  }
+}
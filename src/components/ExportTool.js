@@ -0,0 +1,132 @@
+import * as THREE from 'three';
+import { GLTFExporter } from 'three/examples/jsm/exporters/GLTFExporter.js';
+import { clone as cloneSkinned } from 'three/examples/jsm/utils/SkeletonUtils.js';
+import { decompress } from 'three/examples/jsm/utils/WebGLTextureUtils.js';
+import { isHelperObject } from '../utils/SceneHelpers.js';
+import { getOriginalMaterial } from './RenderModeTool.js';
+
+export const EXPORT_UNITS = {
+  meters: { label: 'Meters (true size)' },
+  source: { label: 'Source units' }
+};
+
+// For exporters' setTextureUtils: KTX2 textures are GPU-only, so they're decoded back to images
+// in a throwaway context
+export function createExporterTextureUtils() {
+  return { decompress };
+}
+
+// A copy of a model for exporters: its own materials rather than the display mode's, and no tool
+// helpers or LOD levels. Shares geometry and textures with the model; only texture-less material
+// copies are new, and returned for disposal.
+export function createExportCopy(model, { stripTextures = false } = {}) {
+  const root = cloneSkinned(model);
+
+  const helpers = [];
+  root.traverse((child) => {
+    if (child !== root && isHelperObject(child) && !isHelperObject(child.parent)) {
+      helpers.push(child);
+    }
+  });
+  helpers.forEach(helper => helper.removeFromParent());
+
+  const stripped = new Map(); // original material -> copy without textures
+  const resolveMaterial = (material) => {
+    if (!stripTextures) return material;
+
+    if (!stripped.has(material)) {
+      const copy = material.clone();
+      for (const [key, value] of Object.entries(copy)) {
+        if (value && value.isTexture) {
+          copy[key] = null;
+        }
+      }
+      stripped.set(material, copy);
+    }
+    return stripped.get(material);
+  };
+
+  root.traverse((child) => {
+    if (!child.material) return;
+
+    const original = getOriginalMaterial(child.material);
+    child.material = Array.isArray(original) ? original.map(resolveMaterial) : resolveMaterial(original);
+  });
+
+  return { root, materials: [...stripped.values()] };
+}
+
+// Writes the selected model to binary glTF, e.g. to share an STL or OBJ with glTF-only tools.
+export class ExportTool extends THREE.EventDispatcher {
+  constructor(modelViewer) {
+    super();
+    this.viewer = modelViewer;
+    this.embedTextures = true;
+    this.units = 'meters';
+    this.stripHidden = true;
+  }
+
+  setEmbedTextures(embed) {
+    this.embedTextures = embed;
+    this.dispatchEvent({ type: 'change' });
+  }
+
+  setUnits(units) {
+    if (!EXPORT_UNITS[units]) {
+      throw new Error(`Unknown export units: ${units}. Supported units: ${Object.keys(EXPORT_UNITS).join(', ')}`);
+    }
+
+    this.units = units;
+    this.dispatchEvent({ type: 'change' });
+  }
+
+  setStripHidden(strip) {
+    this.stripHidden = strip;
+    this.dispatchEvent({ type: 'change' });
+  }
+
+  // Resolves to a .glb blob of the selected model with its arrangement transform and animations
+  async exportGLB() {
+    const model = this.viewer.currentModel;
+    if (!model) {
+      throw new Error('No model to export');
+    }
+
+    const { root, materials } = createExportCopy(model, { stripTextures: !this.embedTextures });
+    this.applyExportTransform(root, model);
+    try {
+      const exporter = new GLTFExporter();
+      exporter.setTextureUtils(createExporterTextureUtils());
+
+      const glb = await exporter.parseAsync(root, {
+        binary: true,
+        onlyVisible: this.stripHidden,
+        animations: model.animations
+      });
+      return new Blob([glb], { type: 'model/gltf-binary' });
+    } finally {
+      materials.forEach(material => material.dispose());
+    }
+  }
+
+  // The placement's arrangement transform and the loader's normalization (true size, centered),
+  // without fit-to-view's display scale; in source units the meter conversion is undone
+  applyExportTransform(root, model) {
+    const placement = model.parent;
+    placement.updateMatrix();
+    model.updateMatrix();
+    root.matrixAutoUpdate = false;
+    root.matrix.multiplyMatrices(placement.matrix, model.matrix);
+    if (this.units === 'source') {
+      const toSource = 1 / model.userData.unitScale;
+      root.matrix.premultiply(new THREE.Matrix4().makeScale(toSource, toSource, toSource));
+    }
+    root.matrix.decompose(root.position, root.quaternion, root.scale);
+  }
+
+  // The loaded file's name with a .glb extension
+  getFileName(model = this.viewer.currentModel) {
+    const name = (model && (model.userData.fileName || model.name)) || 'model';
+    return `${name.replace(/\.[^.]+$/, '')}.glb`;
+  }
+}
@@ -0,0 +1,286 @@
+import * as THREE from 'three';
+import { HorizontalBlurShader } from 'three/examples/jsm/shaders/HorizontalBlurShader.js';
+import { VerticalBlurShader } from 'three/examples/jsm/shaders/VerticalBlurShader.js';
+
+const LIGHT_DIRECTION = new THREE.Vector3(5, 5, 5).normalize();
+const GROUND_SIZE_FACTOR = 4; // The ground spans this many times the arrangement's largest dimension
+const GRID_MIN_CELLS = 10;
+const SHADOW_OPACITY = 0.25;
+const CONTACT_SHADOW_RESOLUTION = 512;
+const CONTACT_SHADOW_OPACITY = 0.7;
+const CONTACT_SHADOW_BLUR = 2;
+
+// A ground under the loaded models: a plane that catches the key light's shadow, soft contact
+// shadows rendered from below, and an optional grid in round metric steps. It follows the base
+// of the arrangement, and the key light's shadow camera is fitted to it, whenever bounds change.
+export class GroundController extends THREE.EventDispatcher {
+  constructor(modelViewer, light) {
+    super();
+    this.viewer = modelViewer;
+    this.light = light;
+
+    this.showGround = true;
+    this.contactShadows = true;
+    this.showGrid = false;
+    this.cellSize = null; // Grid cell in meters, once fitted
+
+    this.bounds = new THREE.Box3();
+    this.fittedBounds = new THREE.Box3(); // Arrangement bounds the ground was last fitted to
+
+    this.group = new THREE.Group();
+    this.group.name = 'ground';
+    this.group.userData.helper = true;
+    this.group.visible = false;
+    this.viewer.scene.add(this.group);
+
+    // The light aims at its target, which needs to be in the scene to follow the models
+    this.viewer.scene.add(this.light.target);
+
+    this.createShadowPlane();
+    this.createContactShadows();
+    this.apply();
+  }
+
+  createShadowPlane() {
+    // Transparent except where the key light's shadow falls
+    this.shadowPlane = new THREE.Mesh(
+      new THREE.PlaneGeometry(1, 1).rotateX(-Math.PI / 2),
+      new THREE.ShadowMaterial({ opacity: SHADOW_OPACITY, depthWrite: false })
+    );
+    this.shadowPlane.receiveShadow = true;
+    this.group.add(this.shadowPlane);
+  }
+
+  // Contact shadows as in the three.js example: the models' depth seen from below, darker the
+  // closer to the ground, blurred and shown on a plane
+  createContactShadows() {
+    const createTarget = () => {
+      const target = new THREE.WebGLRenderTarget(CONTACT_SHADOW_RESOLUTION, CONTACT_SHADOW_RESOLUTION);
+      target.texture.generateMipmaps = false;
+      return target;
+    };
+    this.contactTarget = createTarget();
+    this.contactBlurTarget = createTarget();
+
+    const geometry = new THREE.PlaneGeometry(1, 1).rotateX(Math.PI / 2);
+    this.contactPlane = new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({
+      map: this.contactTarget.texture,
+      opacity: CONTACT_SHADOW_OPACITY,
+      transparent: true,
+      depthWrite: false
+    }));
+    this.contactPlane.renderOrder = 1;
+    this.group.add(this.contactPlane);
+
+    this.blurPlane = new THREE.Mesh(geometry);
+    this.blurPlane.visible = false;
+    this.group.add(this.blurPlane);
+
+    this.contactCamera = new THREE.OrthographicCamera();
+    this.contactCamera.rotation.x = Math.PI / 2; // Looking up from the ground
+    this.group.add(this.contactCamera);
+
+    this.depthMaterial = new THREE.MeshDepthMaterial({ depthTest: false, depthWrite: false });
+    this.depthMaterial.onBeforeCompile = (shader) => {
+      shader.fragmentShader = shader.fragmentShader.replace(
+        'gl_FragColor = vec4( vec3( 1.0 - fragCoordZ ), opacity );',
+        'gl_FragColor = vec4( vec3( 0.0 ), 1.0 - fragCoordZ );'
+      );
+    };
+
+    const createBlurMaterial = shader => new THREE.ShaderMaterial({
+      ...shader,
+      uniforms: THREE.UniformsUtils.clone(shader.uniforms),
+      depthTest: false
+    });
+    this.horizontalBlurMaterial = createBlurMaterial(HorizontalBlurShader);
+    this.verticalBlurMaterial = createBlurMaterial(VerticalBlurShader);
+  }
+
+  setShowGround(show) {
+    this.showGround = show;
+    this.apply();
+  }
+
+  setContactShadows(enabled) {
+    this.contactShadows = enabled;
+    this.apply();
+  }
+
+  setShowGrid(show) {
+    this.showGrid = show;
+    this.apply();
+  }
+
+  apply() {
+    this.shadowPlane.visible = this.showGround;
+    this.contactPlane.visible = this.contactShadows;
+    if (this.grid) {
+      this.grid.visible = this.showGrid;
+    }
+    this.dispatchEvent({ type: 'change' });
+  }
+
+  // Called every frame: refits when the arrangement moved
+  update() {
+    const bounds = this.viewer.getModelsBox(this.bounds);
+
+    // In WebXR the desktop models are hidden and only the placed copy is shown
+    const visible = !bounds.isEmpty() && this.viewer.modelRoot.visible;
+    if (visible !== this.group.visible) {
+      this.group.visible = visible;
+      this.dispatchEvent({ type: 'change' });
+    }
+
+    if (visible && !bounds.equals(this.fittedBounds)) {
+      this.fit(bounds);
+    }
+  }
+
+  // Called before each rendered frame, as the models may have moved or animated since the last one
+  render() {
+    if (this.group.visible && this.contactShadows) {
+      this.renderContactShadows();
+    }
+  }
+
+  fit(bounds) {
+    this.fittedBounds.copy(bounds);
+
+    const size = bounds.getSize(new THREE.Vector3());
+    const center = bounds.getCenter(new THREE.Vector3());
+    const maxDim = Math.max(size.x, size.y, size.z) || 1;
+
+    // Just below the base, so flat-bottomed models don't z-fight with the grid
+    this.group.position.set(center.x, bounds.min.y - maxDim * 0.001, center.z);
+    const extent = this.fitGrid(maxDim * GROUND_SIZE_FACTOR);
+    this.shadowPlane.scale.set(extent, 1, extent);
+
+    // Contact shadows only need to cover the footprint; objects higher than half the model fade out
+    const footprint = Math.max(size.x, size.z) * 1.5 || maxDim;
+    this.contactPlane.scale.set(footprint, -1, footprint); // Flipped to face up, as in the example
+    this.blurPlane.scale.set(footprint, 1, footprint);
+    Object.assign(this.contactCamera, {
+      left: -footprint / 2,
+      right: footprint / 2,
+      top: footprint / 2,
+      bottom: -footprint / 2,
+      near: 0,
+      far: maxDim / 2
+    });
+    this.contactCamera.updateProjectionMatrix();
+
+    this.fitShadowCamera(center, bounds.getBoundingSphere(new THREE.Sphere()).radius || 1);
+    this.dispatchEvent({ type: 'change' });
+  }
+
+  // Cells are round metric steps (1 cm, 10 cm, 1 m...) of the models' true size, whatever the
+  // fit-to-view scale; returns the grid's world-space extent
+  fitGrid(extent) {
+    const metersToWorld = this.viewer.modelRoot.scale.x;
+    const meters = extent / metersToWorld;
+    this.cellSize = Math.pow(10, Math.floor(Math.log10(meters / GRID_MIN_CELLS)));
+    const divisions = Math.ceil(meters / this.cellSize);
+    const size = divisions * this.cellSize * metersToWorld;
+    if (this.grid && this.grid.userData.size === size && this.grid.userData.divisions === divisions) {
+      return size;
+    }
+
+    if (this.grid) {
+      this.grid.removeFromParent();
+      this.grid.dispose();
+    }
+    this.grid = new THREE.GridHelper(size, divisions, 0x888888, 0xcccccc);
+    this.grid.userData = { size, divisions };
+    this.grid.visible = this.showGrid;
+    this.group.add(this.grid);
+
+    return size;
+  }
+
+  // Keeps the light's direction but moves it and its shadow camera to enclose the models,
+  // so the shadow map's resolution is spent on them rather than on default bounds
+  fitShadowCamera(center, radius) {
+    // The shadow falls beside the models on the ground as well as on them
+    const reach = radius * 2;
+    const { camera } = this.light.shadow;
+
+    this.light.position.copy(center).addScaledVector(LIGHT_DIRECTION, reach * 2);
+    this.light.target.position.copy(center);
+    this.light.target.updateMatrixWorld();
+
+    Object.assign(camera, { left: -reach, right: reach, top: reach, bottom: -reach, near: reach * 0.01, far: reach * 4 });
+    camera.updateProjectionMatrix();
+    this.light.shadow.normalBias = (reach * 2) / this.light.shadow.mapSize.width;
+  }
+
+  renderContactShadows() {
+    const { renderer } = this.viewer;
+    const { scene, modelRoot } = this.viewer;
+    if (renderer.xr.isPresenting) return;
+
+    // Only the models cast contact shadows, not the ground itself, gizmos or other helpers.
+    // Lights stay on: hiding them would make every lit material re-check its program.
+    const hidden = scene.children.filter(child => child !== modelRoot && !child.isLight && child.visible);
+    hidden.forEach(child => { child.visible = false; });
+    const saved = {
+      background: scene.background,
+      target: renderer.getRenderTarget(),
+      clearAlpha: renderer.getClearAlpha()
+    };
+
+    // The key light's shadow map is rendered for the main pass; no need to redo it here
+    renderer.shadowMap.autoUpdate = false;
+    scene.background = null;
+    scene.overrideMaterial = this.depthMaterial;
+    renderer.setClearAlpha(0);
+    renderer.setRenderTarget(this.contactTarget);
+    renderer.render(scene, this.contactCamera);
+    scene.overrideMaterial = null;
+
+    this.blur(CONTACT_SHADOW_BLUR);
+    this.blur(CONTACT_SHADOW_BLUR * 0.4);
+
+    renderer.setRenderTarget(saved.target);
+    renderer.setClearAlpha(saved.clearAlpha);
+    renderer.shadowMap.autoUpdate = true;
+    scene.background = saved.background;
+    hidden.forEach(child => { child.visible = true; });
+  }
+
+  blur(amount) {
+    const { renderer } = this.viewer;
+    this.blurPlane.visible = true;
+
+    this.blurPlane.material = this.horizontalBlurMaterial;
+    this.horizontalBlurMaterial.uniforms.tDiffuse.value = this.contactTarget.texture;
+    this.horizontalBlurMaterial.uniforms.h.value = amount / 256;
+    renderer.setRenderTarget(this.contactBlurTarget);
+    renderer.render(this.blurPlane, this.contactCamera);
+
+    this.blurPlane.material = this.verticalBlurMaterial;
+    this.verticalBlurMaterial.uniforms.tDiffuse.value = this.contactBlurTarget.texture;
+    this.verticalBlurMaterial.uniforms.v.value = amount / 256;
+    renderer.setRenderTarget(this.contactTarget);
+    renderer.render(this.blurPlane, this.contactCamera);
+
+    this.blurPlane.visible = false;
+  }
+
+  dispose() {
+    this.group.removeFromParent();
+    this.light.target.removeFromParent();
+    this.shadowPlane.geometry.dispose();
+    this.shadowPlane.material.dispose();
+    this.contactPlane.geometry.dispose();
+    this.contactPlane.material.dispose();
+    if (this.grid) {
+      this.grid.dispose();
+    }
+    this.contactTarget.dispose();
+    this.contactBlurTarget.dispose();
+    this.depthMaterial.dispose();
+    this.horizontalBlurMaterial.dispose();
+    this.verticalBlurMaterial.dispose();
+  }
+}
@@ -0,0 +1,210 @@
+import { SelectionTool } from './SelectionTool.js';
+import { formatDimensions } from '../utils/Units.js';
+
+// Collapsible tree of the selected model's nodes with a details pane for the selected one.
+// Children are only rendered once their parent is expanded, so large assemblies stay cheap.
+export class InspectorPanel {
+  constructor(container, selectionTool, cameraController) {
+    this.container = container;
+    this.tool = selectionTool;
+    this.cameraController = cameraController;
+    this.model = null;
+    this.items = new Map(); // node -> rendered <li>
+    this.expanded = new Set();
+    this.revealed = null;
+
+    this.createElements();
+    this.bindEvents();
+    this.setModel(this.tool.viewer.currentModel);
+  }
+
+  createElements() {
+    this.element = document.createElement('details');
+    this.element.className = 'inspector-panel';
+    this.element.innerHTML = `
+      <summary>🌳 Structure</summary>
+      <ul class="inspector-tree"></ul>
+      <div class="inspector-details"></div>
+      <div class="inspector-row">
+        <button class="inspector-frame" type="button" title="Zoom to the selected node">Frame</button>
+        <button class="inspector-show-all" type="button" title="Show every node of the model">Show all</button>
+      </div>
+    `;
+
+    this.tree = this.element.querySelector('.inspector-tree');
+    this.details = this.element.querySelector('.inspector-details');
+    this.frameButton = this.element.querySelector('.inspector-frame');
+    this.showAllButton = this.element.querySelector('.inspector-show-all');
+
+    this.container.appendChild(this.element);
+  }
+
+  bindEvents() {
+    this.tree.addEventListener('click', (event) => {
+      const item = event.target.closest('li');
+      const node = item && item.node;
+      if (!node) return;
+
+      const action = event.target.closest('[data-action]');
+      switch (action && action.dataset.action) {
+        case 'expand':
+          this.toggleExpanded(node);
+          break;
+        case 'visibility':
+          this.tool.setVisible(node, !node.visible);
+          break;
+        case 'isolate':
+          this.tool.isolate(node);
+          break;
+        default:
+          this.tool.select(node === this.tool.selected ? null : node);
+      }
+    });
+
+    this.frameButton.addEventListener('click', () => {
+      if (this.tool.selected) {
+        this.cameraController.frameObject(this.tool.selected);
+      }
+    });
+
+    this.showAllButton.addEventListener('click', () => {
+      this.tool.showAll();
+    });
+
+    this.tool.viewer.addEventListener('modelchange', ({ model }) => this.setModel(model));
+    this.tool.addEventListener('change', () => this.render());
+  }
+
+  setModel(model) {
+    this.model = model;
+    this.expanded = new Set(model ? [model] : []);
+    this.renderTree();
+    this.render();
+  }
+
+  renderTree() {
+    this.tree.innerHTML = '';
+    this.items.clear();
+
+    if (this.model) {
+      this.tree.appendChild(this.createItem(this.model));
+    } else {
+      this.tree.innerHTML = '<li class="inspector-empty">No model loaded</li>';
+    }
+  }
+
+  createItem(node) {
+    const item = document.createElement('li');
+    item.node = node;
+
+    const children = SelectionTool.getChildren(node);
+    const { meshes, materials } = SelectionTool.getCounts(node);
+    const counts = node.isMesh
+      ? `${materials} material${materials === 1 ? '' : 's'}`
+      : `${meshes} mesh${meshes === 1 ? '' : 'es'}, ${materials} material${materials === 1 ? '' : 's'}`;
+
+    item.innerHTML = `
+      <div class="inspector-node">
+        <button class="inspector-expand" type="button" data-action="expand"></button>
+        <span class="inspector-name"></span>
+        <span class="inspector-counts"></span>
+        <button class="inspector-visibility" type="button" data-action="visibility"></button>
+        <button class="inspector-isolate" type="button" data-action="isolate" title="Show only this node">◎</button>
+      </div>
+      <ul class="inspector-children"></ul>
+    `;
+    item.querySelector('.inspector-expand').style.visibility = children.length > 0 ? '' : 'hidden';
+    item.querySelector('.inspector-name').textContent = node.name || node.type;
+    item.querySelector('.inspector-counts').textContent = counts;
+
+    this.items.set(node, item);
+    if (this.expanded.has(node)) {
+      this.renderChildren(item);
+    }
+    this.renderItem(item);
+    return item;
+  }
+
+  renderChildren(item) {
+    const list = item.querySelector('.inspector-children');
+    if (list.childElementCount > 0) return;
+
+    SelectionTool.getChildren(item.node).forEach(child => list.appendChild(this.createItem(child)));
+  }
+
+  toggleExpanded(node) {
+    if (this.expanded.has(node)) {
+      this.expanded.delete(node);
+    } else {
+      this.expanded.add(node);
+      this.renderChildren(this.items.get(node));
+    }
+    this.renderItem(this.items.get(node));
+  }
+
+  // Opens the tree down to a node, e.g. one picked in the viewport
+  reveal(node) {
+    const path = [];
+    for (let current = node.parent; current && current !== this.model.parent; current = current.parent) {
+      path.unshift(current);
+    }
+    path.forEach((ancestor) => {
+      if (!this.expanded.has(ancestor)) {
+        this.toggleExpanded(ancestor);
+      }
+    });
+  }
+
+  renderItem(item) {
+    const { node } = item;
+    const expanded = this.expanded.has(node);
+
+    item.classList.toggle('selected', node === this.tool.selected);
+    item.classList.toggle('hidden-node', !node.visible);
+    item.querySelector('.inspector-expand').textContent = expanded ? '▾' : '▸';
+    item.querySelector('.inspector-children').style.display = expanded ? '' : 'none';
+
+    const visibilityButton = item.querySelector('.inspector-visibility');
+    visibilityButton.textContent = node.visible ? '👁' : '–';
+    visibilityButton.title = node.visible ? 'Hide' : 'Show';
+  }
+
+  render() {
+    const { selected } = this.tool;
+
+    // A newly selected node is scrolled into view, e.g. after picking it in the viewport
+    if (selected !== this.revealed) {
+      this.revealed = selected;
+      if (selected && this.model && this.tool.viewer.getModelOf(selected) === this.model) {
+        this.reveal(selected);
+        this.items.get(selected).scrollIntoView({ block: 'nearest' });
+      }
+    }
+    this.items.forEach(item => this.renderItem(item));
+
+    this.frameButton.disabled = !selected;
+    this.showAllButton.disabled = !this.model;
+    this.renderDetails();
+  }
+
+  renderDetails() {
+    const { selected } = this.tool;
+    if (!selected) {
+      this.details.textContent = this.model ? 'Click a part or a node to see its details' : '';
+      return;
+    }
+
+    const { name, type, triangles, materials, size, unit } = this.tool.getDetails(selected);
+    this.details.innerHTML = `
+      <dl>
+        <dt>Name</dt><dd class="inspector-detail-name"></dd>
+        <dt>Type</dt><dd>${type}</dd>
+        <dt>Triangles</dt><dd>${triangles.toLocaleString()}</dd>
+        <dt>Materials</dt><dd class="inspector-detail-materials"></dd>
+        <dt>Size</dt><dd>${formatDimensions(size, unit)}</dd>
+      </dl>
+    `;
+    this.details.querySelector('.inspector-detail-name').textContent = name || '(unnamed)';
+    this.details.querySelector('.inspector-detail-materials').textContent = materials.join(', ') || 'none';
+  }
+}
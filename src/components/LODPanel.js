@@ -0,0 +1,87 @@
+import { BUDGET_OPTIONS, DEVICE_BUDGETS } from './LODTool.js';
+
+const REFRESH_INTERVAL_MS = 500; // Displayed counts follow the camera, but needn't every frame
+
+export class LODPanel {
+  constructor(container, lodTool) {
+    this.container = container;
+    this.tool = lodTool;
+    this.lastRefresh = 0;
+
+    this.createElements();
+    this.bindEvents();
+    this.render();
+  }
+
+  static formatBudget(budget) {
+    if (budget === Infinity) return 'No limit';
+    return budget >= 1000000 ? `${budget / 1000000}M` : `${budget / 1000}k`;
+  }
+
+  createElements() {
+    this.element = document.createElement('details');
+    this.element.className = 'lod-panel';
+    this.element.innerHTML = `
+      <summary>⚡ Performance</summary>
+      <div class="lod-row">
+        <label><input class="lod-enabled" type="checkbox" /> Auto LOD</label>
+        <select class="lod-budget" title="Triangles drawn up close, for all models together"></select>
+      </div>
+      <dl class="lod-counts">
+        <dt>Original</dt><dd class="lod-original"></dd>
+        <dt>Displayed</dt><dd class="lod-displayed"></dd>
+      </dl>
+      <div class="lod-note">Applies to models loaded afterwards</div>
+    `;
+
+    this.enabledToggle = this.element.querySelector('.lod-enabled');
+    this.budgetSelect = this.element.querySelector('.lod-budget');
+    this.originalValue = this.element.querySelector('.lod-original');
+    this.displayedValue = this.element.querySelector('.lod-displayed');
+
+    const deviceBudget = DEVICE_BUDGETS[this.tool.deviceClass];
+    BUDGET_OPTIONS.forEach(budget => {
+      const label = `${LODPanel.formatBudget(budget)} triangles${budget === deviceBudget ? ` (${this.tool.deviceClass})` : ''}`;
+      this.budgetSelect.add(new Option(label, String(budget)));
+    });
+
+    this.container.appendChild(this.element);
+  }
+
+  bindEvents() {
+    this.enabledToggle.addEventListener('change', () => {
+      this.tool.setEnabled(this.enabledToggle.checked);
+    });
+
+    this.budgetSelect.addEventListener('change', () => {
+      this.tool.setBudget(Number(this.budgetSelect.value));
+    });
+
+    this.tool.addEventListener('change', () => this.render());
+    this.tool.viewer.addEventListener('modeladd', () => this.renderCounts());
+    this.tool.viewer.addEventListener('modelremove', () => this.renderCounts());
+    this.element.addEventListener('toggle', () => this.renderCounts());
+
+    // Levels switch as the camera moves, so the counts refresh while the panel is open
+    this.tool.viewer.addEventListener('update', () => {
+      const now = performance.now();
+      if (this.element.open && now - this.lastRefresh > REFRESH_INTERVAL_MS) {
+        this.renderCounts();
+      }
+    });
+  }
+
+  render() {
+    this.enabledToggle.checked = this.tool.enabled;
+    this.budgetSelect.value = String(this.tool.budget);
+    this.budgetSelect.disabled = !this.tool.enabled;
+    this.renderCounts();
+  }
+
+  renderCounts() {
+    this.lastRefresh = performance.now();
+    const { original, displayed } = this.tool.getTriangleCounts();
+    this.originalValue.textContent = original.toLocaleString();
+    this.displayedValue.textContent = displayed.toLocaleString();
+  }
+}
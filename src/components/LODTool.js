@@ -0,0 +1,61 @@
+import * as THREE from 'three';
+import { getTriangleCounts } from '../utils/LODGenerator.js';
+
+// Triangles the whole scene may draw up close; heavy meshes are simplified to fit on load
+export const DEVICE_BUDGETS = {
+  mobile: 500000,
+  desktop: 3000000
+};
+export const BUDGET_OPTIONS = [250000, 500000, 1000000, 3000000, 10000000, Infinity];
+
+// Automatic levels of detail for heavy models, with a triangle budget that defaults to what the
+// device class can draw smoothly. Settings apply to models loaded afterwards.
+export class LODTool extends THREE.EventDispatcher {
+  constructor(modelViewer) {
+    super();
+    this.viewer = modelViewer;
+    this.enabled = true;
+    this.deviceClass = LODTool.detectDeviceClass();
+    this.budget = DEVICE_BUDGETS[this.deviceClass];
+
+    this.addEventListener('change', () => this.viewer.requestRender());
+  }
+
+  static detectDeviceClass() {
+    if (navigator.userAgentData) {
+      return navigator.userAgentData.mobile ? 'mobile' : 'desktop';
+    }
+    // iPadOS reports itself as a Mac, but Macs have no touch screen
+    const isIPad = /Macintosh/.test(navigator.userAgent) && navigator.maxTouchPoints > 1;
+    return isIPad || /Android|iPhone|iPad|iPod|Mobile/i.test(navigator.userAgent) ? 'mobile' : 'desktop';
+  }
+
+  setEnabled(enabled) {
+    this.enabled = enabled;
+    this.dispatchEvent({ type: 'change' });
+  }
+
+  setBudget(budget) {
+    if (!BUDGET_OPTIONS.includes(budget)) {
+      throw new Error(`Unknown triangle budget: ${budget}. Supported budgets: ${BUDGET_OPTIONS.join(', ')}`);
+    }
+
+    this.budget = budget;
+    this.dispatchEvent({ type: 'change' });
+  }
+
+  // Spread into ModelLoader.loadModel's options
+  getLoadOptions() {
+    return { lod: this.enabled, triangleBudget: this.budget };
+  }
+
+  // Summed over the loaded models; the displayed count follows the levels picked for the last frame
+  getTriangleCounts() {
+    return this.viewer.models.reduce((total, model) => {
+      const counts = getTriangleCounts(model);
+      total.original += counts.original;
+      total.displayed += counts.displayed;
+      return total;
+    }, { original: 0, displayed: 0 });
+  }
+}
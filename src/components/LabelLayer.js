@@ -0,0 +1,77 @@
+import * as THREE from 'three';
+
+// HTML labels pinned to objects in the scene. Unlike CSS2DRenderer, labels respect the
+// visibility of their anchor's ancestors, so hiding a model hides its labels too.
+export class LabelLayer {
+  constructor(container) {
+    this.container = container;
+    this.labels = new Set();
+    this.position = new THREE.Vector3();
+
+    this.element = document.createElement('div');
+    this.element.className = 'label-layer';
+    this.container.appendChild(this.element);
+  }
+
+  // isOccluded(worldPosition, camera) can hide labels that sit behind geometry
+  add(anchor, element, { isOccluded = null } = {}) {
+    const label = { anchor, element, isOccluded };
+
+    element.classList.add('scene-label');
+    this.element.appendChild(element);
+    this.labels.add(label);
+
+    return label;
+  }
+
+  remove(label) {
+    if (!label || !this.labels.has(label)) return;
+
+    label.element.remove();
+    this.labels.delete(label);
+  }
+
+  // Visible only if every ancestor is visible and the chain actually reaches a scene
+  static isVisible(object) {
+    for (let current = object; current; current = current.parent) {
+      if (!current.visible) return false;
+      if (current.isScene) return true;
+    }
+    return false;
+  }
+
+  update(camera) {
+    const width = this.container.clientWidth;
+    const height = this.container.clientHeight;
+
+    for (const label of this.labels) {
+      const { anchor, element } = label;
+
+      // Anchors removed from the scene graph (or hidden) take their label with them
+      let visible = LabelLayer.isVisible(anchor);
+
+      if (visible) {
+        anchor.getWorldPosition(this.position);
+        if (label.isOccluded && label.isOccluded(this.position, camera)) {
+          visible = false;
+        }
+
+        this.position.project(camera);
+        visible = visible && this.position.z >= -1 && this.position.z <= 1;
+      }
+
+      element.style.display = visible ? '' : 'none';
+      if (!visible) continue;
+
+      const x = (this.position.x + 1) / 2 * width;
+      const y = (1 - this.position.y) / 2 * height;
+      element.style.transform = `translate(-50%, -50%) translate(${x}px, ${y}px)`;
+    }
+  }
+
+  dispose() {
+    this.labels.forEach(label => label.element.remove());
+    this.labels.clear();
+    this.element.remove();
+  }
+}
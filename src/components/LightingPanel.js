@@ -0,0 +1,192 @@
+import { TONE_MAPPINGS, BUNDLED_ENVIRONMENTS } from './EnvironmentController.js';
+
+export class LightingPanel {
+  constructor(container, environmentController, groundController, { onError = null } = {}) {
+    this.container = container;
+    this.environment = environmentController;
+    this.ground = groundController;
+    this.onError = onError;
+
+    this.createElements();
+    this.bindEvents();
+    this.render();
+  }
+
+  createElements() {
+    this.element = document.createElement('details');
+    this.element.className = 'lighting-panel';
+    this.element.innerHTML = `
+      <summary>💡 Lighting</summary>
+      <div class="lighting-row">
+        <select class="lighting-source" title="Environment lighting">
+          <option value="none">No environment</option>
+          <option value="studio">Studio (built-in)</option>
+          <option value="file">File</option>
+        </select>
+        <button class="lighting-load" type="button" title="Load an .hdr or .exr environment map">Load HDR/EXR</button>
+        <input class="lighting-file" type="file" accept=".hdr,.exr" hidden />
+      </div>
+      <div class="lighting-row">
+        <label>Tone mapping</label>
+        <select class="lighting-tone-mapping"></select>
+      </div>
+      <div class="lighting-row">
+        <label>Exposure</label>
+        <input class="lighting-exposure" type="range" min="0.1" max="4" step="0.05" />
+        <span class="lighting-exposure-value"></span>
+      </div>
+      <div class="lighting-row">
+        <label>Rotation</label>
+        <input class="lighting-rotation" type="range" min="0" max="360" step="1" />
+        <span class="lighting-rotation-value"></span>
+      </div>
+      <div class="lighting-row">
+        <label><input class="lighting-background" type="checkbox" /> Show as background</label>
+      </div>
+      <div class="lighting-row">
+        <label>Blur</label>
+        <input class="lighting-blur" type="range" min="0" max="1" step="0.01" />
+      </div>
+      <div class="lighting-row">
+        <label title="Catch the key light's shadow on the ground"><input class="lighting-ground" type="checkbox" /> Ground shadow</label>
+        <label title="Grid at the models' base in round metric steps"><input class="lighting-grid" type="checkbox" /> Grid</label>
+      </div>
+      <div class="lighting-row">
+        <label title="Soft shadow where the models touch the ground"><input class="lighting-contact" type="checkbox" /> Contact shadows</label>
+      </div>
+    `;
+
+    this.sourceSelect = this.element.querySelector('.lighting-source');
+    this.loadButton = this.element.querySelector('.lighting-load');
+    this.fileInput = this.element.querySelector('.lighting-file');
+    this.toneMappingSelect = this.element.querySelector('.lighting-tone-mapping');
+    this.exposureSlider = this.element.querySelector('.lighting-exposure');
+    this.exposureValue = this.element.querySelector('.lighting-exposure-value');
+    this.rotationSlider = this.element.querySelector('.lighting-rotation');
+    this.rotationValue = this.element.querySelector('.lighting-rotation-value');
+    this.backgroundToggle = this.element.querySelector('.lighting-background');
+    this.blurSlider = this.element.querySelector('.lighting-blur');
+    this.groundToggle = this.element.querySelector('.lighting-ground');
+    this.gridToggle = this.element.querySelector('.lighting-grid');
+    this.contactToggle = this.element.querySelector('.lighting-contact');
+
+    const fileOption = this.sourceSelect.querySelector('option[value="file"]');
+    for (const [key, environment] of Object.entries(BUNDLED_ENVIRONMENTS)) {
+      this.sourceSelect.add(new Option(environment.label, key), fileOption);
+    }
+
+    for (const [key, toneMapping] of Object.entries(TONE_MAPPINGS)) {
+      this.toneMappingSelect.add(new Option(toneMapping.label, key));
+    }
+
+    this.container.appendChild(this.element);
+  }
+
+  bindEvents() {
+    this.sourceSelect.addEventListener('change', () => {
+      this.setSource(this.sourceSelect.value);
+    });
+
+    this.loadButton.addEventListener('click', () => {
+      this.fileInput.click();
+    });
+
+    this.fileInput.addEventListener('change', () => {
+      const [file] = this.fileInput.files;
+      if (file) {
+        this.loadFile(file);
+      }
+      this.fileInput.value = '';
+    });
+
+    this.toneMappingSelect.addEventListener('change', () => {
+      this.environment.setToneMapping(this.toneMappingSelect.value);
+    });
+
+    this.exposureSlider.addEventListener('input', () => {
+      this.environment.setExposure(Number(this.exposureSlider.value));
+    });
+
+    this.rotationSlider.addEventListener('input', () => {
+      this.environment.setRotation(Number(this.rotationSlider.value));
+    });
+
+    this.backgroundToggle.addEventListener('change', () => {
+      this.environment.setShowBackground(this.backgroundToggle.checked);
+    });
+
+    this.blurSlider.addEventListener('input', () => {
+      this.environment.setBlur(Number(this.blurSlider.value));
+    });
+
+    this.groundToggle.addEventListener('change', () => {
+      this.ground.setShowGround(this.groundToggle.checked);
+    });
+
+    this.gridToggle.addEventListener('change', () => {
+      this.ground.setShowGrid(this.gridToggle.checked);
+    });
+
+    this.contactToggle.addEventListener('change', () => {
+      this.ground.setContactShadows(this.contactToggle.checked);
+    });
+
+    this.environment.addEventListener('change', () => this.render());
+    this.ground.addEventListener('change', () => this.render());
+  }
+
+  // Bundled environments download the first time they're picked
+  async setSource(source) {
+    this.sourceSelect.disabled = true;
+
+    try {
+      await this.environment.setSource(source);
+    } catch (error) {
+      console.error('Environment loading failed:', error);
+      if (this.onError) {
+        this.onError(error);
+      }
+    } finally {
+      this.sourceSelect.disabled = false;
+      this.render();
+    }
+  }
+
+  async loadFile(file) {
+    this.loadButton.disabled = true;
+    this.loadButton.textContent = 'Loading...';
+
+    try {
+      await this.environment.loadFile(file);
+    } catch (error) {
+      console.error('Environment loading failed:', error);
+      if (this.onError) {
+        this.onError(error);
+      }
+    } finally {
+      this.loadButton.disabled = false;
+      this.loadButton.textContent = 'Load HDR/EXR';
+    }
+  }
+
+  render() {
+    const { source, fileName, toneMapping, exposure, rotation, showBackground, blur } = this.environment;
+    const fileOption = this.sourceSelect.querySelector('option[value="file"]');
+
+    fileOption.textContent = fileName || 'File (none loaded)';
+    fileOption.disabled = !fileName;
+    this.sourceSelect.value = source;
+    this.toneMappingSelect.value = toneMapping;
+    this.exposureSlider.value = exposure;
+    this.exposureValue.textContent = exposure.toFixed(2);
+    this.rotationSlider.value = rotation;
+    this.rotationValue.textContent = `${rotation}°`;
+    this.backgroundToggle.checked = showBackground;
+    this.backgroundToggle.disabled = source === 'none';
+    this.blurSlider.value = blur;
+    this.blurSlider.disabled = !showBackground || source === 'none';
+    this.groundToggle.checked = this.ground.showGround;
+    this.gridToggle.checked = this.ground.showGrid;
+    this.contactToggle.checked = this.ground.contactShadows;
+  }
+}
@@ -0,0 +1,60 @@
+export class MeasurementPanel {
+  constructor(container, measurementTool) {
+    this.container = container;
+    this.tool = measurementTool;
+
+    this.createElements();
+    this.bindEvents();
+    this.render();
+  }
+
+  createElements() {
+    this.element = document.createElement('div');
+    this.element.className = 'measurement-panel';
+    this.element.innerHTML = `
+      <button class="measurement-toggle" type="button" title="Click points on the model to measure">📐 Measure</button>
+      <select class="measurement-mode" title="Measurement type">
+        <option value="distance">Distance</option>
+        <option value="angle">Angle</option>
+      </select>
+      <button class="measurement-clear" type="button" title="Remove all measurements">Clear</button>
+      <span class="measurement-hint"></span>
+    `;
+
+    this.toggleButton = this.element.querySelector('.measurement-toggle');
+    this.modeSelect = this.element.querySelector('.measurement-mode');
+    this.clearButton = this.element.querySelector('.measurement-clear');
+    this.hint = this.element.querySelector('.measurement-hint');
+
+    this.container.appendChild(this.element);
+  }
+
+  bindEvents() {
+    this.toggleButton.addEventListener('click', () => {
+      this.tool.setEnabled(!this.tool.enabled);
+    });
+
+    this.modeSelect.addEventListener('change', () => {
+      this.tool.setMode(this.modeSelect.value);
+    });
+
+    this.clearButton.addEventListener('click', () => {
+      this.tool.clear();
+    });
+
+    this.tool.addEventListener('change', () => this.render());
+  }
+
+  render() {
+    const { enabled, mode, measurements } = this.tool;
+
+    this.toggleButton.classList.toggle('active', enabled);
+    this.modeSelect.value = mode;
+    this.clearButton.disabled = measurements.length === 0;
+
+    // Points snap to vertices and edges; Escape drops a half-finished measurement
+    this.hint.textContent = enabled
+      ? (mode === 'angle' ? 'Click 3 points, vertex second · Esc cancels' : 'Click 2 points · Esc cancels')
+      : '';
+  }
+}
@@ -0,0 +1,382 @@
+import * as THREE from 'three';
+import { formatLength } from '../utils/Units.js';
+import { isHelperObject } from '../utils/SceneHelpers.js';
+
+const POINTS_REQUIRED = { distance: 2, angle: 3 };
+const VERTEX_SNAP_PX = 12;
+const EDGE_SNAP_PX = 8;
+const CLICK_TOLERANCE_PX = 4;
+const MEASUREMENT_COLOR = 0xff5722;
+
+export class MeasurementTool extends THREE.EventDispatcher {
+  constructor(modelViewer) {
+    super();
+    this.viewer = modelViewer;
+    this.enabled = false;
+    this.mode = 'distance';
+    this.measurements = [];
+    this.savedMeasurements = new WeakMap(); // model -> its measurements while another one is selected
+    this.pendingPoints = [];
+    this.nextId = 1;
+
+    // Every copy of the model that shows measurements: { root, group, labels: Map<id, label> }
+    this.targets = [];
+
+    this.raycaster = new THREE.Raycaster();
+    this.pointer = new THREE.Vector2();
+    this.pointerDown = null;
+    this.hoverRequested = false;
+
+    this.createPreview();
+    this.bindEvents();
+
+    this.viewer.addEventListener('modelchange', ({ model }) => this.setModel(model));
+    this.addEventListener('change', () => this.viewer.requestRender());
+    this.viewer.addCloneHandler(this);
+  }
+
+  createPreview() {
+    // Pending points and the snap indicator live in world space on the scene
+    this.preview = new THREE.Group();
+    this.preview.userData.helper = true;
+    this.preview.renderOrder = 999;
+
+    this.pendingMarkers = new THREE.Points(
+      new THREE.BufferGeometry(),
+      new THREE.PointsMaterial({ color: MEASUREMENT_COLOR, size: 8, sizeAttenuation: false, depthTest: false })
+    );
+    this.pendingMarkers.renderOrder = 999;
+
+    this.hoverMarker = new THREE.Points(
+      new THREE.BufferGeometry().setAttribute('position', new THREE.Float32BufferAttribute([0, 0, 0], 3)),
+      new THREE.PointsMaterial({ color: 0xffffff, size: 10, sizeAttenuation: false, depthTest: false })
+    );
+    this.hoverMarker.renderOrder = 1000;
+    this.hoverMarker.visible = false;
+
+    this.preview.add(this.pendingMarkers, this.hoverMarker);
+    this.preview.visible = false;
+    this.viewer.scene.add(this.preview);
+  }
+
+  bindEvents() {
+    const canvas = this.viewer.renderer.domElement;
+
+    this.onPointerDown = (event) => {
+      this.pointerDown = { x: event.clientX, y: event.clientY };
+    };
+
+    // A click (not an orbit drag) picks a point
+    this.onPointerUp = (event) => {
+      if (!this.enabled || !this.pointerDown || event.button !== 0) return;
+
+      const moved = Math.hypot(event.clientX - this.pointerDown.x, event.clientY - this.pointerDown.y);
+      this.pointerDown = null;
+      if (moved > CLICK_TOLERANCE_PX) return;
+
+      const snap = this.pick(event);
+      if (snap) {
+        this.addPoint(snap.point);
+      }
+    };
+
+    // Raycasting big meshes is costly, so hover snapping runs at most once per frame
+    this.onPointerMove = (event) => {
+      if (!this.enabled || this.hoverRequested) return;
+
+      this.hoverRequested = true;
+      requestAnimationFrame(() => {
+        this.hoverRequested = false;
+        this.updateHover(event);
+        this.viewer.requestRender();
+      });
+    };
+
+    this.onKeyDown = (event) => {
+      if (this.enabled && event.key === 'Escape') {
+        this.cancelPending();
+      }
+    };
+
+    canvas.addEventListener('pointerdown', this.onPointerDown);
+    canvas.addEventListener('pointerup', this.onPointerUp);
+    canvas.addEventListener('pointermove', this.onPointerMove);
+    window.addEventListener('keydown', this.onKeyDown);
+  }
+
+  setModel(model) {
+    this.cancelPending();
+    this.targets.forEach(target => this.detach(target.root));
+    if (this.model) {
+      this.savedMeasurements.set(this.model, this.measurements);
+    }
+
+    this.model = model;
+    this.measurements = (model && this.savedMeasurements.get(model)) || [];
+
+    if (model) {
+      this.attach(model);
+    }
+    this.dispatchEvent({ type: 'change' });
+  }
+
+  setEnabled(enabled) {
+    this.enabled = enabled;
+    this.preview.visible = enabled;
+    this.viewer.renderer.domElement.style.cursor = enabled ? 'crosshair' : '';
+
+    if (!enabled) {
+      this.cancelPending();
+      this.hoverMarker.visible = false;
+    }
+    this.dispatchEvent({ type: 'change' });
+  }
+
+  setMode(mode) {
+    if (!POINTS_REQUIRED[mode]) {
+      throw new Error(`Unknown measurement mode: ${mode}. Supported modes: ${Object.keys(POINTS_REQUIRED).join(', ')}`);
+    }
+
+    this.mode = mode;
+    this.cancelPending();
+    this.dispatchEvent({ type: 'change' });
+  }
+
+  // Raycasts the current model and snaps to a nearby vertex or edge of the hit triangle
+  pick(event) {
+    if (!this.model) return null;
+
+    const rect = this.viewer.renderer.domElement.getBoundingClientRect();
+    this.pointer.set(
+      ((event.clientX - rect.left) / rect.width) * 2 - 1,
+      -((event.clientY - rect.top) / rect.height) * 2 + 1
+    );
+    this.raycaster.setFromCamera(this.pointer, this.viewer.camera);
+
+    const hit = this.raycaster.intersectObject(this.model, true)
+      .find(intersection => intersection.object.isMesh && intersection.face && !isHelperObject(intersection.object));
+    if (!hit) return null;
+
+    return this.snap(hit, { x: event.clientX - rect.left, y: event.clientY - rect.top }, rect);
+  }
+
+  snap(hit, pointerPx, rect) {
+    const mesh = hit.object;
+    const corners = [hit.face.a, hit.face.b, hit.face.c].map(index => {
+      const vertex = mesh.getVertexPosition(index, new THREE.Vector3());
+      return mesh.localToWorld(vertex);
+    });
+
+    const toScreen = (point) => {
+      const projected = point.clone().project(this.viewer.camera);
+      return {
+        x: (projected.x + 1) / 2 * rect.width,
+        y: (1 - projected.y) / 2 * rect.height
+      };
+    };
+    const screenDistance = (point) => {
+      const screen = toScreen(point);
+      return Math.hypot(screen.x - pointerPx.x, screen.y - pointerPx.y);
+    };
+
+    // Vertices win over edges, edges over the raw surface point
+    let best = null;
+    for (const corner of corners) {
+      const distance = screenDistance(corner);
+      if (distance <= VERTEX_SNAP_PX && (!best || distance < best.distance)) {
+        best = { point: corner, distance, type: 'vertex' };
+      }
+    }
+    if (best) return best;
+
+    const segment = new THREE.Line3();
+    for (let i = 0; i < 3; i++) {
+      segment.set(corners[i], corners[(i + 1) % 3]);
+      const closest = segment.closestPointToPoint(hit.point, true, new THREE.Vector3());
+      const distance = screenDistance(closest);
+      if (distance <= EDGE_SNAP_PX && (!best || distance < best.distance)) {
+        best = { point: closest, distance, type: 'edge' };
+      }
+    }
+
+    return best || { point: hit.point.clone(), distance: 0, type: 'surface' };
+  }
+
+  updateHover(event) {
+    const snap = this.pick(event);
+    this.hoverMarker.visible = Boolean(snap);
+
+    if (snap) {
+      this.hoverMarker.position.copy(snap.point);
+      this.hoverMarker.material.color.set(snap.type === 'surface' ? 0xffffff : 0xffeb3b);
+    }
+  }
+
+  addPoint(worldPoint) {
+    this.pendingPoints.push(worldPoint.clone());
+    this.updatePendingMarkers();
+
+    if (this.pendingPoints.length === POINTS_REQUIRED[this.mode]) {
+      // Stored in model-local coordinates so measurements survive re-scaling and show on clones
+      const points = this.pendingPoints.map(point => this.model.worldToLocal(point.clone()));
+      this.cancelPending();
+      this.addMeasurement({ type: this.mode, points });
+    }
+  }
+
+  updatePendingMarkers() {
+    const positions = this.pendingPoints.flatMap(point => point.toArray());
+    this.pendingMarkers.geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    this.pendingMarkers.geometry.computeBoundingSphere();
+  }
+
+  cancelPending() {
+    this.pendingPoints = [];
+    this.updatePendingMarkers();
+  }
+
+  addMeasurement({ type, points }) {
+    const measurement = { id: this.nextId++, type, points: points.map(point => point.clone()) };
+    this.measurements.push(measurement);
+
+    this.targets.forEach(target => this.addToTarget(target, measurement));
+    this.dispatchEvent({ type: 'change' });
+    return measurement;
+  }
+
+  removeMeasurement(id) {
+    this.measurements = this.measurements.filter(measurement => measurement.id !== id);
+    this.targets.forEach(target => this.removeFromTarget(target, id));
+    this.dispatchEvent({ type: 'change' });
+  }
+
+  clear() {
+    [...this.measurements].forEach(measurement => this.removeMeasurement(measurement.id));
+    this.cancelPending();
+  }
+
+  // Real-world value: model-local distance -> source units -> meters
+  getValue(measurement) {
+    const [a, b, c] = measurement.points;
+
+    if (measurement.type === 'angle') {
+      const ba = a.clone().sub(b);
+      const bc = c.clone().sub(b);
+      return THREE.MathUtils.radToDeg(ba.angleTo(bc));
+    }
+
+    const { baseScale = [1, 1, 1], unitScale = 1 } = this.model.userData;
+    return a.distanceTo(b) * baseScale[0] * unitScale;
+  }
+
+  getText(measurement) {
+    const value = this.getValue(measurement);
+
+    if (measurement.type === 'angle') {
+      return `${value.toFixed(1)}°`;
+    }
+    return formatLength(value, this.model.userData.unit || 'm');
+  }
+
+  // Labels read the model's unit, so they need refreshing when it changes
+  refreshLabels() {
+    for (const target of this.targets) {
+      for (const [id, label] of target.labels) {
+        const measurement = this.measurements.find(candidate => candidate.id === id);
+        label.element.querySelector('.measurement-value').textContent = this.getText(measurement);
+      }
+    }
+  }
+
+  buildObject(measurement) {
+    const object = new THREE.Group();
+    object.userData.measurementId = measurement.id;
+
+    const material = new THREE.LineBasicMaterial({ color: MEASUREMENT_COLOR, depthTest: false, transparent: true });
+    const line = new THREE.Line(new THREE.BufferGeometry().setFromPoints(measurement.points), material);
+    line.renderOrder = 999;
+
+    const markers = new THREE.Points(
+      new THREE.BufferGeometry().setFromPoints(measurement.points),
+      new THREE.PointsMaterial({ color: MEASUREMENT_COLOR, size: 7, sizeAttenuation: false, depthTest: false })
+    );
+    markers.renderOrder = 999;
+
+    // Distance labels sit mid-span, angle labels on the vertex
+    const anchor = new THREE.Object3D();
+    if (measurement.type === 'angle') {
+      anchor.position.copy(measurement.points[1]);
+    } else {
+      anchor.position.copy(measurement.points[0]).lerp(measurement.points[1], 0.5);
+    }
+
+    object.add(line, markers, anchor);
+    return { object, anchor };
+  }
+
+  createLabelElement(measurement) {
+    const element = document.createElement('div');
+    element.className = 'measurement-label';
+    element.innerHTML = `<span class="measurement-value"></span><button type="button" title="Remove measurement">×</button>`;
+    element.querySelector('.measurement-value').textContent = this.getText(measurement);
+    element.querySelector('button').addEventListener('click', () => this.removeMeasurement(measurement.id));
+    return element;
+  }
+
+  addToTarget(target, measurement) {
+    const { object, anchor } = this.buildObject(measurement);
+    target.group.add(object);
+    target.labels.set(measurement.id, this.viewer.labelLayer.add(anchor, this.createLabelElement(measurement)));
+  }
+
+  removeFromTarget(target, id) {
+    const object = target.group.children.find(child => child.userData.measurementId === id);
+    if (object) {
+      target.group.remove(object);
+      object.traverse((child) => {
+        if (child.geometry) child.geometry.dispose();
+        if (child.material) child.material.dispose();
+      });
+    }
+
+    this.viewer.labelLayer.remove(target.labels.get(id));
+    target.labels.delete(id);
+  }
+
+  // Shows the measurements on another copy of the model, e.g. the clone placed in AR
+  attach(root) {
+    if (this.targets.some(target => target.root === root)) return;
+
+    // A clone carries a copy of the desktop group; rebuild it so each copy owns its objects and labels
+    root.children.filter(child => child.userData.measurements).forEach(child => root.remove(child));
+
+    const group = new THREE.Group();
+    group.name = 'measurements';
+    group.userData.helper = true;
+    group.userData.measurements = true;
+    root.add(group);
+
+    const target = { root, group, labels: new Map() };
+    this.targets.push(target);
+    this.measurements.forEach(measurement => this.addToTarget(target, measurement));
+  }
+
+  detach(root) {
+    const target = this.targets.find(candidate => candidate.root === root);
+    if (!target) return;
+
+    this.measurements.forEach(measurement => this.removeFromTarget(target, measurement.id));
+    root.remove(target.group);
+    this.targets = this.targets.filter(candidate => candidate !== target);
+  }
+
+  dispose() {
+    this.setModel(null);
+    const canvas = this.viewer.renderer.domElement;
+    canvas.removeEventListener('pointerdown', this.onPointerDown);
+    canvas.removeEventListener('pointerup', this.onPointerUp);
+    canvas.removeEventListener('pointermove', this.onPointerMove);
+    window.removeEventListener('keydown', this.onKeyDown);
+    this.viewer.scene.remove(this.preview);
+  }
+}
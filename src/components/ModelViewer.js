@@ -1,16 +1,47 @@
 import * as THREE from 'three';
-import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
+import { ResourceTracker } from '../utils/ResourceTracker.js';
+import { scaleModel } from '../utils/Units.js';
+import { AnimationController } from './AnimationController.js';
+import { LabelLayer } from './LabelLayer.js';
+import { EnvironmentController, BACKGROUND_COLOR } from './EnvironmentController.js';
+import { CameraController } from './CameraController.js';
+import { GroundController } from './GroundController.js';
 
-export class ModelViewer {
+// HTML labels keep updating this long after the last render, so throttled occlusion checks settle
+const LABEL_SETTLE_MS = 250;
+
+export class ModelViewer extends THREE.EventDispatcher {
   constructor(container) {
+    super();
     this.container = container;
     this.scene = null;
     this.camera = null;
     this.renderer = null;
     this.controls = null;
-    this.currentModel = null;
+    this.models = []; // Every loaded model, in load order
+    this.currentModel = null; // The selected model, which the tools work on
+    this.modelRoot = null;
     this.lights = [];
+    this.clock = new THREE.Clock();
+    this.animationController = new AnimationController();
+    
+    // Components that mirror their state onto copies of the model (see attachClone)
+    this.cloneHandlers = [this.animationController];
+    
+    // Desktop-only: shrink or grow the model to a 2-unit box instead of showing true size
+    this.fitToView = false;
+
+    // Compare mode: [left, right] models, each drawn in its own half of the view (see setSplitView)
+    this.splitView = null;
+    
+    // Everything each model allocates, so it can be freed when removed
+    this.resourceTrackers = new Map();
+    
+    // Frames are only rendered when something changed (see requestRender)
+    this.needsRender = true;
+    this.lastRenderTime = 0;
+    this.lastAnimationTime = null;
     
     this.init();
   }
@@ -18,7 +49,13 @@ export class ModelViewer {
   init() {
     // Create scene
     this.scene = new THREE.Scene();
-    this.scene.background = new THREE.Color(0xf0f0f0);
+    this.scene.background = new THREE.Color(BACKGROUND_COLOR);
+
+    // Loaded models sit in placement groups under one root: placements carry the user's
+    // arrangement, the models inside keep their normalized scale and centering
+    this.modelRoot = new THREE.Group();
+    this.modelRoot.name = 'models';
+    this.scene.add(this.modelRoot);
 
     // Create camera
     this.camera = new THREE.PerspectiveCamera(
@@ -30,13 +67,21 @@ export class ModelViewer {
     this.camera.position.set(0, 0, 5);
 
     // Create renderer
-    this.renderer = new THREE.WebGLRenderer({ antialias: true });
+    // Stencil buffer is needed for capped section planes, alpha for transparent captures
+    this.renderer = new THREE.WebGLRenderer({ antialias: true, stencil: true, alpha: true });
     this.renderer.setSize(this.container.clientWidth, this.container.clientHeight);
     this.renderer.setPixelRatio(window.devicePixelRatio);
     this.renderer.shadowMap.enabled = true;
     this.renderer.shadowMap.type = THREE.PCFSoftShadowMap;
     this.container.appendChild(this.renderer.domElement);
 
+    // HTML labels (measurements, annotations) pinned over the canvas
+    this.labelLayer = new LabelLayer(this.container);
+
+    // Image-based lighting; the built-in studio makes PBR materials read correctly offline
+    this.environment = new EnvironmentController(this.renderer, this.scene);
+    this.environment.useStudio();
+
     // Create orbit controls
     this.controls = new OrbitControls(this.camera, this.renderer.domElement);
     this.controls.enableDamping = true;
@@ -44,16 +89,27 @@ export class ModelViewer {
     this.controls.screenSpacePanning = false;
     this.controls.minDistance = 1;
     this.controls.maxDistance = 100;
-    this.controls.maxPolarAngle = Math.PI / 2;
+    this.controls.addEventListener('change', () => this.requestRender());
+
+    // Standard views, framing and the perspective/orthographic switch; may replace this.camera
+    this.cameraController = new CameraController(this);
+    this.cameraController.addEventListener('change', () => this.requestRender());
+    this.environment.addEventListener('change', () => this.requestRender());
+    this.animationController.addEventListener('change', () => this.requestRender());
 
     // Set up lighting
     this.setupLighting();
 
+    // Shadow-catching ground, contact shadows and grid under the models
+    this.ground = new GroundController(this, this.lights.find(light => light.isDirectionalLight));
+    this.ground.addEventListener('change', () => this.requestRender());
+
     // Add resize listener
-    window.addEventListener('resize', () => this.onWindowResize());
+    this.onWindowResize = this.onWindowResize.bind(this);
+    window.addEventListener('resize', this.onWindowResize);
 
     // Start render loop
-    this.animate();
+    this.start();
   }
 
   setupLighting() {
@@ -78,79 +134,307 @@ export class ModelViewer {
     this.lights.push(pointLight);
   }
 
-  loadModel(file) {
-    return new Promise((resolve, reject) => {
-      const loader = new GLTFLoader();
-      const reader = new FileReader();
-
-      reader.onload = (event) => {
-        const arrayBuffer = event.target.result;
-        
-        loader.parse(arrayBuffer, '', (gltf) => {
-          this.clearCurrentModel();
-          
-          const model = gltf.scene;
-          
-          // Center and scale the model
-          const box = new THREE.Box3().setFromObject(model);
-          const center = box.getCenter(new THREE.Vector3());
-          const size = box.getSize(new THREE.Vector3());
-          
-          // Scale model to fit in a 2x2x2 cube
-          const maxDim = Math.max(size.x, size.y, size.z);
-          const scale = 2 / maxDim;
-          model.scale.multiplyScalar(scale);
-          
-          // Center the model
-          model.position.sub(center.multiplyScalar(scale));
-          
-          // Enable shadows
-          model.traverse((child) => {
-            if (child.isMesh) {
-              child.castShadow = true;
-              child.receiveShadow = true;
-            }
-          });
-          
-          this.scene.add(model);
-          this.currentModel = model;
-          
-          // Reset camera position
-          this.camera.position.set(0, 0, 5);
-          this.controls.reset();
-          
-          resolve(model);
-        }, reject);
-      };
-
-      reader.onerror = reject;
-      reader.readAsArrayBuffer(file);
-    });
+  // Replaces every loaded model with this one
+  setModel(model, animations = []) {
+    this.clearModels();
+    this.addModel(model, animations);
   }
 
-  clearCurrentModel() {
-    if (this.currentModel) {
-      this.scene.remove(this.currentModel);
-      this.currentModel = null;
+  // Adds a model next to the ones already loaded and selects it
+  addModel(model, animations = []) {
+    const tracker = new ResourceTracker();
+    tracker.track(model);
+    this.resourceTrackers.set(model, tracker);
+    model.animations = animations;
+
+    const placement = new THREE.Group();
+    placement.name = model.name || model.userData.fileName || 'model';
+    placement.add(model);
+    scaleModel(model, model.userData.unitScale);
+    this.placeBesideModels(placement);
+
+    this.modelRoot.add(placement);
+    this.models.push(model);
+    this.requestRender();
+    this.dispatchEvent({ type: 'modeladd', model });
+    
+    this.updateModelScale();
+    this.selectModel(model);
+    this.frameModel();
+  }
+
+  // Puts a new placement to the right of the arrangement, with a small gap
+  placeBesideModels(placement) {
+    if (this.models.length === 0) return;
+
+    this.modelRoot.updateWorldMatrix(true, false);
+    const toRoot = this.modelRoot.matrixWorld.clone().invert();
+    const arrangement = new THREE.Box3();
+    this.models.forEach(model => arrangement.union(this.getModelBox(model).applyMatrix4(toRoot)));
+
+    const box = this.getModelBox(placement.children[0]);
+    const size = box.getSize(new THREE.Vector3());
+    const arrangementSize = arrangement.getSize(new THREE.Vector3());
+    const gap = Math.max(size.x, size.y, size.z, arrangementSize.x, arrangementSize.y, arrangementSize.z) * 0.1;
+
+    placement.position.x = arrangement.max.x + gap + size.x / 2;
+  }
+
+  removeModel(model) {
+    if (!this.models.includes(model)) return;
+
+    this.models = this.models.filter(candidate => candidate !== model);
+    if (this.currentModel === model) {
+      this.selectModel(this.models[this.models.length - 1] || null);
     }
+    
+    model.parent.removeFromParent();
+    this.resourceTrackers.get(model).dispose();
+    this.resourceTrackers.delete(model);
+    this.requestRender();
+    this.dispatchEvent({ type: 'modelremove', model });
+  }
+
+  // The loaded model an object belongs to; its parent is the model's placement group
+  getModelOf(object) {
+    let node = object;
+    while (node && node.parent && node.parent.parent !== this.modelRoot) {
+      node = node.parent;
+    }
+    return this.models.includes(node) ? node : null;
+  }
+
+  // Makes a model the one tools, animation playback and the AR clone handlers work on
+  selectModel(model) {
+    if (model === this.currentModel) return;
+
+    this.currentModel = model;
+    if (model) {
+      this.animationController.setClips(model, model.animations);
+    } else {
+      this.animationController.clear();
+    }
+    this.dispatchEvent({ type: 'modelchange', model });
+  }
+
+  // handler.attach(root) / handler.detach(root) are called for every copy of the model, e.g. the AR clone
+  addCloneHandler(handler) {
+    this.cloneHandlers.push(handler);
+  }
+
+  attachClone(root) {
+    this.cloneHandlers.forEach(handler => handler.attach(root));
+  }
+
+  detachClone(root) {
+    this.cloneHandlers.forEach(handler => handler.detach(root));
+  }
+
+  setFitToView(enabled) {
+    this.fitToView = enabled;
+    this.updateModelScale();
+    this.frameModel();
+  }
+
+  // Models keep true size relative to each other; fit-to-view scales the whole arrangement to a
+  // 2-unit box. factor shrinks it further, e.g. for AR simulation.
+  updateModelScale({ fit = this.fitToView, factor = 1 } = {}) {
+    this.models.forEach(model => scaleModel(model, model.userData.unitScale));
+    this.modelRoot.position.set(0, 0, 0);
+    this.modelRoot.scale.setScalar(1);
+    this.requestRender();
+    if (this.models.length === 0) return;
+    
+    let scale = factor;
+    if (fit) {
+      const size = this.getModelsBox().getSize(new THREE.Vector3());
+      scale *= 2 / (Math.max(size.x, size.y, size.z) || 1);
+    }
+    this.modelRoot.scale.setScalar(scale);
+  }
+
+  // World-space bounds of a model. Uses the measured bounds rather than Box3.setFromObject,
+  // so helpers attached to the model (and exploded parts) don't count. They were measured in
+  // the parent's space, including the root's own rotation (e.g. 3MF's Z-up fix), so only the
+  // parent's transform is applied here.
+  getModelBox(model = this.currentModel, target = new THREE.Box3()) {
+    if (!model) return target.makeEmpty();
+    
+    const { centerOffset, dimensions, unitScale, baseScale } = model.userData;
+    // How far scaleModel scaled the model (unitScale on screen, less for AR)
+    const scale = model.scale.x / baseScale[0];
+    const center = new THREE.Vector3().fromArray(centerOffset).multiplyScalar(scale).add(model.position);
+    const size = new THREE.Vector3().fromArray(dimensions).multiplyScalar(scale / unitScale);
+    
+    model.parent.updateWorldMatrix(true, false);
+    return target.setFromCenterAndSize(center, size).applyMatrix4(model.parent.matrixWorld);
+  }
+
+  // World-space bounds of every loaded model
+  getModelsBox(target = new THREE.Box3()) {
+    target.makeEmpty();
+    const box = new THREE.Box3();
+    this.models.forEach(model => target.union(this.getModelBox(model, box)));
+    return target;
+  }
+
+  // Current on-screen size of the selected model in scene units
+  getModelSize(target = new THREE.Vector3()) {
+    return this.getModelBox().getSize(target);
+  }
+
+  // Points the camera at the front of the models from a distance that shows all of them
+  frameModel() {
+    if (this.models.length === 0) return;
+    
+    const size = this.getModelsBox().getSize(new THREE.Vector3());
+    const maxDim = Math.max(size.x, size.y, size.z) || 1;
+    
+    // Keep depth precision sensible from millimeter parts to room-sized assemblies
+    for (const camera of [this.cameraController.perspectiveCamera, this.cameraController.orthographicCamera]) {
+      camera.near = maxDim / 100;
+      camera.far = maxDim * 100;
+      camera.updateProjectionMatrix();
+    }
+    
+    this.controls.minDistance = maxDim * 0.1;
+    this.controls.maxDistance = maxDim * 20;
+    this.cameraController.setView('front', { animate: false });
+    this.controls.update();
+    this.controls.saveState();
+  }
+
+  clearModels() {
+    [...this.models].forEach(model => this.removeModel(model));
+  }
+
+  getResourceTrackers() {
+    return [...this.resourceTrackers.values()];
+  }
+
+  getResourceStats() {
+    const { memory, render, programs } = this.renderer.info;
+    
+    return {
+      geometries: memory.geometries,
+      textures: memory.textures,
+      programs: programs ? programs.length : 0,
+      drawCalls: render.calls,
+      triangles: render.triangles,
+      tracked: this.getResourceTrackers().reduce((total, tracker) => {
+        const counts = tracker.getCounts();
+        Object.keys(total).forEach(key => { total[key] += counts[key]; });
+        return total;
+      }, { objects: 0, geometries: 0, materials: 0, textures: 0 })
+    };
   }
 
   onWindowResize() {
-    this.camera.aspect = this.container.clientWidth / this.container.clientHeight;
-    this.camera.updateProjectionMatrix();
+    this.cameraController.onResize();
     this.renderer.setSize(this.container.clientWidth, this.container.clientHeight);
+    this.requestRender();
+  }
+
+  // Marks the view as changed; the next frame renders it. Anything that changes the scene
+  // outside the controls, animations, loading and resizing needs to call this.
+  requestRender() {
+    this.needsRender = true;
   }
 
-  animate() {
-    requestAnimationFrame(() => this.animate());
+  // The one frame loop, for desktop and AR: three.js drives it from the page's animation frames
+  // and switches it to the XR session's frames while one is presenting
+  start() {
+    this.renderer.setAnimationLoop((time, frame) => this.onFrame(frame));
+  }
+
+  onFrame(frame) {
+    this.update(frame);
+    
+    // In XR the headset/phone pose changes every frame
+    if (this.needsRender || this.renderer.xr.isPresenting) {
+      this.needsRender = false;
+      this.render();
+    } else if (performance.now() - this.lastRenderTime < LABEL_SETTLE_MS) {
+      this.labelLayer.update(this.camera);
+    }
+  }
+
+  // Per-frame state; frame is the XRFrame while an AR session is presenting
+  update(frame = null) {
+    const delta = this.clock.getDelta();
+    this.animationController.update(delta);
+    
+    // Playing or scrubbed animations move the model
+    const animationTime = this.animationController.getTime();
+    if (animationTime !== this.lastAnimationTime) {
+      this.lastAnimationTime = animationTime;
+      this.requestRender();
+    }
+    
     this.controls.update();
+    this.ground.update();
+    this.dispatchEvent({ type: 'update', delta, frame });
+  }
+
+  render() {
+    if (this.splitView && !this.renderer.xr.isPresenting) {
+      this.renderSplit(this.splitView);
+    } else {
+      this.renderScene();
+    }
+    this.lastRenderTime = performance.now();
+    
+    // In XR the labels follow the headset/phone pose rather than the desktop camera
+    const camera = this.renderer.xr.isPresenting ? this.renderer.xr.getCamera() : this.camera;
+    this.labelLayer.update(camera);
+  }
+
+  // One pass of the scene into the current viewport, with the ground's contact shadows updated
+  // first; image capture draws its tiles through this too
+  renderScene() {
+    this.ground.render();
     this.renderer.render(this.scene, this.camera);
   }
 
+  // Shows two models side by side through the one camera, so orbiting either half moves both.
+  // Pass null to go back to a single view.
+  setSplitView(models) {
+    this.splitView = models;
+    this.container.classList.toggle('split-view', Boolean(models));
+    this.cameraController.onResize();
+    this.requestRender();
+  }
+
+  // Each half is drawn with the other model hidden; labels are placed for the whole view, so
+  // they're hidden by CSS while split
+  renderSplit(models) {
+    const size = this.renderer.getSize(new THREE.Vector2());
+    const width = Math.floor(size.x / 2);
+    const placements = models.map(model => model.parent);
+    const visible = placements.map(placement => placement.visible);
+
+    this.renderer.setScissorTest(true);
+    placements.forEach((placement, half) => {
+      placements.forEach((other, index) => { other.visible = index === half && visible[index]; });
+      this.renderer.setViewport(half * width, 0, width, size.y);
+      this.renderer.setScissor(half * width, 0, width, size.y);
+      this.renderScene();
+    });
+    placements.forEach((placement, index) => { placement.visible = visible[index]; });
+
+    this.renderer.setScissorTest(false);
+    this.renderer.setViewport(0, 0, size.x, size.y);
+  }
+
   dispose() {
-    this.clearCurrentModel();
+    this.renderer.setAnimationLoop(null);
+    this.clearModels();
+    this.labelLayer.dispose();
+    this.environment.dispose();
+    this.ground.dispose();
+    this.cameraController.dispose();
     this.renderer.dispose();
     this.controls.dispose();
-    window.removeEventListener('resize', () => this.onWindowResize());
+    window.removeEventListener('resize', this.onWindowResize);
   }
 }
@@ -0,0 +1,102 @@
+import { TRANSFORM_MODES } from './TransformTool.js';
+
+// Lists the loaded models: click to select, × to remove, and the arrange gizmo's controls
+export class OutlinerPanel {
+  constructor(container, modelViewer, transformTool) {
+    this.container = container;
+    this.viewer = modelViewer;
+    this.tool = transformTool;
+
+    this.createElements();
+    this.bindEvents();
+    this.render();
+  }
+
+  createElements() {
+    this.element = document.createElement('details');
+    this.element.className = 'outliner-panel';
+    this.element.innerHTML = `
+      <summary>🗂️ Scene</summary>
+      <ul class="outliner-list"></ul>
+      <div class="outliner-row">
+        <button class="outliner-arrange" type="button" title="Move, rotate or scale the selected model; click a model to select it">✥ Arrange</button>
+        <select class="outliner-mode" title="Gizmo mode"></select>
+        <label title="Snap to round steps, 15° and 10% scale"><input class="outliner-snap" type="checkbox" /> Snap</label>
+      </div>
+      <div class="outliner-row">
+        <button class="outliner-reset" type="button" title="Clear the selected model's rotation and scale">Reset rotation/scale</button>
+      </div>
+    `;
+
+    this.list = this.element.querySelector('.outliner-list');
+    this.arrangeButton = this.element.querySelector('.outliner-arrange');
+    this.modeSelect = this.element.querySelector('.outliner-mode');
+    this.snapToggle = this.element.querySelector('.outliner-snap');
+    this.resetButton = this.element.querySelector('.outliner-reset');
+
+    for (const [key, mode] of Object.entries(TRANSFORM_MODES)) {
+      this.modeSelect.add(new Option(mode.label, key));
+    }
+
+    this.container.appendChild(this.element);
+  }
+
+  bindEvents() {
+    this.arrangeButton.addEventListener('click', () => {
+      this.tool.setEnabled(!this.tool.enabled);
+    });
+
+    this.modeSelect.addEventListener('change', () => {
+      this.tool.setMode(this.modeSelect.value);
+    });
+
+    this.snapToggle.addEventListener('change', () => {
+      this.tool.setSnap(this.snapToggle.checked);
+    });
+
+    this.resetButton.addEventListener('click', () => {
+      this.tool.resetTransform();
+    });
+
+    this.list.addEventListener('click', (event) => {
+      const item = event.target.closest('li');
+      if (!item || item.dataset.index === undefined) return;
+
+      const model = this.viewer.models[Number(item.dataset.index)];
+      if (event.target.closest('.outliner-remove')) {
+        this.viewer.removeModel(model);
+      } else {
+        this.viewer.selectModel(model);
+      }
+    });
+
+    ['modeladd', 'modelremove', 'modelchange'].forEach(type => {
+      this.viewer.addEventListener(type, () => this.render());
+    });
+    this.tool.addEventListener('change', () => this.render());
+  }
+
+  render() {
+    const { models, currentModel } = this.viewer;
+
+    this.list.innerHTML = '';
+    models.forEach((model, index) => {
+      const item = document.createElement('li');
+      item.dataset.index = index;
+      item.classList.toggle('selected', model === currentModel);
+      item.innerHTML = `<span class="outliner-name"></span><button class="outliner-remove" type="button" title="Remove from scene">×</button>`;
+      item.querySelector('.outliner-name').textContent = model.parent.name;
+      this.list.appendChild(item);
+    });
+
+    if (models.length === 0) {
+      this.list.innerHTML = '<li class="outliner-empty">No models loaded</li>';
+    }
+
+    this.arrangeButton.classList.toggle('active', this.tool.enabled);
+    this.arrangeButton.disabled = !currentModel;
+    this.modeSelect.value = this.tool.mode;
+    this.snapToggle.checked = this.tool.snap;
+    this.resetButton.disabled = !currentModel;
+  }
+}
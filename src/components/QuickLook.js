@@ -0,0 +1,197 @@
+import * as THREE from 'three';
+import { USDZExporter } from 'three/examples/jsm/exporters/USDZExporter.js';
+import { createExportCopy, createExporterTextureUtils } from './ExportTool.js';
+import { scaleModel } from '../utils/Units.js';
+
+// Properties carried over when a material USDZ can't express is replaced by a standard one
+const STANDARD_PROPERTIES = ['name', 'color', 'map', 'normalMap', 'emissive', 'emissiveMap', 'alphaMap', 'opacity', 'transparent', 'side', 'vertexColors'];
+
+// iOS has no WebXR, but Safari opens USDZ files in AR Quick Look, which tracks surfaces itself.
+// The USDZ is generated in the browser from the selected model and kept until the model changes.
+export class QuickLook {
+  constructor(modelViewer) {
+    this.viewer = modelViewer;
+    this.cache = new Map(); // model -> { key, url promise, resolved url }
+
+    this.viewer.addEventListener('modelremove', ({ model }) => this.evict(model));
+  }
+
+  static isSupported() {
+    const link = document.createElement('a');
+    return Boolean(link.relList && link.relList.supports && link.relList.supports('ar'));
+  }
+
+  // Quick Look only follows a link activated by the user, and an export outlasts a click's
+  // activation, so this must be called from the click handler with the USDZ already generated
+  // (see getURL and isReady)
+  open(model = this.viewer.currentModel) {
+    if (!model) {
+      throw new Error('No model to view in AR');
+    }
+
+    const url = this.getReadyURL(model);
+    if (!url) {
+      throw new Error('The model is still being prepared for AR');
+    }
+
+    // Safari wants an <img> inside the link, and a file name for generated (blob:) files
+    const link = document.createElement('a');
+    link.rel = 'ar';
+    link.href = url;
+    link.download = `${(model.userData.fileName || 'model').replace(/\.[^.]+$/, '')}.usdz`;
+    link.appendChild(document.createElement('img'));
+    link.click();
+  }
+
+  isReady(model = this.viewer.currentModel) {
+    return Boolean(model && this.getReadyURL(model));
+  }
+
+  // The object URL if the model's current USDZ has finished generating, else null
+  getReadyURL(model) {
+    const cached = this.cache.get(model);
+    return cached && cached.key === QuickLook.getCacheKey(model) ? cached.resolved : null;
+  }
+
+  // Resolves to the USDZ's object URL, generating it on first use; call it ahead of the click
+  // that opens Quick Look. Changing the model's unit or hiding parts makes a new one.
+  getURL(model) {
+    const key = QuickLook.getCacheKey(model);
+    const cached = this.cache.get(model);
+    if (cached && cached.key === key) {
+      return cached.url;
+    }
+
+    this.evict(model);
+    const entry = {
+      key,
+      url: this.createUSDZ(model).then(blob => URL.createObjectURL(blob)),
+      resolved: null
+    };
+    entry.url.then((url) => { entry.resolved = url; }, () => {});
+    this.cache.set(model, entry);
+
+    // A failed export is retried on the next launch
+    entry.url.catch(() => {
+      if (this.cache.get(model) === entry) {
+        this.cache.delete(model);
+      }
+    });
+    return entry.url;
+  }
+
+  static getCacheKey(model) {
+    const hidden = [];
+    model.traverse((child) => {
+      if (!child.visible) {
+        hidden.push(child.id);
+      }
+    });
+    return `${model.userData.unitScale}:${hidden.join(',')}`;
+  }
+
+  evict(model) {
+    const cached = this.cache.get(model);
+    if (!cached) return;
+
+    this.cache.delete(model);
+    cached.url.then(url => URL.revokeObjectURL(url), () => {});
+  }
+
+  async createUSDZ(model) {
+    const { root, materials } = createExportCopy(model);
+
+    // True size, standing on the origin: Quick Look puts the origin on the detected floor
+    scaleModel(root, root.userData.unitScale, { anchor: 'base' });
+
+    // Wrapped, as the model's root itself may be a mesh that needs splitting
+    const scene = new THREE.Group();
+    scene.add(root);
+    const converted = QuickLook.prepareForUSDZ(scene);
+    scene.updateMatrixWorld(true);
+
+    try {
+      const exporter = new USDZExporter();
+      exporter.setTextureUtils(createExporterTextureUtils());
+
+      const usdz = await exporter.parseAsync(scene, { quickLookCompatible: true });
+      return new Blob([usdz], { type: 'model/vnd.usdz+zip' });
+    } finally {
+      [...materials, ...converted].forEach(material => material.dispose());
+    }
+  }
+
+  // USDZExporter writes one MeshStandardMaterial per mesh: multi-material meshes are split into a
+  // mesh per group and other materials (e.g. the Lambert used for STL) converted. Returns the
+  // converted materials for disposal.
+  static prepareForUSDZ(root) {
+    const converted = new Map();
+    const toStandard = (material) => {
+      if (material.isMeshStandardMaterial) return material;
+
+      if (!converted.has(material)) {
+        const standard = new THREE.MeshStandardMaterial({ roughness: 0.6, metalness: 0 });
+        STANDARD_PROPERTIES.forEach((property) => {
+          const value = material[property];
+          if (value === undefined || value === null) return;
+          standard[property] = value.isColor ? standard[property].copy(value) : value;
+        });
+        converted.set(material, standard);
+      }
+      return converted.get(material);
+    };
+
+    const meshes = [];
+    root.traverse((child) => {
+      if (child.isMesh) {
+        meshes.push(child);
+      }
+    });
+
+    meshes.forEach((mesh) => {
+      if (!Array.isArray(mesh.material)) {
+        mesh.material = toStandard(mesh.material);
+        return;
+      }
+
+      const group = new THREE.Group();
+      group.name = mesh.name;
+      group.position.copy(mesh.position);
+      group.quaternion.copy(mesh.quaternion);
+      group.scale.copy(mesh.scale);
+      group.visible = mesh.visible;
+
+      mesh.geometry.groups.forEach(({ start, count, materialIndex }) => {
+        const material = mesh.material[materialIndex];
+        if (!material) return;
+        group.add(new THREE.Mesh(QuickLook.getGroupGeometry(mesh.geometry, start, count), toStandard(material)));
+      });
+
+      [...mesh.children].forEach(child => group.add(child));
+      mesh.parent.add(group);
+      mesh.removeFromParent();
+    });
+
+    return [...converted.values()];
+  }
+
+  // A geometry drawing one material group, sharing the source's attributes
+  static getGroupGeometry(geometry, start, count) {
+    const { index } = geometry;
+    const end = Math.min(start + count, index ? index.count : geometry.attributes.position.count);
+
+    const part = new THREE.BufferGeometry();
+    for (const [name, attribute] of Object.entries(geometry.attributes)) {
+      part.setAttribute(name, attribute);
+    }
+    const indices = index
+      ? Array.from({ length: end - start }, (_, i) => index.getX(start + i))
+      : Array.from({ length: end - start }, (_, i) => start + i);
+    part.setIndex(indices);
+    return part;
+  }
+
+  dispose() {
+    [...this.cache.keys()].forEach(model => this.evict(model));
+  }
+}
@@ -0,0 +1,60 @@
+import { RENDER_MODES } from './RenderModeTool.js';
+
+export class RenderModePanel {
+  constructor(container, renderModeTool) {
+    this.container = container;
+    this.tool = renderModeTool;
+
+    this.createElements();
+    this.bindEvents();
+    this.render();
+  }
+
+  createElements() {
+    this.element = document.createElement('div');
+    this.element.className = 'render-mode-panel';
+    this.element.innerHTML = `
+      <select class="render-mode" title="Display mode"></select>
+      <label title="Outline feature edges on top of the model">
+        <input class="render-edges" type="checkbox" /> Edges
+      </label>
+      <input class="render-edge-angle" type="number" min="1" max="90" step="1" title="Edge angle threshold (degrees)" />°
+    `;
+
+    this.modeSelect = this.element.querySelector('.render-mode');
+    this.edgesToggle = this.element.querySelector('.render-edges');
+    this.angleInput = this.element.querySelector('.render-edge-angle');
+
+    for (const [key, mode] of Object.entries(RENDER_MODES)) {
+      this.modeSelect.add(new Option(mode.label, key));
+    }
+
+    this.container.appendChild(this.element);
+  }
+
+  bindEvents() {
+    this.modeSelect.addEventListener('change', () => {
+      this.tool.setMode(this.modeSelect.value);
+    });
+
+    this.edgesToggle.addEventListener('change', () => {
+      this.tool.setShowEdges(this.edgesToggle.checked);
+    });
+
+    this.angleInput.addEventListener('change', () => {
+      const degrees = Number(this.angleInput.value);
+      if (Number.isFinite(degrees)) {
+        this.tool.setEdgeThreshold(degrees);
+      }
+    });
+
+    this.tool.addEventListener('change', () => this.render());
+  }
+
+  render() {
+    this.modeSelect.value = this.tool.mode;
+    this.edgesToggle.checked = this.tool.showEdges;
+    this.angleInput.value = this.tool.edgeThreshold;
+    this.angleInput.disabled = !this.tool.showEdges;
+  }
+}
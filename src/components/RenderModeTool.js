@@ -0,0 +1,257 @@
+import * as THREE from 'three';
+import { isHelperObject } from '../utils/SceneHelpers.js';
+
+export const RENDER_MODES = {
+  shaded: { label: 'Shaded' },
+  wireframe: { label: 'Wireframe' },
+  xray: { label: 'X-ray' },
+  normals: { label: 'Normals' },
+  matcap: { label: 'Matcap clay' }
+};
+
+// Override material (or array of them) -> the model's own material it stands in for
+const originalMaterials = new WeakMap();
+
+const EDGE_COLOR = 0x111111;
+
+// The model's own material for a mesh, whatever render mode is showing
+export function getOriginalMaterial(material) {
+  if (originalMaterials.has(material)) {
+    return originalMaterials.get(material);
+  }
+
+  // Cloning a mesh copies its material array, so a clone's array has to be resolved entry by entry
+  if (Array.isArray(material) && material.some(entry => originalMaterials.has(entry))) {
+    return material.map(entry => getOriginalMaterial(entry));
+  }
+  return material;
+}
+
+// Soft studio-style sphere, drawn locally so matcap works offline
+function createMatcapTexture(size = 256) {
+  const canvas = document.createElement('canvas');
+  canvas.width = size;
+  canvas.height = size;
+
+  const context = canvas.getContext('2d');
+  context.fillStyle = '#202020';
+  context.fillRect(0, 0, size, size);
+
+  const gradient = context.createRadialGradient(size * 0.38, size * 0.32, size * 0.02, size / 2, size / 2, size / 2);
+  gradient.addColorStop(0, '#ffffff');
+  gradient.addColorStop(0.35, '#c8c4bc');
+  gradient.addColorStop(0.8, '#5c5852');
+  gradient.addColorStop(1, '#2a2826');
+  context.fillStyle = gradient;
+  context.beginPath();
+  context.arc(size / 2, size / 2, size / 2, 0, Math.PI * 2);
+  context.fill();
+
+  const texture = new THREE.CanvasTexture(canvas);
+  texture.colorSpace = THREE.SRGBColorSpace;
+  return texture;
+}
+
+// Swaps display materials in and out without touching the model's own materials, and draws
+// a feature-edge overlay on top of any mode. Modes apply to every loaded model.
+export class RenderModeTool extends THREE.EventDispatcher {
+  constructor(modelViewer) {
+    super();
+    this.viewer = modelViewer;
+    this.mode = 'shaded';
+    this.showEdges = false;
+    this.edgeThreshold = 30; // degrees between face normals for an edge to count as a feature
+    this.targets = [];
+    this.overrides = new Map(); // original material -> override for the current mode
+    this.edgeGeometries = new Map(); // mesh geometry -> EdgesGeometry, shared by every copy
+    this.matcapTexture = null;
+
+    this.viewer.addEventListener('modeladd', ({ model }) => this.attach(model));
+    this.viewer.addEventListener('modelremove', ({ model }) => this.removeModel(model));
+    this.addEventListener('change', () => this.viewer.requestRender());
+    this.viewer.addCloneHandler(this);
+  }
+
+  removeModel(model) {
+    // Edge overlays have their own materials, which the model's resource tracker doesn't know
+    this.removeEdges(model);
+    this.detach(model);
+
+    // Display materials and edge geometries are shared between models, so they go with the last one
+    if (this.viewer.models.length === 0) {
+      this.targets = [];
+      this.clearOverrides();
+      this.clearEdgeGeometries();
+    }
+  }
+
+  setMode(mode) {
+    if (!RENDER_MODES[mode]) {
+      throw new Error(`Unknown render mode: ${mode}. Supported modes: ${Object.keys(RENDER_MODES).join(', ')}`);
+    }
+
+    const previous = this.overrides;
+    this.mode = mode;
+    this.overrides = new Map();
+    this.targets.forEach(target => this.applyMode(target.root));
+
+    // Only dispose the old overrides once nothing shows them anymore
+    previous.forEach(material => material.dispose());
+    this.dispatchEvent({ type: 'change' });
+  }
+
+  setShowEdges(showEdges) {
+    this.showEdges = showEdges;
+    this.targets.forEach(target => this.applyEdges(target.root));
+    this.dispatchEvent({ type: 'change' });
+  }
+
+  setEdgeThreshold(degrees) {
+    this.edgeThreshold = THREE.MathUtils.clamp(degrees, 1, 90);
+
+    // Rebuilt from scratch; each copy drops its overlay first so no line keeps a freed geometry
+    this.targets.forEach(target => this.removeEdges(target.root));
+    this.clearEdgeGeometries();
+    this.targets.forEach(target => this.applyEdges(target.root));
+    this.dispatchEvent({ type: 'change' });
+  }
+
+  forEachMesh(root, callback) {
+    root.traverse((child) => {
+      if (child.isMesh && !isHelperObject(child)) {
+        callback(child);
+      }
+    });
+  }
+
+  applyMode(root) {
+    this.forEachMesh(root, (mesh) => {
+      const original = getOriginalMaterial(mesh.material);
+
+      if (this.mode === 'shaded') {
+        mesh.material = original;
+      } else if (Array.isArray(original)) {
+        const overrides = original.map(material => this.getOverride(material));
+        originalMaterials.set(overrides, original);
+        mesh.material = overrides;
+      } else {
+        mesh.material = this.getOverride(original);
+      }
+    });
+  }
+
+  getOverride(original) {
+    if (!this.overrides.has(original)) {
+      const override = this.createOverride(original);
+
+      // Keep what other tools set on the model's materials, e.g. section planes
+      override.clippingPlanes = original.clippingPlanes;
+      override.clipShadows = original.clipShadows;
+      override.side = original.side;
+      override.userData.helper = true;
+
+      originalMaterials.set(override, original);
+      this.overrides.set(original, override);
+    }
+    return this.overrides.get(original);
+  }
+
+  createOverride(original) {
+    const color = original.color ? original.color.clone() : new THREE.Color(0x888888);
+
+    switch (this.mode) {
+      case 'wireframe':
+        return new THREE.MeshBasicMaterial({ color, wireframe: true });
+      case 'xray':
+        return new THREE.MeshLambertMaterial({
+          color,
+          transparent: true,
+          opacity: 0.25,
+          depthWrite: false
+        });
+      case 'normals':
+        return new THREE.MeshNormalMaterial({ flatShading: Boolean(original.flatShading) });
+      case 'matcap':
+        if (!this.matcapTexture) {
+          this.matcapTexture = createMatcapTexture();
+        }
+        return new THREE.MeshMatcapMaterial({ matcap: this.matcapTexture, color: 0xd8d2c8 });
+      default:
+        throw new Error(`No override material for render mode: ${this.mode}`);
+    }
+  }
+
+  applyEdges(root) {
+    if (!this.showEdges) {
+      this.removeEdges(root);
+      return;
+    }
+
+    this.forEachMesh(root, (mesh) => {
+      // Skinned and morphed meshes deform on the GPU, which a static edge overlay can't follow
+      if (mesh.isSkinnedMesh || mesh.morphTargetInfluences || mesh.children.some(child => child.userData.edgeOverlay)) return;
+
+      if (!this.edgeGeometries.has(mesh.geometry)) {
+        this.edgeGeometries.set(mesh.geometry, new THREE.EdgesGeometry(mesh.geometry, this.edgeThreshold));
+      }
+
+      // Edges are cut by section planes just like the surface they outline. Each overlay has its
+      // own material, as models (and the AR copy) don't share clipping.
+      const edgeMaterial = new THREE.LineBasicMaterial({
+        color: EDGE_COLOR,
+        clippingPlanes: [getOriginalMaterial(mesh.material)].flat()[0].clippingPlanes
+      });
+
+      const edges = new THREE.LineSegments(this.edgeGeometries.get(mesh.geometry), edgeMaterial);
+      edges.userData.helper = true;
+      edges.userData.clippable = true;
+      edges.userData.edgeOverlay = true;
+      edges.raycast = () => {};
+      edges.renderOrder = 1;
+      mesh.add(edges);
+    });
+  }
+
+  removeEdges(root) {
+    const overlays = [];
+    root.traverse((child) => {
+      if (child.userData.edgeOverlay) overlays.push(child);
+    });
+    overlays.forEach((child) => {
+      child.removeFromParent();
+      child.material.dispose();
+    });
+  }
+
+  clearOverrides() {
+    this.overrides.forEach(material => material.dispose());
+    this.overrides.clear();
+  }
+
+  clearEdgeGeometries() {
+    this.edgeGeometries.forEach(geometry => geometry.dispose());
+    this.edgeGeometries.clear();
+  }
+
+  // Shows the current mode on another copy of the model, e.g. the clone placed in AR
+  attach(root) {
+    if (this.targets.some(target => target.root === root)) return;
+
+    this.targets.push({ root });
+    this.applyMode(root);
+    this.applyEdges(root);
+  }
+
+  detach(root) {
+    this.targets = this.targets.filter(target => target.root !== root);
+  }
+
+  dispose() {
+    this.targets = [];
+    this.clearOverrides();
+    this.clearEdgeGeometries();
+    if (this.matcapTexture) {
+      this.matcapTexture.dispose();
+    }
+  }
+}
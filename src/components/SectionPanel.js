@@ -0,0 +1,109 @@
+import { MAX_SECTIONS } from './SectionTool.js';
+
+export class SectionPanel {
+  constructor(container, sectionTool) {
+    this.container = container;
+    this.tool = sectionTool;
+
+    this.createElements();
+    this.bindEvents();
+    this.render();
+  }
+
+  createElements() {
+    this.element = document.createElement('div');
+    this.element.className = 'section-panel';
+    this.element.innerHTML = `
+      <div class="section-row">
+        <span class="section-title">✂️ Section</span>
+        <button class="section-add" type="button" title="Add a clipping plane">+ Plane</button>
+        <label title="Fill cut solids so they don't look hollow">
+          <input class="section-cap" type="checkbox" checked /> Cap
+        </label>
+        <select class="section-gizmo" title="Gizmo for free planes">
+          <option value="translate">Move</option>
+          <option value="rotate">Rotate</option>
+        </select>
+      </div>
+      <div class="section-list"></div>
+    `;
+
+    this.addButton = this.element.querySelector('.section-add');
+    this.capToggle = this.element.querySelector('.section-cap');
+    this.gizmoSelect = this.element.querySelector('.section-gizmo');
+    this.list = this.element.querySelector('.section-list');
+
+    this.container.appendChild(this.element);
+  }
+
+  bindEvents() {
+    this.addButton.addEventListener('click', () => {
+      this.tool.addSection(['x', 'y', 'z'][this.tool.sections.length] || 'free');
+    });
+
+    this.capToggle.addEventListener('change', () => {
+      this.tool.setCapping(this.capToggle.checked);
+    });
+
+    this.gizmoSelect.addEventListener('change', () => {
+      this.tool.setGizmoMode(this.gizmoSelect.value);
+    });
+
+    // Rows are rebuilt on every change, so their controls are handled by delegation
+    this.list.addEventListener('change', (event) => {
+      const id = Number(event.target.closest('.section-item').dataset.id);
+      if (event.target.matches('.section-axis')) {
+        this.tool.setAxis(id, event.target.value);
+      } else if (event.target.matches('.section-enabled')) {
+        this.tool.setEnabled(id, event.target.checked);
+      }
+    });
+
+    this.list.addEventListener('click', (event) => {
+      const item = event.target.closest('.section-item');
+      if (!item) return;
+
+      const id = Number(item.dataset.id);
+      if (event.target.matches('.section-flip')) {
+        this.tool.flip(id);
+      } else if (event.target.matches('.section-remove')) {
+        this.tool.removeSection(id);
+      } else if (!event.target.matches('select, input')) {
+        this.tool.select(id);
+      }
+    });
+
+    this.tool.addEventListener('change', () => this.render());
+  }
+
+  render() {
+    const { sections, active, model, capping, gizmoMode } = this.tool;
+
+    this.addButton.disabled = !model || sections.length >= MAX_SECTIONS;
+    this.capToggle.checked = capping;
+    this.gizmoSelect.value = gizmoMode;
+    this.gizmoSelect.disabled = !active || active.axis !== 'free';
+
+    this.list.innerHTML = '';
+    for (const section of sections) {
+      const item = document.createElement('div');
+      item.className = 'section-item';
+      item.classList.toggle('active', section === active);
+      item.dataset.id = section.id;
+      item.innerHTML = `
+        <span class="section-swatch" style="background-color: #${section.color.toString(16).padStart(6, '0')}"></span>
+        <input class="section-enabled" type="checkbox" title="Enable plane" ${section.enabled ? 'checked' : ''} />
+        <select class="section-axis" title="Plane orientation">
+          <option value="x">X</option>
+          <option value="y">Y</option>
+          <option value="z">Z</option>
+          <option value="free">Free</option>
+        </select>
+        <button class="section-flip" type="button" title="Keep the other side">⇅ Flip</button>
+        <button class="section-remove" type="button" title="Remove plane">×</button>
+      `;
+      item.querySelector('.section-axis').value = section.axis;
+      this.list.appendChild(item);
+    }
+  }
+}
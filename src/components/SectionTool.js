@@ -0,0 +1,394 @@
+import * as THREE from 'three';
+import { TransformControls } from 'three/examples/jsm/controls/TransformControls.js';
+import { isHelperObject } from '../utils/SceneHelpers.js';
+import { getOriginalMaterial } from './RenderModeTool.js';
+
+export const MAX_SECTIONS = 3;
+const SECTION_COLORS = [0xe53935, 0x43a047, 0x1e88e5];
+const AXES = {
+  x: new THREE.Vector3(1, 0, 0),
+  y: new THREE.Vector3(0, 1, 0),
+  z: new THREE.Vector3(0, 0, 1)
+};
+const PLANE_NORMAL = new THREE.Vector3(0, 0, 1);
+
+// Up to three clipping planes for looking inside assemblies. Each plane is driven by a handle
+// parented to the model, so planes follow unit and fit-to-view re-scaling. Caps use the
+// stencil technique from three.js' webgl_clipping_stencil example.
+export class SectionTool extends THREE.EventDispatcher {
+  constructor(modelViewer) {
+    super();
+    this.viewer = modelViewer;
+    this.model = null;
+    this.sections = []; // { id, axis, color, enabled, flipped, handle, plane, helper, caps }
+    this.active = null;
+    this.capping = true;
+    this.gizmoMode = 'translate';
+    this.clones = new Set();
+    this.clippingPlanes = [];
+    this.nextId = 1;
+
+    this.normal = new THREE.Vector3();
+    this.point = new THREE.Vector3();
+    this.size = new THREE.Vector3();
+
+    this.viewer.renderer.localClippingEnabled = true;
+    this.createGizmo();
+
+    this.viewer.addEventListener('modelchange', ({ model }) => this.setModel(model));
+    this.viewer.addEventListener('update', () => this.update());
+    this.addEventListener('change', () => this.viewer.requestRender());
+    this.viewer.addCloneHandler(this);
+  }
+
+  createGizmo() {
+    this.gizmo = new TransformControls(this.viewer.camera, this.viewer.renderer.domElement);
+    this.gizmo.setSpace('local');
+    this.gizmo.addEventListener('change', () => this.viewer.requestRender());
+    this.gizmo.addEventListener('dragging-changed', (event) => {
+      this.viewer.controls.enabled = !event.value;
+    });
+
+    // The viewer swaps cameras when switching between perspective and orthographic
+    this.viewer.cameraController.addEventListener('change', () => {
+      this.gizmo.camera = this.viewer.camera;
+    });
+
+    this.gizmoHelper = this.gizmo.getHelper();
+    this.gizmoHelper.userData.helper = true;
+    this.viewer.scene.add(this.gizmoHelper);
+  }
+
+  // Clipping is suspended while a copy of the model is shown (the AR clone shares materials)
+  get suspended() {
+    return this.clones.size > 0;
+  }
+
+  setModel(model) {
+    [...this.sections].forEach(section => this.removeSection(section.id));
+    this.model = model;
+    this.dispatchEvent({ type: 'change' });
+  }
+
+  addSection(axis = 'x') {
+    if (!this.model) return null;
+    if (this.sections.length >= MAX_SECTIONS) {
+      throw new Error(`At most ${MAX_SECTIONS} section planes are supported`);
+    }
+
+    const color = SECTION_COLORS.find(candidate => !this.sections.some(section => section.color === candidate));
+
+    // The handle sits at the model's center, in model-local space. The center was measured in
+    // the parent's space, so undo the root's own rotation and base scale.
+    const { centerOffset, baseScale } = this.model.userData;
+    const toLocal = new THREE.Matrix4()
+      .compose(new THREE.Vector3(), this.model.quaternion, new THREE.Vector3().fromArray(baseScale))
+      .invert();
+    const handle = new THREE.Object3D();
+    handle.userData.helper = true;
+    handle.userData.section = true;
+    handle.position.fromArray(centerOffset).applyMatrix4(toLocal);
+    this.model.add(handle);
+
+    const plane = new THREE.Plane();
+    const helper = new THREE.PlaneHelper(plane, 1, color);
+    helper.userData.helper = true;
+    this.viewer.scene.add(helper);
+
+    const section = {
+      id: this.nextId++,
+      axis,
+      color,
+      enabled: true,
+      flipped: false,
+      handle,
+      plane,
+      helper,
+      caps: null
+    };
+    this.sections.push(section);
+    this.setAxis(section.id, axis);
+    this.select(section.id);
+    this.refresh();
+    return section;
+  }
+
+  removeSection(id) {
+    const section = this.getSection(id);
+    if (!section) return;
+
+    this.removeCaps(section);
+    section.handle.removeFromParent();
+    section.helper.removeFromParent();
+    section.helper.dispose();
+
+    this.sections = this.sections.filter(candidate => candidate !== section);
+    if (this.active === section) {
+      this.select(this.sections.length > 0 ? this.sections[this.sections.length - 1].id : null);
+    }
+    this.refresh();
+  }
+
+  getSection(id) {
+    return this.sections.find(section => section.id === id);
+  }
+
+  // 'x', 'y' and 'z' lock the plane to a model axis and only slide it; 'free' also allows rotating
+  setAxis(id, axis) {
+    const section = this.getSection(id);
+    if (!section) return;
+
+    if (axis !== 'free') {
+      if (!AXES[axis]) {
+        throw new Error(`Unknown section axis: ${axis}. Supported axes: ${Object.keys(AXES).join(', ')}, free`);
+      }
+      section.handle.quaternion.setFromUnitVectors(PLANE_NORMAL, AXES[axis]);
+    }
+
+    section.axis = axis;
+    this.updateGizmo();
+    this.update();
+    this.dispatchEvent({ type: 'change' });
+  }
+
+  setEnabled(id, enabled) {
+    const section = this.getSection(id);
+    if (!section) return;
+
+    section.enabled = enabled;
+    this.refresh();
+  }
+
+  flip(id) {
+    const section = this.getSection(id);
+    if (!section) return;
+
+    section.flipped = !section.flipped;
+    this.update();
+    this.dispatchEvent({ type: 'change' });
+  }
+
+  setCapping(enabled) {
+    this.capping = enabled;
+    this.refresh();
+  }
+
+  select(id) {
+    this.active = this.getSection(id) || null;
+    this.updateGizmo();
+    this.dispatchEvent({ type: 'change' });
+  }
+
+  setGizmoMode(mode) {
+    this.gizmoMode = mode;
+    this.updateGizmo();
+    this.dispatchEvent({ type: 'change' });
+  }
+
+  updateGizmo() {
+    const section = this.active;
+
+    if (!section || !section.enabled || this.suspended) {
+      this.gizmo.detach();
+      return;
+    }
+
+    // Axis-locked planes only slide along their normal (the handle's local Z)
+    const mode = section.axis === 'free' ? this.gizmoMode : 'translate';
+    this.gizmo.setMode(mode);
+    this.gizmo.showX = mode === 'rotate';
+    this.gizmo.showY = mode === 'rotate';
+    this.gizmo.showZ = true;
+    this.gizmo.attach(section.handle);
+  }
+
+  // Re-applies planes to materials and rebuilds caps after sections were added, removed or toggled
+  refresh() {
+    this.applyClipping();
+    this.sections.forEach(section => this.removeCaps(section));
+
+    if (this.capping && !this.suspended) {
+      this.getEnabledSections().forEach((section, index) => this.createCaps(section, index));
+    }
+
+    this.sections.forEach(section => {
+      section.helper.visible = section.enabled && !this.suspended;
+    });
+    this.updateGizmo();
+    this.update();
+    this.dispatchEvent({ type: 'change' });
+  }
+
+  getEnabledSections() {
+    return this.sections.filter(section => section.enabled);
+  }
+
+  forEachModelMesh(callback) {
+    if (!this.model) return;
+
+    this.model.traverse((child) => {
+      if (child.isMesh && !isHelperObject(child)) {
+        callback(child);
+      }
+    });
+  }
+
+  applyClipping() {
+    // One array shared by every clipped material and updated in place, so materials that copy it
+    // (display modes, overlays) stay in sync
+    this.clippingPlanes.length = 0;
+    if (!this.suspended) {
+      this.clippingPlanes.push(...this.getEnabledSections().map(section => section.plane));
+    }
+
+    if (!this.model || this.sections.length === 0) return;
+
+    this.model.traverse((child) => {
+      if (!child.material || (isHelperObject(child) && !child.userData.clippable)) return;
+
+      // Both the displayed material and the model's own one behind a render mode override
+      const materials = [child.material, getOriginalMaterial(child.material)].flat();
+      materials.forEach(material => {
+        material.clippingPlanes = this.clippingPlanes;
+        material.clipShadows = true;
+      });
+    });
+  }
+
+  createCaps(section, index) {
+    const otherPlanes = this.getEnabledSections()
+      .filter(candidate => candidate !== section)
+      .map(candidate => candidate.plane);
+
+    // Stencil pass: back faces behind the cut increment, front faces decrement. Where the count
+    // is non-zero the plane is inside a solid, so the cap is drawn there.
+    const stencilMaterial = new THREE.MeshBasicMaterial({
+      depthWrite: false,
+      depthTest: false,
+      colorWrite: false,
+      stencilWrite: true,
+      stencilFunc: THREE.AlwaysStencilFunc,
+      clippingPlanes: [section.plane]
+    });
+
+    const backMaterial = stencilMaterial.clone();
+    backMaterial.side = THREE.BackSide;
+    backMaterial.stencilFail = THREE.IncrementWrapStencilOp;
+    backMaterial.stencilZFail = THREE.IncrementWrapStencilOp;
+    backMaterial.stencilZPass = THREE.IncrementWrapStencilOp;
+
+    const frontMaterial = stencilMaterial.clone();
+    frontMaterial.side = THREE.FrontSide;
+    frontMaterial.stencilFail = THREE.DecrementWrapStencilOp;
+    frontMaterial.stencilZFail = THREE.DecrementWrapStencilOp;
+    frontMaterial.stencilZPass = THREE.DecrementWrapStencilOp;
+
+    stencilMaterial.dispose();
+
+    const stencilMeshes = [];
+    this.forEachModelMesh((mesh) => {
+      // Skinned and instanced meshes would need matching mesh types; they are left uncapped
+      if (mesh.isSkinnedMesh || mesh.isInstancedMesh) return;
+
+      for (const material of [backMaterial, frontMaterial]) {
+        const stencilMesh = new THREE.Mesh(mesh.geometry, material);
+        stencilMesh.userData.helper = true;
+        stencilMesh.userData.section = true;
+        stencilMesh.renderOrder = index + 1;
+        stencilMesh.raycast = () => {};
+        mesh.add(stencilMesh);
+        stencilMeshes.push(stencilMesh);
+      }
+    });
+
+    const capMaterial = new THREE.MeshStandardMaterial({
+      color: section.color,
+      metalness: 0.1,
+      roughness: 0.75,
+      side: THREE.DoubleSide,
+      clippingPlanes: otherPlanes,
+      stencilWrite: true,
+      stencilRef: 0,
+      stencilFunc: THREE.NotEqualStencilFunc,
+      stencilFail: THREE.ReplaceStencilOp,
+      stencilZFail: THREE.ReplaceStencilOp,
+      stencilZPass: THREE.ReplaceStencilOp
+    });
+
+    const cap = new THREE.Mesh(new THREE.PlaneGeometry(1, 1), capMaterial);
+    cap.userData.helper = true;
+    cap.renderOrder = index + 1.1;
+    cap.raycast = () => {};
+
+    // Reset the stencil so the next plane's pass starts clean
+    cap.onAfterRender = (renderer) => renderer.clearStencil();
+    this.viewer.scene.add(cap);
+
+    section.caps = { stencilMeshes, materials: [backMaterial, frontMaterial], cap };
+  }
+
+  removeCaps(section) {
+    if (!section.caps) return;
+
+    const { stencilMeshes, materials, cap } = section.caps;
+    stencilMeshes.forEach(mesh => mesh.removeFromParent());
+    materials.forEach(material => material.dispose());
+    cap.removeFromParent();
+    cap.geometry.dispose();
+    cap.material.dispose();
+    section.caps = null;
+  }
+
+  // Planes are derived from their handles every frame, so they track dragging and model re-scaling
+  update() {
+    if (this.sections.length === 0) return;
+
+    const size = this.viewer.getModelSize(this.size);
+    const extent = Math.max(size.x, size.y, size.z) * 1.5 || 1;
+
+    for (const section of this.sections) {
+      const { handle, plane, helper, caps } = section;
+
+      handle.updateWorldMatrix(true, false);
+      handle.getWorldDirection(this.normal);
+      handle.getWorldPosition(this.point);
+
+      // The plane keeps what lies on the normal's side; flipping keeps the other half
+      if (section.flipped) {
+        this.normal.negate();
+      }
+      plane.setFromNormalAndCoplanarPoint(this.normal, this.point);
+      helper.size = extent;
+
+      if (caps) {
+        plane.coplanarPoint(caps.cap.position);
+        caps.cap.lookAt(caps.cap.position.clone().sub(plane.normal));
+        caps.cap.scale.setScalar(extent * 2);
+      }
+    }
+  }
+
+  // Copies of the model share its materials, so clipping pauses while they are shown
+  attach(root) {
+    const cloned = [];
+    root.traverse((child) => {
+      if (child.userData.section) cloned.push(child);
+    });
+    cloned.forEach(child => child.removeFromParent());
+
+    this.clones.add(root);
+    this.refresh();
+  }
+
+  detach(root) {
+    if (!this.clones.delete(root)) return;
+    this.refresh();
+  }
+
+  dispose() {
+    this.setModel(null);
+    this.gizmo.detach();
+    this.gizmo.dispose();
+    this.gizmoHelper.removeFromParent();
+  }
+}
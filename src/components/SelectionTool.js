@@ -0,0 +1,242 @@
+import * as THREE from 'three';
+import { isHelperObject } from '../utils/SceneHelpers.js';
+import { getOriginalMaterial } from './RenderModeTool.js';
+import { createStandIn, getModelClippingPlanes } from './StandIns.js';
+
+const OUTLINE_COLOR = 0xffa000;
+const OUTLINE_WIDTH_PX = 3;
+const CLICK_TOLERANCE_PX = 4;
+
+// Node-level selection inside the loaded models: click a part (or pick it in the structure
+// tree) to select it, with an outline, per-node hide/show/isolate and mesh statistics.
+export class SelectionTool extends THREE.EventDispatcher {
+  constructor(modelViewer) {
+    super();
+    this.viewer = modelViewer;
+    this.enabled = true;
+    this.selected = null;
+    this.outlines = [];
+
+    this.raycaster = new THREE.Raycaster();
+    this.pointer = new THREE.Vector2();
+    this.pointerDown = null;
+
+    this.createOutlineMaterial();
+    this.bindEvents();
+
+    this.viewer.addEventListener('modelchange', () => this.select(null));
+    this.addEventListener('change', () => this.viewer.requestRender());
+    this.viewer.addEventListener('update', () => {
+      this.viewer.renderer.getDrawingBufferSize(this.outlineUniforms.outlineResolution.value);
+    });
+  }
+
+  // Inverted hull pushed outward in screen space, so the outline has the same width at any zoom
+  createOutlineMaterial() {
+    this.outlineUniforms = {
+      outlineWidth: { value: OUTLINE_WIDTH_PX * window.devicePixelRatio },
+      outlineResolution: { value: new THREE.Vector2(1, 1) }
+    };
+
+    this.outlineMaterial = new THREE.MeshBasicMaterial({ color: OUTLINE_COLOR, side: THREE.BackSide });
+    this.outlineMaterial.userData.helper = true;
+    this.outlineMaterial.onBeforeCompile = (shader) => {
+      Object.assign(shader.uniforms, this.outlineUniforms);
+      shader.vertexShader = shader.vertexShader
+        .replace('#include <common>', `#include <common>
+          uniform float outlineWidth;
+          uniform vec2 outlineResolution;`)
+        .replace('#include <project_vertex>', `#include <project_vertex>
+          vec4 outlineDirection = projectionMatrix * vec4( normalize( normalMatrix * normal ), 0.0 );
+          if ( length( outlineDirection.xy ) > 0.0 ) {
+            gl_Position.xy += normalize( outlineDirection.xy ) * outlineWidth * 2.0 / outlineResolution * gl_Position.w;
+          }`);
+    };
+  }
+
+  bindEvents() {
+    const canvas = this.viewer.renderer.domElement;
+
+    this.onPointerDown = (event) => {
+      this.pointerDown = { x: event.clientX, y: event.clientY };
+    };
+
+    // A click (not an orbit drag) selects the part under the cursor, or clears the selection
+    this.onPointerUp = (event) => {
+      if (!this.enabled || !this.pointerDown || event.button !== 0) return;
+
+      const moved = Math.hypot(event.clientX - this.pointerDown.x, event.clientY - this.pointerDown.y);
+      this.pointerDown = null;
+      if (moved > CLICK_TOLERANCE_PX) return;
+
+      const object = this.pick(event);
+      const model = object && this.viewer.getModelOf(object);
+      if (model && model !== this.viewer.currentModel) {
+        this.viewer.selectModel(model);
+      }
+      this.select(object);
+    };
+
+    canvas.addEventListener('pointerdown', this.onPointerDown);
+    canvas.addEventListener('pointerup', this.onPointerUp);
+  }
+
+  setEnabled(enabled) {
+    this.enabled = enabled;
+    this.dispatchEvent({ type: 'change' });
+  }
+
+  pick(event) {
+    const rect = this.viewer.renderer.domElement.getBoundingClientRect();
+    this.pointer.set(
+      ((event.clientX - rect.left) / rect.width) * 2 - 1,
+      -((event.clientY - rect.top) / rect.height) * 2 + 1
+    );
+    this.raycaster.setFromCamera(this.pointer, this.viewer.camera);
+
+    // Hidden parts are skipped, so a click reaches what is actually visible
+    const hit = this.raycaster.intersectObject(this.viewer.modelRoot, true)
+      .find(intersection => !isHelperObject(intersection.object) && SelectionTool.isShown(intersection.object));
+    return hit ? hit.object : null;
+  }
+
+  static isShown(object) {
+    for (let current = object; current; current = current.parent) {
+      if (!current.visible) return false;
+    }
+    return true;
+  }
+
+  // Children worth listing: model nodes, not the helpers tools hang off them
+  static getChildren(node) {
+    return node.children.filter(child => !isHelperObject(child));
+  }
+
+  select(node) {
+    if (node === this.selected) return;
+
+    this.clearOutlines();
+    this.selected = node;
+    if (node) {
+      this.addOutlines(node);
+    }
+    this.dispatchEvent({ type: 'change' });
+  }
+
+  addOutlines(node) {
+    node.traverse((child) => {
+      if (!child.isMesh || isHelperObject(child) || !child.geometry.attributes.normal) return;
+
+      const outline = createStandIn(child, this.outlineMaterial);
+      child.add(outline);
+      this.outlines.push(outline);
+    });
+
+    this.outlineMaterial.clippingPlanes = getModelClippingPlanes(node);
+  }
+
+  clearOutlines() {
+    this.outlines.forEach(outline => outline.removeFromParent());
+    this.outlines = [];
+  }
+
+  setVisible(node, visible) {
+    node.visible = visible;
+    this.dispatchEvent({ type: 'change' });
+  }
+
+  // Hides everything in the model except the node, its ancestors and its descendants
+  isolate(node) {
+    const model = this.viewer.getModelOf(node);
+    if (!model) return;
+
+    this.showAll(model, { notify: false });
+    for (let current = node; current !== model; current = current.parent) {
+      SelectionTool.getChildren(current.parent).forEach((sibling) => {
+        sibling.visible = sibling === current;
+      });
+    }
+    this.dispatchEvent({ type: 'change' });
+  }
+
+  showAll(model = this.viewer.currentModel, { notify = true } = {}) {
+    if (!model) return;
+
+    model.traverse((child) => {
+      if (!isHelperObject(child)) {
+        child.visible = true;
+      }
+    });
+    if (notify) {
+      this.dispatchEvent({ type: 'change' });
+    }
+  }
+
+  // Mesh and distinct material counts below a node, for the tree
+  static getCounts(node) {
+    const materials = new Set();
+    let meshes = 0;
+
+    node.traverse((child) => {
+      if (child.isMesh && !isHelperObject(child)) {
+        meshes++;
+        [getOriginalMaterial(child.material)].flat().forEach(material => materials.add(material));
+      }
+    });
+    return { meshes, materials: materials.size };
+  }
+
+  // Statistics for the details pane; size is in meters, in the model's own (unscaled) frame
+  getDetails(node) {
+    const model = this.viewer.getModelOf(node);
+    const materials = new Set();
+    const box = new THREE.Box3();
+    const geometryBox = new THREE.Box3();
+    const toModel = new THREE.Matrix4();
+    let triangles = 0;
+
+    model.updateWorldMatrix(true, true);
+    const modelInverse = model.matrixWorld.clone().invert();
+
+    node.traverse((child) => {
+      if (!(child.isMesh || child.isPoints || child.isLine) || isHelperObject(child)) return;
+
+      const { geometry } = child;
+      if (child.isMesh) {
+        const vertices = geometry.index ? geometry.index.count : geometry.attributes.position.count;
+        triangles += Math.floor(vertices / 3) * (child.isInstancedMesh ? child.count : 1);
+      }
+      [getOriginalMaterial(child.material)].flat().forEach(material => materials.add(material));
+
+      // Instanced meshes have bounds of their own that cover every instance
+      const bounds = child.isInstancedMesh ? child : geometry;
+      if (!bounds.boundingBox) {
+        bounds.computeBoundingBox();
+      }
+      toModel.multiplyMatrices(modelInverse, child.matrixWorld);
+      box.union(geometryBox.copy(bounds.boundingBox).applyMatrix4(toModel));
+    });
+
+    const { baseScale, unitScale } = model.userData;
+    const size = box.isEmpty()
+      ? new THREE.Vector3()
+      : box.getSize(new THREE.Vector3()).multiply(new THREE.Vector3().fromArray(baseScale)).multiplyScalar(unitScale);
+
+    return {
+      name: node.name,
+      type: node.type,
+      triangles,
+      materials: [...materials].map(material => material.name || material.type),
+      size,
+      unit: model.userData.unit
+    };
+  }
+
+  dispose() {
+    this.select(null);
+    this.outlineMaterial.dispose();
+    const canvas = this.viewer.renderer.domElement;
+    canvas.removeEventListener('pointerdown', this.onPointerDown);
+    canvas.removeEventListener('pointerup', this.onPointerUp);
+  }
+}
@@ -0,0 +1,43 @@
+import * as THREE from 'three';
+import { isHelperObject } from '../utils/SceneHelpers.js';
+import { getOriginalMaterial } from './RenderModeTool.js';
+
+// A helper mesh drawn in place of (or around) a model mesh with another material, e.g. the
+// selection outline. Skinned and instanced meshes get stand-ins of their own kind so they follow
+// the mesh's deformation. Add it as a child of the mesh.
+export function createStandIn(mesh, material, geometry = mesh.geometry) {
+  let standIn;
+  if (mesh.isSkinnedMesh) {
+    standIn = new THREE.SkinnedMesh(geometry, material);
+    standIn.bind(mesh.skeleton, mesh.bindMatrix);
+  } else if (mesh.isInstancedMesh) {
+    standIn = new THREE.InstancedMesh(geometry, material, mesh.count);
+    standIn.instanceMatrix = mesh.instanceMatrix;
+  } else {
+    standIn = new THREE.Mesh(geometry, material);
+  }
+  if (mesh.morphTargetInfluences) {
+    standIn.morphTargetInfluences = mesh.morphTargetInfluences;
+    standIn.morphTargetDictionary = mesh.morphTargetDictionary;
+  }
+
+  // Cut by section planes like the model, but never picked
+  standIn.userData.helper = true;
+  standIn.userData.clippable = true;
+  standIn.raycast = () => {};
+  standIn.castShadow = false;
+  standIn.receiveShadow = false;
+  return standIn;
+}
+
+// The section planes cutting a model (or a node of it), for stand-in materials to share; the
+// model's own materials hold them, whatever display mode is showing
+export function getModelClippingPlanes(node) {
+  let planes = null;
+  node.traverse((child) => {
+    if (planes === null && child.isMesh && !isHelperObject(child)) {
+      planes = [getOriginalMaterial(child.material)].flat()[0].clippingPlanes;
+    }
+  });
+  return planes;
+}
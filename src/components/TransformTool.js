@@ -0,0 +1,109 @@
+import * as THREE from 'three';
+import { TransformControls } from 'three/examples/jsm/controls/TransformControls.js';
+
+export const TRANSFORM_MODES = {
+  translate: { label: 'Move' },
+  rotate: { label: 'Rotate' },
+  scale: { label: 'Scale' }
+};
+const ROTATION_SNAP_DEGREES = 15;
+const SCALE_SNAP = 0.1;
+
+// Arranges models in a multi-model scene: a gizmo on the selected model's placement group
+// (the model itself keeps its normalized scale and centering), with optional snapping.
+export class TransformTool extends THREE.EventDispatcher {
+  constructor(modelViewer) {
+    super();
+    this.viewer = modelViewer;
+    this.enabled = false;
+    this.mode = 'translate';
+    this.snap = true;
+
+    this.createGizmo();
+
+    this.viewer.addEventListener('modelchange', () => this.refresh());
+    this.viewer.addEventListener('modelremove', () => this.refresh());
+    this.addEventListener('change', () => this.viewer.requestRender());
+  }
+
+  createGizmo() {
+    this.gizmo = new TransformControls(this.viewer.camera, this.viewer.renderer.domElement);
+    this.gizmo.addEventListener('dragging-changed', (event) => {
+      this.viewer.controls.enabled = !event.value;
+    });
+    this.gizmo.addEventListener('change', () => this.viewer.requestRender());
+    this.gizmo.addEventListener('objectChange', () => {
+      this.dispatchEvent({ type: 'objectchange' });
+    });
+
+    // The viewer swaps cameras when switching between perspective and orthographic
+    this.viewer.cameraController.addEventListener('change', () => {
+      this.gizmo.camera = this.viewer.camera;
+    });
+
+    this.gizmoHelper = this.gizmo.getHelper();
+    this.gizmoHelper.userData.helper = true;
+    this.viewer.scene.add(this.gizmoHelper);
+  }
+
+  setEnabled(enabled) {
+    this.enabled = enabled;
+    this.refresh();
+    this.dispatchEvent({ type: 'change' });
+  }
+
+  setMode(mode) {
+    if (!TRANSFORM_MODES[mode]) {
+      throw new Error(`Unknown transform mode: ${mode}. Supported modes: ${Object.keys(TRANSFORM_MODES).join(', ')}`);
+    }
+
+    this.mode = mode;
+    this.refresh();
+    this.dispatchEvent({ type: 'change' });
+  }
+
+  setSnap(snap) {
+    this.snap = snap;
+    this.refresh();
+    this.dispatchEvent({ type: 'change' });
+  }
+
+  // A round step about a tenth of the model's size, e.g. 1 cm for a 20 cm part. Placements
+  // move in the model root's space, which fit-to-view scales.
+  getTranslationSnap(model) {
+    const size = this.viewer.getModelBox(model).getSize(new THREE.Vector3());
+    const maxDim = Math.max(size.x, size.y, size.z) / this.viewer.modelRoot.scale.x || 1;
+    return Math.pow(10, Math.floor(Math.log10(maxDim)) - 1);
+  }
+
+  refresh() {
+    const model = this.viewer.currentModel;
+
+    if (!this.enabled || !model) {
+      this.gizmo.detach();
+      return;
+    }
+
+    this.gizmo.setMode(this.mode);
+    this.gizmo.setTranslationSnap(this.snap ? this.getTranslationSnap(model) : null);
+    this.gizmo.setRotationSnap(this.snap ? THREE.MathUtils.degToRad(ROTATION_SNAP_DEGREES) : null);
+    this.gizmo.setScaleSnap(this.snap ? SCALE_SNAP : null);
+    this.gizmo.attach(model.parent);
+  }
+
+  // Puts the selected model's placement back to no rotation and its original size
+  resetTransform() {
+    const model = this.viewer.currentModel;
+    if (!model) return;
+
+    model.parent.quaternion.identity();
+    model.parent.scale.setScalar(1);
+    this.dispatchEvent({ type: 'objectchange' });
+  }
+
+  dispose() {
+    this.gizmo.detach();
+    this.gizmo.dispose();
+    this.gizmoHelper.removeFromParent();
+  }
+}
@@ -0,0 +1,93 @@
+import * as THREE from 'three';
+import { VIEWS } from './CameraController.js';
+
+// CSS 3D cube that mirrors the camera's orientation; clicking a face moves to that view.
+// Being DOM, it works the same for either projection and costs no extra render pass.
+const FACES = {
+  front: 'translateZ(var(--half))',
+  back: 'rotateY(180deg) translateZ(var(--half))',
+  right: 'rotateY(90deg) translateZ(var(--half))',
+  left: 'rotateY(-90deg) translateZ(var(--half))',
+  top: 'rotateX(90deg) translateZ(var(--half))',
+  bottom: 'rotateX(-90deg) translateZ(var(--half))'
+};
+
+export class ViewCube {
+  constructor(container, cameraController) {
+    this.container = container;
+    this.cameraController = cameraController;
+    this.rotation = new THREE.Matrix4();
+    this.lastTransform = '';
+
+    this.createElements();
+    this.bindEvents();
+    this.render();
+  }
+
+  createElements() {
+    this.element = document.createElement('div');
+    this.element.className = 'view-cube';
+    this.element.innerHTML = `
+      <div class="view-cube-scene">
+        <div class="view-cube-body">
+          ${Object.entries(FACES).map(([name, transform]) => `
+            <button class="view-cube-face" type="button" data-view="${name}" style="transform: ${transform}" title="${VIEWS[name].label} view">${VIEWS[name].label}</button>
+          `).join('')}
+        </div>
+      </div>
+      <div class="view-cube-buttons">
+        <button class="view-cube-iso" type="button" data-view="iso" title="Isometric view">Iso</button>
+        <button class="view-cube-fit" type="button" title="Fit the whole model (double-click a part to frame it)">Fit</button>
+        <button class="view-cube-projection" type="button" title="Switch between perspective and orthographic"></button>
+      </div>
+    `;
+
+    this.body = this.element.querySelector('.view-cube-body');
+    this.fitButton = this.element.querySelector('.view-cube-fit');
+    this.projectionButton = this.element.querySelector('.view-cube-projection');
+
+    this.container.appendChild(this.element);
+  }
+
+  bindEvents() {
+    this.element.querySelectorAll('[data-view]').forEach(button => {
+      button.addEventListener('click', () => this.cameraController.setView(button.dataset.view));
+    });
+
+    this.fitButton.addEventListener('click', () => {
+      this.cameraController.fitAll();
+    });
+
+    this.projectionButton.addEventListener('click', () => {
+      const { projection } = this.cameraController;
+      this.cameraController.setProjection(projection === 'perspective' ? 'orthographic' : 'perspective');
+    });
+
+    this.cameraController.addEventListener('change', () => this.render());
+    this.cameraController.viewer.addEventListener('update', () => this.update());
+  }
+
+  render() {
+    const perspective = this.cameraController.projection === 'perspective';
+    this.projectionButton.textContent = perspective ? 'Persp' : 'Ortho';
+  }
+
+  // The cube takes the camera's inverse rotation, converted to CSS's y-down axes
+  update() {
+    // Frames are only rendered on demand, so the camera's matrices may not be current yet
+    const { camera } = this.cameraController;
+    camera.updateMatrixWorld();
+    const e = this.rotation.extractRotation(camera.matrixWorldInverse).elements;
+    const transform = `matrix3d(${[
+      e[0], -e[1], e[2], 0,
+      -e[4], e[5], -e[6], 0,
+      e[8], -e[9], e[10], 0,
+      0, 0, 0, 1
+    ].map(value => value.toFixed(6)).join(',')})`;
+
+    if (transform !== this.lastTransform) {
+      this.body.style.transform = transform;
+      this.lastTransform = transform;
+    }
+  }
+}
@@ -0,0 +1,92 @@
+import { downloadBlob } from '../utils/Download.js';
+
+export class ViewStatePanel {
+  constructor(container, viewStateTool, { onError = null } = {}) {
+    this.container = container;
+    this.tool = viewStateTool;
+    this.onError = onError;
+
+    this.createElements();
+    this.bindEvents();
+    this.render();
+  }
+
+  createElements() {
+    this.element = document.createElement('details');
+    this.element.className = 'view-state-panel';
+    this.element.innerHTML = `
+      <summary>🔗 Share view</summary>
+      <div class="view-state-row">
+        <button class="view-state-link" type="button" title="Put this view in the address bar and copy the link">Copy link</button>
+        <button class="view-state-save" type="button" title="Save this view as a JSON file">Save</button>
+        <button class="view-state-open" type="button" title="Restore a view from a JSON file">Open</button>
+        <input class="view-state-file" type="file" accept=".json,application/json" hidden />
+      </div>
+      <div class="view-state-status"></div>
+      <div class="view-state-note"></div>
+    `;
+
+    this.linkButton = this.element.querySelector('.view-state-link');
+    this.saveButton = this.element.querySelector('.view-state-save');
+    this.openButton = this.element.querySelector('.view-state-open');
+    this.fileInput = this.element.querySelector('.view-state-file');
+    this.status = this.element.querySelector('.view-state-status');
+    this.note = this.element.querySelector('.view-state-note');
+
+    this.container.appendChild(this.element);
+  }
+
+  bindEvents() {
+    this.linkButton.addEventListener('click', () => this.copyLink());
+
+    this.saveButton.addEventListener('click', () => {
+      const blob = new Blob([JSON.stringify(this.tool.getState(), null, 2)], { type: 'application/json' });
+      downloadBlob(blob, 'view.json');
+    });
+
+    this.openButton.addEventListener('click', () => this.fileInput.click());
+    this.fileInput.addEventListener('change', () => {
+      const [file] = this.fileInput.files;
+      this.fileInput.value = '';
+      if (file) {
+        this.openFile(file);
+      }
+    });
+
+    this.tool.viewer.addEventListener('modeladd', () => this.render());
+    this.tool.viewer.addEventListener('modelremove', () => this.render());
+  }
+
+  async copyLink() {
+    const url = this.tool.getShareURL();
+
+    // Replacing the history entry doesn't fire hashchange, so the view isn't re-applied
+    window.history.replaceState(null, '', url);
+    try {
+      await navigator.clipboard.writeText(url);
+      this.status.textContent = 'Link copied';
+    } catch (error) {
+      this.status.textContent = 'Copy the link from the address bar';
+    }
+  }
+
+  async openFile(file) {
+    try {
+      await this.tool.applyState(JSON.parse(await file.text()));
+      this.status.textContent = `Opened ${file.name}`;
+    } catch (error) {
+      console.error('Opening view failed:', error);
+      if (this.onError) {
+        this.onError(error);
+      }
+    }
+  }
+
+  render() {
+    const unshared = this.tool.getUnsharedCount();
+    this.note.textContent = unshared > 0
+      ? `${unshared} model${unshared === 1 ? '' : 's'} loaded from local files can't be shared`
+      : '';
+    this.status.textContent = '';
+  }
+}
@@ -0,0 +1,264 @@
+import * as THREE from 'three';
+import { SelectionTool } from './SelectionTool.js';
+import { BUNDLED_ENVIRONMENTS } from './EnvironmentController.js';
+import { isHelperObject } from '../utils/SceneHelpers.js';
+
+export const VIEW_STATE_VERSION = 1;
+const HASH_PREFIX = '#view=';
+const PRECISION = 6; // Significant digits kept for numbers, so links stay short
+
+function round(value) {
+  return Number(value.toPrecision(PRECISION));
+}
+
+function roundArray(values) {
+  return values.map(round);
+}
+
+// A shareable snapshot of the view: camera, lighting, display mode, the models loaded from URLs
+// (with their placement and hidden nodes) and the selected model's notes. It travels in the URL
+// hash or as a JSON "view" file.
+//
+// Every field is optional when applying, so views saved by an older version, or written by hand,
+// restore what they have and leave the rest as it is. Bump VIEW_STATE_VERSION and convert older
+// data in parse() if a field ever changes meaning; newer versions than this viewer knows are refused.
+export class ViewStateTool extends THREE.EventDispatcher {
+  // loadModel(url, { add, unit }) loads a model the way the app does and resolves to it, or to null
+  constructor(modelViewer, { renderModeTool, annotationTool, selectionTool, loadModel }) {
+    super();
+    this.viewer = modelViewer;
+    this.renderModeTool = renderModeTool;
+    this.annotationTool = annotationTool;
+    this.selectionTool = selectionTool;
+    this.loadModel = loadModel;
+  }
+
+  // Models can only be shared if they came from a URL, not from local files
+  static getSourceURL(model) {
+    return model.userData.sourceURL || null;
+  }
+
+  // Child-index path below the model, counting only model nodes (not helpers or LOD levels), so it
+  // finds the same node after a reload whatever the LOD settings
+  static getNodePath(model, node) {
+    const path = [];
+    for (let current = node; current !== model; current = current.parent) {
+      path.unshift(SelectionTool.getChildren(current.parent).indexOf(current));
+    }
+    return path;
+  }
+
+  static resolveNodePath(model, path) {
+    return path.reduce((node, index) => node && SelectionTool.getChildren(node)[index], model);
+  }
+
+  getState() {
+    const { camera, controls, cameraController, environment, ground } = this.viewer;
+    const shared = this.viewer.models.filter(model => ViewStateTool.getSourceURL(model));
+
+    const state = {
+      version: VIEW_STATE_VERSION,
+      camera: {
+        projection: cameraController.projection,
+        position: roundArray(camera.position.toArray()),
+        target: roundArray(controls.target.toArray()),
+        height: round(cameraController.getVisibleHeight())
+      },
+      fitToView: this.viewer.fitToView,
+      display: {
+        mode: this.renderModeTool.mode,
+        showEdges: this.renderModeTool.showEdges,
+        edgeThreshold: this.renderModeTool.edgeThreshold
+      },
+      lighting: {
+        // A dropped environment file can't be shared; such views keep the recipient's lighting
+        environment: environment.source === 'file' ? undefined : environment.source,
+        toneMapping: environment.toneMapping,
+        exposure: round(environment.exposure),
+        rotation: round(environment.rotation),
+        showBackground: environment.showBackground,
+        blur: round(environment.blur),
+        showGround: ground.showGround,
+        contactShadows: ground.contactShadows,
+        showGrid: ground.showGrid
+      },
+      models: shared.map(model => this.getModelState(model))
+    };
+
+    const selected = shared.indexOf(this.viewer.currentModel);
+    if (selected >= 0) {
+      state.selected = selected;
+      if (this.annotationTool.annotations.length > 0) {
+        state.annotations = this.annotationTool.toJSON().annotations.map(annotation => ({
+          ...annotation,
+          position: roundArray(annotation.position)
+        }));
+      }
+    }
+    return state;
+  }
+
+  getModelState(model) {
+    const placement = model.parent;
+    const hidden = [];
+    model.traverse((node) => {
+      if (!node.visible && !isHelperObject(node)) {
+        hidden.push(ViewStateTool.getNodePath(model, node));
+      }
+    });
+
+    return {
+      url: ViewStateTool.getSourceURL(model),
+      unit: model.userData.unit,
+      position: roundArray(placement.position.toArray()),
+      quaternion: roundArray(placement.quaternion.toArray()),
+      scale: roundArray(placement.scale.toArray()),
+      hidden
+    };
+  }
+
+  // Number of loaded models a shared view leaves out
+  getUnsharedCount() {
+    return this.viewer.models.filter(model => !ViewStateTool.getSourceURL(model)).length;
+  }
+
+  static parse(data) {
+    if (!data || typeof data !== 'object' || !Number.isInteger(data.version)) {
+      throw new Error('Not a view file');
+    }
+    if (data.version > VIEW_STATE_VERSION) {
+      throw new Error(`Unsupported view version: ${data.version}. This viewer reads up to version ${VIEW_STATE_VERSION}`);
+    }
+    return data;
+  }
+
+  // URL-safe base64 of the JSON, so a view fits in a link
+  static encode(state) {
+    const bytes = new TextEncoder().encode(JSON.stringify(state));
+    let binary = '';
+    bytes.forEach((byte) => { binary += String.fromCharCode(byte); });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  static decode(text) {
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    const bytes = Uint8Array.from(binary, character => character.charCodeAt(0));
+    return ViewStateTool.parse(JSON.parse(new TextDecoder().decode(bytes)));
+  }
+
+  getShareURL() {
+    const url = new URL(window.location.href);
+    url.hash = HASH_PREFIX.slice(1) + ViewStateTool.encode(this.getState());
+    return url.href;
+  }
+
+  // The view in a URL hash, or null if the hash holds none
+  static fromHash(hash) {
+    return hash.startsWith(HASH_PREFIX) ? ViewStateTool.decode(hash.slice(HASH_PREFIX.length)) : null;
+  }
+
+  // Models are loaded first, as placements, hidden nodes, notes and the camera refer to them.
+  // Resolves once everything is applied; models that fail to load are skipped.
+  async applyState(data) {
+    const state = ViewStateTool.parse(data);
+
+    if (Array.isArray(state.models) && state.models.length > 0) {
+      await this.applyModels(state);
+    }
+    if (state.lighting) {
+      this.applyLighting(state.lighting);
+    }
+    if (state.display) {
+      this.applyDisplay(state.display);
+    }
+    if (typeof state.fitToView === 'boolean' && state.fitToView !== this.viewer.fitToView) {
+      this.viewer.setFitToView(state.fitToView);
+    }
+    if (state.camera) {
+      this.applyCamera(state.camera);
+    }
+
+    this.viewer.requestRender();
+    this.dispatchEvent({ type: 'apply', state });
+  }
+
+  async applyModels(state) {
+    const loaded = [];
+
+    for (const [index, entry] of state.models.entries()) {
+      if (typeof entry.url !== 'string') continue;
+
+      // The first model replaces whatever is loaded, the others are added beside it
+      const model = await this.loadModel(entry.url, { add: index > 0, unit: entry.unit });
+      if (!model) continue;
+
+      loaded[index] = model;
+      const placement = model.parent;
+      if (Array.isArray(entry.position)) placement.position.fromArray(entry.position);
+      if (Array.isArray(entry.quaternion)) placement.quaternion.fromArray(entry.quaternion).normalize();
+      if (Array.isArray(entry.scale)) placement.scale.fromArray(entry.scale);
+
+      (entry.hidden || []).forEach((path) => {
+        const node = Array.isArray(path) && ViewStateTool.resolveNodePath(model, path);
+        if (node) {
+          node.visible = false;
+        }
+      });
+    }
+
+    const selected = loaded[state.selected];
+    if (selected) {
+      this.viewer.selectModel(selected);
+      if (Array.isArray(state.annotations)) {
+        this.annotationTool.load({ annotations: state.annotations });
+      }
+    }
+
+    // Placements and visibility were changed directly
+    this.viewer.updateModelScale();
+    this.selectionTool.dispatchEvent({ type: 'change' });
+  }
+
+  applyLighting(lighting) {
+    const { environment, ground } = this.viewer;
+
+    if (['studio', 'none'].includes(lighting.environment) || Object.hasOwn(BUNDLED_ENVIRONMENTS, lighting.environment)) {
+      environment.setSource(lighting.environment).catch((error) => {
+        console.error('Environment loading failed:', error);
+      });
+    }
+    if (lighting.toneMapping !== undefined) environment.setToneMapping(lighting.toneMapping);
+    if (Number.isFinite(lighting.exposure)) environment.setExposure(lighting.exposure);
+    if (Number.isFinite(lighting.rotation)) environment.setRotation(lighting.rotation);
+    if (typeof lighting.showBackground === 'boolean') environment.setShowBackground(lighting.showBackground);
+    if (Number.isFinite(lighting.blur)) environment.setBlur(lighting.blur);
+    if (typeof lighting.showGround === 'boolean') ground.setShowGround(lighting.showGround);
+    if (typeof lighting.contactShadows === 'boolean') ground.setContactShadows(lighting.contactShadows);
+    if (typeof lighting.showGrid === 'boolean') ground.setShowGrid(lighting.showGrid);
+  }
+
+  applyDisplay(display) {
+    if (display.mode !== undefined) this.renderModeTool.setMode(display.mode);
+    if (typeof display.showEdges === 'boolean') this.renderModeTool.setShowEdges(display.showEdges);
+    if (Number.isFinite(display.edgeThreshold)) this.renderModeTool.setEdgeThreshold(display.edgeThreshold);
+  }
+
+  applyCamera(camera) {
+    const { cameraController } = this.viewer;
+    if (camera.projection !== undefined) {
+      cameraController.setProjection(camera.projection);
+    }
+    if (!Array.isArray(camera.position) || !Array.isArray(camera.target)) return;
+
+    const position = new THREE.Vector3().fromArray(camera.position);
+    const target = new THREE.Vector3().fromArray(camera.target);
+    const offset = position.clone().sub(target);
+    cameraController.moveTo({
+      target,
+      direction: offset.lengthSq() > 0 ? offset : new THREE.Vector3(0, 0, 1),
+      distance: offset.length(),
+      height: Number.isFinite(camera.height) ? camera.height : cameraController.getVisibleHeight(),
+      animate: false
+    });
+  }
+}
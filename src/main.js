@@ -2,18 +2,51 @@ import './style.css';
 import * as THREE from 'three';
 import { ModelViewer } from './components/ModelViewer.js';
 import { ARMode } from './components/ARMode.js';
+import { QuickLook } from './components/QuickLook.js';
+import { AnimationPanel } from './components/AnimationPanel.js';
+import { MeasurementTool } from './components/MeasurementTool.js';
+import { MeasurementPanel } from './components/MeasurementPanel.js';
+import { SectionTool } from './components/SectionTool.js';
+import { SectionPanel } from './components/SectionPanel.js';
+import { ExplodeTool } from './components/ExplodeTool.js';
+import { ExplodePanel } from './components/ExplodePanel.js';
+import { RenderModeTool } from './components/RenderModeTool.js';
+import { RenderModePanel } from './components/RenderModePanel.js';
+import { EnvironmentController, BACKGROUND_COLOR } from './components/EnvironmentController.js';
+import { LightingPanel } from './components/LightingPanel.js';
+import { CaptureTool } from './components/CaptureTool.js';
+import { CapturePanel } from './components/CapturePanel.js';
+import { ViewCube } from './components/ViewCube.js';
+import { AnnotationTool } from './components/AnnotationTool.js';
+import { AnnotationPanel } from './components/AnnotationPanel.js';
+import { TransformTool } from './components/TransformTool.js';
+import { OutlinerPanel } from './components/OutlinerPanel.js';
+import { SelectionTool } from './components/SelectionTool.js';
+import { InspectorPanel } from './components/InspectorPanel.js';
+import { ExportTool } from './components/ExportTool.js';
+import { ExportPanel } from './components/ExportPanel.js';
+import { ViewStateTool } from './components/ViewStateTool.js';
+import { ViewStatePanel } from './components/ViewStatePanel.js';
+import { LODTool } from './components/LODTool.js';
+import { LODPanel } from './components/LODPanel.js';
+import { CompareTool } from './components/CompareTool.js';
+import { ComparePanel } from './components/ComparePanel.js';
 import { WebXRUtils } from './utils/WebXRUtils.js';
 import { ModelLoader } from './utils/ModelLoader.js';
+import { FileSet } from './utils/FileSet.js';
+import { UNITS, formatDimensions, setModelUnit } from './utils/Units.js';
 
 class WebGLARApp {
   constructor() {
     this.modelViewer = null;
     this.arMode = null;
     this.modelLoader = null;
-    this.currentModel = null;
+    this.currentModel = null; // Load result (format, unit, dimensions) of the selected model
+    this.loadResults = new Map(); // model -> its load result
     this.isARActive = false;
     this.hasWebXR = false;
     this.isIOS = /iPhone|iPad|iPod/i.test(navigator.userAgent);
+    this.loadAbortController = null;
     
     this.init();
   }
@@ -25,13 +58,109 @@ class WebGLARApp {
     this.arButton = document.getElementById('ar-button');
     this.debugButton = document.getElementById('debug-button');
     this.debugInfo = document.getElementById('debug-info');
+    this.unitSelect = document.getElementById('unit-select');
+    this.fitToggle = document.getElementById('fit-toggle');
+    this.addToggle = document.getElementById('add-toggle');
+    this.modelInfo = document.getElementById('model-info');
+    this.urlForm = document.getElementById('url-form');
+    this.urlInput = document.getElementById('url-input');
     this.loadingDiv = document.getElementById('loading');
+    this.loadingMessage = document.getElementById('loading-message');
+    this.loadingProgress = document.getElementById('loading-progress');
+    this.cancelButton = document.getElementById('cancel-button');
     this.errorDiv = document.getElementById('error');
     
     // Initialize components
     this.modelViewer = new ModelViewer(this.container);
     this.arMode = new ARMode(this.modelViewer);
-    this.modelLoader = new ModelLoader();
+    this.quickLook = new QuickLook(this.modelViewer);
+    this.hasQuickLook = QuickLook.isSupported();
+    if (this.hasQuickLook) {
+      // The USDZ is generated as soon as a model is selected (which includes adding one), so
+      // tapping View in AR can open it within the tap's user activation
+      this.modelViewer.addEventListener('modelchange', ({ model }) => this.prepareQuickLook(model));
+    }
+    this.animationPanel = new AnimationPanel(this.container, this.modelViewer.animationController);
+    this.viewCube = new ViewCube(this.container, this.modelViewer.cameraController);
+    
+    // Tool panels stack down the left edge of the viewer
+    this.toolColumn = document.createElement('div');
+    this.toolColumn.className = 'tool-column';
+    this.container.appendChild(this.toolColumn);
+    
+    this.transformTool = new TransformTool(this.modelViewer);
+    this.outlinerPanel = new OutlinerPanel(this.toolColumn, this.modelViewer, this.transformTool);
+    this.selectionTool = new SelectionTool(this.modelViewer);
+    this.inspectorPanel = new InspectorPanel(this.toolColumn, this.selectionTool, this.modelViewer.cameraController);
+    this.measurementTool = new MeasurementTool(this.modelViewer);
+    this.measurementPanel = new MeasurementPanel(this.toolColumn, this.measurementTool);
+    this.annotationTool = new AnnotationTool(this.modelViewer);
+    this.annotationPanel = new AnnotationPanel(this.toolColumn, this.annotationTool, {
+      onError: (error) => this.showError(`Failed to import notes: ${error.message}`)
+    });
+    
+    // Measuring and pinning notes both place points by clicking, so only one can be on,
+    // and clicks only select parts while neither is
+    this.measurementTool.addEventListener('change', () => {
+      if (this.measurementTool.enabled && this.annotationTool.enabled) this.annotationTool.setEnabled(false);
+      this.updateClickSelection();
+    });
+    this.annotationTool.addEventListener('change', () => {
+      if (this.annotationTool.enabled && this.measurementTool.enabled) this.measurementTool.setEnabled(false);
+      this.updateClickSelection();
+    });
+    
+    this.sectionTool = new SectionTool(this.modelViewer);
+    this.sectionPanel = new SectionPanel(this.container, this.sectionTool);
+    this.explodeTool = new ExplodeTool(this.modelViewer);
+    this.explodePanel = new ExplodePanel(this.container, this.explodeTool);
+    this.renderModeTool = new RenderModeTool(this.modelViewer);
+    this.renderModePanel = new RenderModePanel(this.toolColumn, this.renderModeTool);
+    this.lightingPanel = new LightingPanel(this.toolColumn, this.modelViewer.environment, this.modelViewer.ground, {
+      onError: (error) => this.showError(`Failed to load environment: ${error.message}`)
+    });
+    this.captureTool = new CaptureTool(this.modelViewer);
+    this.capturePanel = new CapturePanel(this.toolColumn, this.captureTool, {
+      onError: (error) => this.showError(`Capture failed: ${error.message}`)
+    });
+    this.exportTool = new ExportTool(this.modelViewer);
+    this.exportPanel = new ExportPanel(this.toolColumn, this.exportTool, {
+      onError: (error) => this.showError(`Export failed: ${error.message}`)
+    });
+    this.viewStateTool = new ViewStateTool(this.modelViewer, {
+      renderModeTool: this.renderModeTool,
+      annotationTool: this.annotationTool,
+      selectionTool: this.selectionTool,
+      loadModel: (url, options) => this.loadModel(url, options)
+    });
+    this.viewStatePanel = new ViewStatePanel(this.toolColumn, this.viewStateTool, {
+      onError: (error) => this.showError(`Failed to open view: ${error.message}`)
+    });
+    this.lodTool = new LODTool(this.modelViewer);
+    this.lodPanel = new LODPanel(this.toolColumn, this.lodTool);
+    this.compareTool = new CompareTool(this.modelViewer);
+    this.comparePanel = new ComparePanel(this.toolColumn, this.compareTool, {
+      onError: (error) => this.showError(`Compare failed: ${error.message}`)
+    });
+
+    // Clicks can't be mapped into one half of the side-by-side view, so they do nothing there
+    this.compareTool.addEventListener('change', () => {
+      if (this.compareTool.mode === 'split') {
+        if (this.measurementTool.enabled) this.measurementTool.setEnabled(false);
+        if (this.annotationTool.enabled) this.annotationTool.setEnabled(false);
+      }
+      this.updateClickSelection();
+    });
+    this.modelLoader = new ModelLoader({ renderer: this.modelViewer.renderer });
+    
+    // File picker accepts whatever the format registry knows about
+    this.modelInput.accept = ModelLoader.registry.getAcceptList();
+    
+    // Unit choices come from the same table the loader converts with
+    this.unitSelect.add(new Option('Units: auto', 'auto'));
+    for (const [key, unit] of Object.entries(UNITS)) {
+      this.unitSelect.add(new Option(`Units: ${unit.label}`, key));
+    }
     
     // Set up event listeners
     this.setupEventListeners();
@@ -41,16 +170,85 @@ class WebGLARApp {
     
     // Add info panel
     this.createInfoPanel();
+    
+    // Shared views (#view=...) name their own models, so they win over ?model=
+    window.addEventListener('hashchange', () => this.restoreViewFromHash());
+    if (this.restoreViewFromHash()) return;
+    
+    // Auto-load shared links like ?model=./model/model.gltf
+    const modelURL = new URLSearchParams(window.location.search).get('model');
+    if (modelURL) {
+      this.urlInput.value = modelURL;
+      this.loadModel(modelURL);
+    }
+  }
+
+  // Applies a view shared through the URL hash; false if the hash holds none
+  restoreViewFromHash() {
+    let state;
+    try {
+      state = ViewStateTool.fromHash(window.location.hash);
+    } catch (error) {
+      console.error('Invalid view link:', error);
+      this.showError(`Invalid view link: ${error.message}`);
+      return false;
+    }
+    if (!state) return false;
+    
+    this.viewStateTool.applyState(state).catch((error) => {
+      console.error('Restoring view failed:', error);
+      this.showError(`Failed to restore view: ${error.message}`);
+    });
+    return true;
   }
 
   setupEventListeners() {
     // Model file input
     this.modelInput.addEventListener('change', (event) => {
-      const file = event.target.files[0];
-      if (file) {
-        this.loadModel(file);
+      const files = Array.from(event.target.files);
+      if (files.length > 0) {
+        this.loadModel(new FileSet(files));
+      }
+    });
+
+    // Unit override for unitless formats; re-applies to the loaded model
+    this.unitSelect.addEventListener('change', () => {
+      this.applyUnitSelection();
+    });
+
+    // Unit and size info follow the selected model
+    this.modelViewer.addEventListener('modelchange', ({ model }) => {
+      this.currentModel = (model && this.loadResults.get(model)) || null;
+      this.updateModelInfo();
+      if (!model && !this.isARActive) {
+        this.arButton.disabled = true;
       }
     });
+    this.modelViewer.addEventListener('modelremove', ({ model }) => {
+      this.loadResults.delete(model);
+    });
+
+    // Desktop fit-to-view; AR always uses true size
+    this.fitToggle.addEventListener('change', () => {
+      this.modelViewer.setFitToView(this.fitToggle.checked);
+    });
+    this.viewStateTool.addEventListener('apply', () => {
+      this.fitToggle.checked = this.modelViewer.fitToView;
+    });
+
+    // Model URL input
+    this.urlForm.addEventListener('submit', (event) => {
+      event.preventDefault();
+      const url = this.urlInput.value.trim();
+      if (url) {
+        this.loadModel(url);
+      }
+    });
+
+    // Cancel an in-flight download or parse
+    this.cancelButton.addEventListener('click', () => {
+      this.cancelLoading();
+    });
 
     // AR button
     this.arButton.addEventListener('click', () => {
@@ -76,13 +274,24 @@ class WebGLARApp {
       this.container.style.backgroundColor = '';
     });
 
-    this.container.addEventListener('drop', (event) => {
+    this.container.addEventListener('drop', async (event) => {
       event.preventDefault();
       this.container.style.backgroundColor = '';
       
-      const files = event.dataTransfer.files;
-      if (files.length > 0) {
-        this.loadModel(files[0]);
+      try {
+        // Dropped folders are walked so .gltf buffers and textures come along
+        const fileSet = await FileSet.fromDataTransfer(event.dataTransfer);
+        const files = [...fileSet.files.values()];
+        
+        // A lone .hdr/.exr is an environment map rather than a model
+        if (files.length === 1 && EnvironmentController.isEnvironmentFile(files[0])) {
+          this.lightingPanel.loadFile(files[0]);
+        } else if (fileSet.size > 0) {
+          this.loadModel(fileSet);
+        }
+      } catch (error) {
+        console.error('Reading dropped files failed:', error);
+        this.showError(`Failed to read dropped files: ${error.message}`);
       }
     });
   }
@@ -106,8 +315,18 @@ class WebGLARApp {
       } else {
         this.hasWebXR = false;
         
-        // Enable fallback AR for iOS devices with models loaded
-        if (this.isIOS && this.currentModel) {
+        // iOS Safari has AR Quick Look instead; the simulation is the last resort
+        if (this.hasQuickLook && this.currentModel) {
+          this.arButton.disabled = false;
+          this.arButton.textContent = 'View in AR';
+          this.arButton.title = 'Open the model in AR Quick Look';
+          console.log('📱 AR Quick Look enabled');
+        } else if (this.hasQuickLook) {
+          this.arButton.disabled = true;
+          this.arButton.textContent = 'Load Model First';
+          this.arButton.title = 'Load a model to view it in AR Quick Look';
+          console.log('📱 Load model to enable AR Quick Look');
+        } else if (this.isIOS && this.currentModel) {
           this.arButton.disabled = false;
           this.arButton.textContent = 'AR Simulation';
           this.arButton.title = 'Fallback AR mode for iOS (no WebXR)';
@@ -137,30 +356,61 @@ class WebGLARApp {
     }
   }
 
-  async loadModel(file) {
+  // Resolves to the loaded model, or null if loading failed or was cancelled
+  async loadModel(source, { add = this.addToggle.checked, unit = this.unitSelect.value } = {}) {
+    // Only one load at a time; a newer request supersedes the old one
+    this.cancelLoading();
+    const abortController = new AbortController();
+    this.loadAbortController = abortController;
+    
+    const options = {
+      signal: abortController.signal,
+      onProgress: (progress) => this.updateProgress(progress),
+      unit,
+      ...this.lodTool.getLoadOptions()
+    };
+    
     try {
-      // Validate file
-      ModelLoader.validateFile(file);
-      
-      console.log(`Loading ${file.name} (${(file.size / 1024 / 1024).toFixed(2)} MB)`);
+      let result;
       
-      // Show loading
-      this.showLoading('Loading model...');
-      this.hideError();
-      
-      // Load model
-      const result = await this.modelLoader.loadModel(file);
+      if (typeof source === 'string') {
+        console.log(`Loading ${source}`);
+        
+        this.showLoading('Downloading model...');
+        this.hideError();
+        
+        result = await this.modelLoader.loadFromURL(source, options);
+      } else {
+        // Validate the main model file; companions (.bin, textures) are resolved by the loader
+        const file = ModelLoader.findModelFile(source);
+        await ModelLoader.validateFile(file);
+        
+        console.log(`Loading ${file.name} (${(file.size / 1024 / 1024).toFixed(2)} MB, ${source.size} file(s))`);
+        
+        // Show loading
+        this.showLoading('Loading model...');
+        this.hideError();
+        
+        // Load model
+        result = await this.modelLoader.loadModel(source, options);
+      }
       
-      // Clear current model and add new one
-      this.modelViewer.clearCurrentModel();
-      this.modelViewer.scene.add(result.model);
-      this.modelViewer.currentModel = result.model;
-      this.currentModel = result;
+      // Add beside the loaded models, or replace them (freeing their GPU resources)
+      this.loadResults.set(result.model, result);
+      if (add) {
+        this.modelViewer.addModel(result.model, result.animations);
+      } else {
+        this.modelViewer.setModel(result.model, result.animations);
+      }
       
       // Enable AR button based on support and model availability
       if (this.hasWebXR) {
         this.arButton.disabled = false;
         this.arButton.textContent = 'Enter AR Mode';
+      } else if (this.hasQuickLook) {
+        this.arButton.disabled = false;
+        this.arButton.textContent = 'View in AR';
+        this.arButton.title = 'Open the model in AR Quick Look';
       } else if (this.isIOS) {
         // Enable iOS fallback AR simulation
         this.arButton.disabled = false;
@@ -173,11 +423,69 @@ class WebGLARApp {
       this.hideLoading();
       
       console.log('Model loaded successfully:', result);
+      return result.model;
       
     } catch (error) {
+      if (abortController.signal.aborted) {
+        console.log('Model loading cancelled');
+        return null;
+      }
+      
       console.error('Model loading failed:', error);
       this.showError(`Failed to load model: ${error.message}`);
       this.hideLoading();
+      return null;
+    } finally {
+      if (this.loadAbortController === abortController) {
+        this.loadAbortController = null;
+      }
+    }
+  }
+
+  updateClickSelection() {
+    const placing = this.measurementTool.enabled || this.annotationTool.enabled;
+    const clickable = !placing && this.compareTool.mode !== 'split';
+    if (this.selectionTool.enabled !== clickable) {
+      this.selectionTool.setEnabled(clickable);
+    }
+  }
+
+  applyUnitSelection() {
+    if (!this.currentModel) return;
+    
+    const format = ModelLoader.registry.get(this.currentModel.type);
+    const unit = ModelLoader.resolveUnit(format, this.currentModel.model, this.unitSelect.value);
+    
+    setModelUnit(this.currentModel.model, unit);
+    this.currentModel.unit = unit;
+    this.currentModel.dimensions.fromArray(this.currentModel.model.userData.dimensions);
+    
+    this.modelViewer.updateModelScale();
+    this.modelViewer.frameModel();
+    this.measurementTool.refreshLabels();
+    this.updateModelInfo();
+  }
+
+  updateModelInfo() {
+    if (!this.currentModel) {
+      this.modelInfo.style.display = 'none';
+      return;
+    }
+    
+    const { type, unit, dimensions } = this.currentModel;
+    const format = ModelLoader.registry.get(type);
+    const unitLabel = UNITS[unit].label.toLowerCase();
+    const note = format.units.selectable ? unitLabel : `${unitLabel}, fixed by format`;
+    
+    this.modelInfo.textContent = `📏 ${formatDimensions(dimensions, unit)} (W × H × D) · ${format.label} in ${note}`;
+    this.modelInfo.style.display = 'block';
+  }
+
+  cancelLoading() {
+    if (this.loadAbortController) {
+      this.loadAbortController.abort();
+      this.loadAbortController = null;
+      this.hideLoading();
     }
   }
 
@@ -190,6 +498,15 @@ class WebGLARApp {
     try {
       this.showLoading('Starting AR session...');
       
+      // AR always looks through the perspective camera
+      this.modelViewer.cameraController.setProjection('perspective');
+      
+      // The selection outline hangs off the model and would be cloned into the AR copy
+      this.selectionTool.select(null);
+
+      // Compare mode moves and hides models, and its stand-ins would be cloned too
+      this.compareTool.setMode('off');
+      
       // Check if we should use WebXR or fallback mode
       if (this.hasWebXR) {
         // Use real WebXR AR
@@ -198,15 +515,22 @@ class WebGLARApp {
         this.isARActive = true;
         this.arButton.textContent = 'Exit AR';
         document.body.classList.add('ar-mode');
-        
-        // Set up AR frame loop
-        this.modelViewer.renderer.setAnimationLoop((timestamp, frame) => {
-          if (frame) {
-            this.arMode.onXRFrame(frame);
+      } else if (this.hasQuickLook) {
+        // Quick Look opens over the page, which stays as it is
+        if (this.quickLook.isReady()) {
+          this.quickLook.open();
+        } else {
+          // Opening after the export would be past the tap's user activation, so another tap opens it
+          this.showLoading('Preparing model for AR Quick Look...');
+          try {
+            await this.quickLook.getURL(this.modelViewer.currentModel);
+            this.arButton.textContent = 'Open in AR';
+            this.arButton.title = 'The model is ready for AR Quick Look';
+          } catch (error) {
+            console.error('AR Quick Look failed:', error);
+            this.startARSimulation();
           }
-          this.modelViewer.controls.update();
-          this.modelViewer.renderer.render(this.modelViewer.scene, this.modelViewer.camera);
-        });
+        }
       } else {
         // Use iOS AR simulation
         this.startARSimulation();
@@ -221,6 +545,19 @@ class WebGLARApp {
     }
   }
 
+  prepareQuickLook(model) {
+    if (!model) return;
+
+    if (!this.isARActive) {
+      this.arButton.textContent = 'View in AR';
+      this.arButton.title = 'Open the model in AR Quick Look';
+    }
+    this.quickLook.getURL(model).catch((error) => {
+      // Retried when View in AR is tapped
+      console.error('AR Quick Look export failed:', error);
+    });
+  }
+
   async startARSimulation() {
     console.log('📱 Starting iOS AR Simulation');
     
@@ -233,19 +570,22 @@ class WebGLARApp {
       this.arButton.textContent = 'Exit AR Simulation';
       document.body.classList.add('ar-mode');
       
-      // Adjust camera for mobile AR-like view
-      this.modelViewer.camera.position.set(0, 0, 3);
-      this.modelViewer.camera.lookAt(0, 0, 0);
-      
       // Make background transparent to show camera feed
       this.modelViewer.scene.background = null;
       this.modelViewer.renderer.setClearColor(0x000000, 0); // Transparent
+      this.modelViewer.requestRender();
       
       // Position model to appear on a surface (like a table)
       if (this.currentModel) {
-        this.currentModel.model.position.set(0, -0.5, 0); // Place on surface
-        this.currentModel.model.scale.set(0.3, 0.3, 0.3); // Make smaller for AR
+        // Simulation can't track real surfaces, so show a small fitted model instead of true size
+        this.modelViewer.updateModelScale({ fit: true, factor: 0.3 });
+        this.modelViewer.frameModel();
+        this.modelViewer.modelRoot.position.y -= 0.5; // Place on surface
       }
+
+      // Adjust camera for mobile AR-like view
+      this.modelViewer.camera.position.set(0, 0, 3);
+      this.modelViewer.camera.lookAt(0, 0, 0);
       
       // Add instructions for iOS users
       this.showError('📱 iOS AR Simulation: Camera active! Move your device to view the model. The model appears on a virtual surface.');
@@ -313,18 +653,21 @@ class WebGLARApp {
     this.arButton.textContent = 'Exit AR Simulation';
     document.body.classList.add('ar-mode');
     
-    // Adjust camera for mobile AR-like view
-    this.modelViewer.camera.position.set(0, 0, 3);
-    this.modelViewer.camera.lookAt(0, 0, 0);
-    
     // Create a simple gradient background to simulate environment
     this.modelViewer.scene.background = new THREE.Color(0x87CEEB); // Sky blue
+    this.modelViewer.requestRender();
     
     // Position model to appear on a surface
     if (this.currentModel) {
-      this.currentModel.model.position.set(0, -0.5, 0);
-      this.currentModel.model.scale.set(0.3, 0.3, 0.3);
+      // Simulation can't track real surfaces, so show a small fitted model instead of true size
+      this.modelViewer.updateModelScale({ fit: true, factor: 0.3 });
+      this.modelViewer.frameModel();
+      this.modelViewer.modelRoot.position.y -= 0.5; // Place on surface
     }
+
+    // Adjust camera for mobile AR-like view
+    this.modelViewer.camera.position.set(0, 0, 3);
+    this.modelViewer.camera.lookAt(0, 0, 0);
     
     // Add instructions for iOS users
     this.showError('📱 Basic AR Simulation: Move your device to view the model from different angles.');
@@ -369,8 +712,6 @@ class WebGLARApp {
   exitAR() {
     if (this.hasWebXR) {
       this.arMode.endARSession();
-      // Reset animation loop
-      this.modelViewer.renderer.setAnimationLoop(null);
     } else {
       // Exit iOS AR simulation
       console.log('📱 Exiting iOS AR Simulation');
@@ -385,19 +726,18 @@ class WebGLARApp {
         this.arVideoElement = null;
       }
       
-      // Reset camera position
-      this.modelViewer.camera.position.set(0, 0, 5);
+      // Reset camera orientation; framing is restored with the model scale below
       this.modelViewer.camera.rotation.set(0, 0, 0);
-      this.modelViewer.controls.reset();
       
       // Reset background
-      this.modelViewer.scene.background = new THREE.Color(0xf0f0f0);
-      this.modelViewer.renderer.setClearColor(0xf0f0f0, 1);
+      this.modelViewer.environment.restoreBackground();
+      this.modelViewer.renderer.setClearColor(BACKGROUND_COLOR, 1);
+      this.modelViewer.requestRender();
       
       // Reset model position and scale
       if (this.currentModel) {
-        this.currentModel.model.position.set(0, 0, 0);
-        this.currentModel.model.scale.set(1, 1, 1);
+        this.modelViewer.updateModelScale();
+        this.modelViewer.frameModel();
       }
       
       // Remove device orientation listener
@@ -412,27 +752,74 @@ class WebGLARApp {
   }
 
   createInfoPanel() {
+    const formats = ModelLoader.registry.getFormats().map(format => format.label).join(', ');
     const infoPanel = document.createElement('div');
     infoPanel.className = 'info-panel';
     infoPanel.innerHTML = `
       <h3>WebGL/AR 3D Model Viewer</h3>
       <ul>
-        <li>📁 Drag & drop or select 3D models</li>
+        <li>📁 Drag & drop or select 3D models (folders and multi-file glTF too)</li>
+        <li>🔗 Load from a URL or share links with ?model=...</li>
         <li>🔄 Mouse/touch to rotate view</li>
+        <li>🎬 Play, scrub and blend glTF/FBX animations</li>
+        <li>🌳 Browse the model structure, select, hide and isolate parts</li>
+        <li>🗂️ Arrange several models side by side and take them into AR together</li>
+        <li>📐 Measure distances and angles in real units</li>
+        <li>📌 Pin notes on the model, also shown in AR</li>
+        <li>✂️ Section planes to look inside assemblies</li>
+        <li>💥 Exploded view for multi-part models</li>
+        <li>🎨 Wireframe, x-ray, normals, matcap and edge display modes</li>
+        <li>🟫 Ground shadows, contact shadows and a grid under the model</li>
+        <li>💡 Studio or dropped .hdr/.exr environment lighting</li>
+        <li>📷 High-resolution PNG and turntable video export</li>
+        <li>💾 GLB export of the selected model, e.g. to convert STL/OBJ to glTF</li>
+        <li>🔗 Shareable view links and JSON view files</li>
+        <li>⚖️ Compare two revisions side by side, overlaid or as a deviation heatmap</li>
+        <li>🧊 View cube, standard views, fit framing and orthographic projection</li>
+        <li>⚡ Automatic LOD for heavy meshes within a per-device triangle budget</li>
         <li>🥽 AR mode for real-world placement</li>
+        <li>🍎 AR Quick Look on iOS with in-browser USDZ generation</li>
         <li>📱 Works on mobile devices</li>
       </ul>
-      <p>Supported formats: glTF, glB, STL</p>
+      <p>Supported formats: ${formats}</p>
     `;
     
     this.container.appendChild(infoPanel);
   }
 
   showLoading(message) {
-    this.loadingDiv.textContent = message;
+    this.loadingMessage.textContent = message;
+    this.loadingProgress.removeAttribute('value'); // Indeterminate until progress arrives
+    this.cancelButton.style.display = this.loadAbortController ? '' : 'none';
     this.loadingDiv.style.display = 'block';
   }
 
+  updateProgress({ phase, loaded, total }) {
+    const labels = {
+      download: 'Downloading model...',
+      read: 'Reading file...',
+      parse: 'Parsing model...',
+      simplify: 'Simplifying heavy meshes...'
+    };
+    
+    if (phase === 'parse') {
+      // Parsing only reports external resources (buffers, textures) as they finish
+      this.loadingMessage.textContent = total > 0 ? `${labels.parse} (${loaded}/${total} resources)` : labels.parse;
+    } else if (phase === 'simplify') {
+      this.loadingMessage.textContent = `${labels.simplify} (${loaded}/${total} meshes)`;
+    } else {
+      const loadedMB = (loaded / 1024 / 1024).toFixed(1);
+      const totalMB = total ? ` / ${(total / 1024 / 1024).toFixed(1)}` : '';
+      this.loadingMessage.textContent = `${labels[phase]} ${loadedMB}${totalMB} MB`;
+    }
+    
+    if (total > 0) {
+      this.loadingProgress.value = Math.min(loaded / total, 1);
+    } else {
+      this.loadingProgress.removeAttribute('value');
+    }
+  }
+
   hideLoading() {
     this.loadingDiv.style.display = 'none';
   }
@@ -450,16 +837,35 @@ class WebGLARApp {
     if (this.debugInfo.style.display === 'none' || !this.debugInfo.style.display) {
       // Show debug info
       const debugData = await this.collectDebugInfo();
-      this.debugInfo.textContent = debugData;
+      this.debugStaticInfo = debugData;
+      this.updateDebugInfo();
       this.debugInfo.style.display = 'block';
       this.debugButton.textContent = 'Hide Debug';
+      
+      // Keep GPU resource counts live while the panel is open
+      this.debugInterval = setInterval(() => this.updateDebugInfo(), 1000);
     } else {
       // Hide debug info
+      clearInterval(this.debugInterval);
+      this.debugInterval = null;
       this.debugInfo.style.display = 'none';
       this.debugButton.textContent = 'Debug Info';
     }
   }
 
+  updateDebugInfo() {
+    const stats = this.modelViewer.getResourceStats();
+    
+    this.debugInfo.textContent = `${this.debugStaticInfo}
+🧮 GPU RESOURCES (live):
+Geometries: ${stats.geometries}
+Textures: ${stats.textures}
+Shader programs: ${stats.programs}
+Draw calls: ${stats.drawCalls}
+Triangles: ${stats.triangles}
+Tracked for loaded models: ${stats.tracked.geometries} geometries, ${stats.tracked.materials} materials, ${stats.tracked.textures} textures`;
+  }
+
   async collectDebugInfo() {
     const info = {
       // Browser & Environment
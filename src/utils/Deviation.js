@@ -0,0 +1,207 @@
+import * as THREE from 'three';
+
+// Nearest-surface distances for comparing two revisions of a model (no DOM).
+//
+// The reference surface's triangles are binned into a uniform grid. A query searches rings of
+// cells around the point, nearest first, and stops once no unsearched cell can hold anything
+// closer. With both revisions aligned, the nearest surface is rarely more than a ring or two away.
+
+const MAX_GRID_RESOLUTION = 256;
+const TRIANGLES_PER_CELL = 4; // Aimed for on a surface, which fills about resolution² cells
+
+export class TriangleGrid {
+  // triangles holds the corners of each triangle, 9 values per triangle
+  constructor(triangles) {
+    this.triangles = triangles;
+    this.count = triangles.length / 9;
+    this.cells = new Map(); // cell key -> indices of the triangles overlapping it
+
+    this.triangle = new THREE.Triangle();
+    this.closest = new THREE.Vector3();
+    this.point = new THREE.Vector3();
+
+    this.build();
+  }
+
+  build() {
+    const { triangles, count } = this;
+    this.box = new THREE.Box3();
+    for (let i = 0; i < triangles.length; i += 3) {
+      this.box.expandByPoint(this.point.fromArray(triangles, i));
+    }
+
+    this.size = this.box.getSize(new THREE.Vector3()).toArray();
+    const extent = Math.max(...this.size) || 1;
+    const resolution = THREE.MathUtils.clamp(Math.ceil(Math.sqrt(count / TRIANGLES_PER_CELL)), 1, MAX_GRID_RESOLUTION);
+    this.cellSize = extent / resolution;
+    this.dims = this.size.map(length => Math.max(1, Math.ceil(length / this.cellSize)));
+
+    const min = new THREE.Vector3();
+    const max = new THREE.Vector3();
+    const corner = new THREE.Vector3();
+    for (let t = 0; t < count; t++) {
+      min.set(Infinity, Infinity, Infinity);
+      max.set(-Infinity, -Infinity, -Infinity);
+      for (let k = 0; k < 3; k++) {
+        corner.fromArray(triangles, t * 9 + k * 3);
+        min.min(corner);
+        max.max(corner);
+      }
+
+      const [x0, y0, z0] = this.getCell(min);
+      const [x1, y1, z1] = this.getCell(max);
+      for (let x = x0; x <= x1; x++) {
+        for (let y = y0; y <= y1; y++) {
+          for (let z = z0; z <= z1; z++) {
+            const key = this.getKey(x, y, z);
+            if (!this.cells.has(key)) {
+              this.cells.set(key, []);
+            }
+            this.cells.get(key).push(t);
+          }
+        }
+      }
+    }
+  }
+
+  // Cell coordinates of a point; points outside the grid get cells outside its range
+  getCell(point) {
+    const { min } = this.box;
+    return [point.x - min.x, point.y - min.y, point.z - min.z].map((offset, axis) => {
+      const cell = Math.floor(offset / this.cellSize);
+      // Points on the box's far face belong to the last cell
+      return offset <= this.size[axis] ? Math.min(cell, this.dims[axis] - 1) : cell;
+    });
+  }
+
+  getKey(x, y, z) {
+    return x + this.dims[0] * (y + this.dims[1] * z);
+  }
+
+  inRange(axis, cell) {
+    return cell >= 0 && cell < this.dims[axis];
+  }
+
+  // Distance from the point to the faces of the block of cells within `ring` of its cell
+  getReach(point, cell, ring) {
+    const { min } = this.box;
+    let reach = Infinity;
+    for (let axis = 0; axis < 3; axis++) {
+      const offset = point.getComponent(axis) - min.getComponent(axis);
+      const lower = (cell[axis] - ring) * this.cellSize;
+      const upper = (cell[axis] + ring + 1) * this.cellSize;
+      reach = Math.min(reach, offset - lower, upper - offset);
+    }
+    return reach;
+  }
+
+  // Distance from the point to the nearest triangle
+  distanceTo(point) {
+    if (this.count === 0) return Infinity;
+
+    const [cx, cy, cz] = this.getCell(point);
+    const [dx, dy, dz] = this.dims;
+    // Past this ring every cell of the grid has been searched
+    const lastRing = Math.max(cx, dx - 1 - cx, cy, dy - 1 - cy, cz, dz - 1 - cz);
+
+    let best = Infinity;
+    const visit = (x, y, z) => {
+      const cell = this.cells.get(this.getKey(x, y, z));
+      if (!cell) return;
+
+      for (const t of cell) {
+        const offset = t * 9;
+        this.triangle.a.fromArray(this.triangles, offset);
+        this.triangle.b.fromArray(this.triangles, offset + 3);
+        this.triangle.c.fromArray(this.triangles, offset + 6);
+        this.triangle.closestPointToPoint(point, this.closest);
+        best = Math.min(best, this.closest.distanceToSquared(point));
+      }
+    };
+
+    for (let ring = 0; ring <= lastRing; ring++) {
+      // Only the ring's shell: the faces at ±ring on z, plus every z along the x and y edges
+      for (let x = Math.max(cx - ring, 0); x <= Math.min(cx + ring, dx - 1); x++) {
+        for (let y = Math.max(cy - ring, 0); y <= Math.min(cy + ring, dy - 1); y++) {
+          if (Math.abs(x - cx) === ring || Math.abs(y - cy) === ring) {
+            for (let z = Math.max(cz - ring, 0); z <= Math.min(cz + ring, dz - 1); z++) {
+              visit(x, y, z);
+            }
+          } else {
+            if (this.inRange(2, cz - ring)) visit(x, y, cz - ring);
+            if (ring > 0 && this.inRange(2, cz + ring)) visit(x, y, cz + ring);
+          }
+        }
+      }
+
+      // Nothing beyond the searched block of cells is closer than the block's nearest face
+      const reach = this.getReach(point, [cx, cy, cz], ring);
+      if (best <= reach * reach) break;
+    }
+
+    return Math.sqrt(best);
+  }
+}
+
+// Corners of every triangle drawn by the meshes, transformed by toSpace × the mesh's world matrix
+// (and by each instance's matrix). Positions include skinning and morph targets; degenerate
+// triangles are left out.
+export function collectTriangles(meshes, toSpace) {
+  const chunks = [];
+  const matrix = new THREE.Matrix4();
+  const instanceMatrix = new THREE.Matrix4();
+  const vertex = new THREE.Vector3();
+  const triangle = new THREE.Triangle();
+
+  meshes.forEach((mesh) => {
+    const { geometry } = mesh;
+    const { count } = geometry.attributes.position;
+    const local = new Float32Array(count * 3);
+    for (let i = 0; i < count; i++) {
+      mesh.getVertexPosition(i, vertex).toArray(local, i * 3);
+    }
+
+    const instances = mesh.isInstancedMesh ? mesh.count : 1;
+    const { index } = geometry;
+    const triangles = Math.floor((index ? index.count : count) / 3);
+
+    for (let instance = 0; instance < instances; instance++) {
+      matrix.multiplyMatrices(toSpace, mesh.matrixWorld);
+      if (mesh.isInstancedMesh) {
+        mesh.getMatrixAt(instance, instanceMatrix);
+        matrix.multiply(instanceMatrix);
+      }
+
+      const positions = new Float32Array(count * 3);
+      for (let i = 0; i < count; i++) {
+        vertex.fromArray(local, i * 3).applyMatrix4(matrix).toArray(positions, i * 3);
+      }
+
+      const chunk = new Float32Array(triangles * 9);
+      let offset = 0;
+      for (let t = 0; t < triangles; t++) {
+        const corners = index
+          ? [index.getX(t * 3), index.getX(t * 3 + 1), index.getX(t * 3 + 2)]
+          : [t * 3, t * 3 + 1, t * 3 + 2];
+        triangle.a.fromArray(positions, corners[0] * 3);
+        triangle.b.fromArray(positions, corners[1] * 3);
+        triangle.c.fromArray(positions, corners[2] * 3);
+        if (triangle.getArea() === 0) continue;
+
+        corners.forEach((corner) => {
+          chunk.set(positions.subarray(corner * 3, corner * 3 + 3), offset);
+          offset += 3;
+        });
+      }
+      chunks.push(chunk.subarray(0, offset));
+    }
+  });
+
+  const result = new Float32Array(chunks.reduce((total, chunk) => total + chunk.length, 0));
+  let offset = 0;
+  chunks.forEach((chunk) => {
+    result.set(chunk, offset);
+    offset += chunk.length;
+  });
+  return result;
+}
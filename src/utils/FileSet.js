@@ -0,0 +1,199 @@
+export class FileSet {
+  constructor(files = [], options = {}) {
+    // Map of normalized relative path -> File
+    this.files = new Map();
+    this.objectURLs = [];
+    
+    // Models downloaded from a URL fetch their companions relative to it
+    this.baseURL = options.baseURL || null;
+
+    for (const file of files) {
+      this.add(file);
+    }
+  }
+
+  static async fromDataTransfer(dataTransfer) {
+    const items = dataTransfer.items ? Array.from(dataTransfer.items) : [];
+
+    // Entries have to be grabbed synchronously, before the drop event returns
+    const entries = items
+      .filter(item => item.kind === 'file')
+      .map(item => (item.webkitGetAsEntry ? item.webkitGetAsEntry() : null))
+      .filter(Boolean);
+
+    if (entries.length === 0) {
+      return new FileSet(Array.from(dataTransfer.files || []));
+    }
+
+    const fileSet = new FileSet();
+    for (const entry of entries) {
+      await FileSet.readEntry(entry, fileSet);
+    }
+    return fileSet;
+  }
+
+  static async readEntry(entry, fileSet) {
+    if (entry.isFile) {
+      const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+      fileSet.add(file, entry.fullPath);
+    } else if (entry.isDirectory) {
+      const reader = entry.createReader();
+
+      // readEntries returns results in batches until it yields an empty list
+      let batch;
+      do {
+        batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+        for (const child of batch) {
+          await FileSet.readEntry(child, fileSet);
+        }
+      } while (batch.length > 0);
+    }
+  }
+
+  static readAsArrayBuffer(file, { signal, onProgress } = {}) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      const onAbort = () => {
+        reader.abort();
+        reject(signal.reason);
+      };
+      
+      reader.onload = (event) => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve(event.target.result);
+      };
+      reader.onerror = () => {
+        signal?.removeEventListener('abort', onAbort);
+        reject(new Error(`Failed to read ${file.name}`));
+      };
+      if (onProgress) {
+        reader.onprogress = (event) => onProgress({
+          phase: 'read',
+          loaded: event.loaded,
+          total: event.lengthComputable ? event.total : file.size
+        });
+      }
+      
+      if (signal?.aborted) {
+        reject(signal.reason);
+        return;
+      }
+      signal?.addEventListener('abort', onAbort, { once: true });
+      reader.readAsArrayBuffer(file);
+    });
+  }
+
+  static readAsText(file) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = (event) => resolve(event.target.result);
+      reader.onerror = () => reject(new Error(`Failed to read ${file.name}`));
+      reader.readAsText(file);
+    });
+  }
+
+  static normalizePath(path) {
+    const parts = [];
+
+    for (const part of path.replace(/\\/g, '/').split('/')) {
+      if (part === '' || part === '.') continue;
+      if (part === '..') {
+        parts.pop();
+      } else {
+        parts.push(part);
+      }
+    }
+
+    return parts.join('/');
+  }
+
+  static dirname(path) {
+    const index = path.lastIndexOf('/');
+    return index === -1 ? '' : path.substring(0, index);
+  }
+
+  static basename(path) {
+    return path.substring(path.lastIndexOf('/') + 1);
+  }
+
+  add(file, path) {
+    const relativePath = FileSet.normalizePath(path || file.webkitRelativePath || file.name);
+    this.files.set(relativePath, file);
+  }
+
+  get size() {
+    return this.files.size;
+  }
+
+  pathOf(file) {
+    for (const [path, candidate] of this.files) {
+      if (candidate === file) return path;
+    }
+    return null;
+  }
+
+  findMainFile(extensions) {
+    // Prefer the shallowest match so a dropped folder picks its top-level model
+    const matches = Array.from(this.files.keys())
+      .filter(path => extensions.some(ext => path.toLowerCase().endsWith(ext)))
+      .sort((a, b) => a.split('/').length - b.split('/').length);
+
+    return matches.length > 0 ? this.files.get(matches[0]) : null;
+  }
+
+  resolve(uri, basePath = '') {
+    let decoded = uri;
+    try {
+      decoded = decodeURIComponent(uri);
+    } catch {
+      // Keep the raw URI if it isn't valid percent-encoding
+    }
+
+    const relativePath = FileSet.normalizePath(basePath ? `${basePath}/${decoded}` : decoded);
+    if (this.files.has(relativePath)) {
+      return this.files.get(relativePath);
+    }
+
+    // Multi-select from a file picker loses folder structure, so fall back to the file name
+    const name = FileSet.basename(relativePath);
+    for (const [path, file] of this.files) {
+      if (FileSet.basename(path) === name) return file;
+    }
+
+    return null;
+  }
+
+  findMissing(uris, basePath = '') {
+    if (this.baseURL) {
+      // Anything not supplied locally is downloaded next to the model
+      return [];
+    }
+    return uris.filter(uri => !FileSet.isEmbeddedURI(uri) && !this.resolve(uri, basePath));
+  }
+
+  static isEmbeddedURI(uri) {
+    return /^(data|blob|https?):/i.test(uri);
+  }
+
+  createURLModifier(basePath = '') {
+    return (url) => {
+      if (FileSet.isEmbeddedURI(url)) {
+        return url;
+      }
+
+      const file = this.resolve(url, basePath);
+      if (!file) {
+        return this.baseURL ? new URL(url, this.baseURL).href : url;
+      }
+
+      const objectURL = URL.createObjectURL(file);
+      this.objectURLs.push(objectURL);
+      return objectURL;
+    };
+  }
+
+  revokeObjectURLs() {
+    this.objectURLs.forEach(url => URL.revokeObjectURL(url));
+    this.objectURLs = [];
+  }
+}
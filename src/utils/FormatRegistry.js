@@ -0,0 +1,97 @@
+const SNIFF_HEAD_BYTES = 4096;
+const SNIFF_TAIL_BYTES = 65536; // Zip archives (3MF) list their entries at the end
+
+// The bytes sniffing looks at as text: all of a small buffer, or the start and end of a large one
+export function getSniffText(arrayBuffer) {
+  const bytes = new Uint8Array(arrayBuffer);
+  const parts = bytes.length > SNIFF_HEAD_BYTES + SNIFF_TAIL_BYTES
+    ? [bytes.subarray(0, SNIFF_HEAD_BYTES), bytes.subarray(bytes.length - SNIFF_TAIL_BYTES)]
+    : [bytes];
+  const decoder = new TextDecoder('latin1');
+  return parts.map(part => decoder.decode(part)).join('');
+}
+
+export class FormatRegistry {
+  constructor() {
+    this.formats = [];
+  }
+
+  // A format is { id, name, label, extensions, mimeTypes, companionExtensions, units, sniff, parse, postProcess, detectUnit }
+  register(format) {
+    if (!format.id || typeof format.parse !== 'function') {
+      throw new Error('Model formats need an id and a parse function');
+    }
+    if (this.get(format.id)) {
+      throw new Error(`Model format already registered: ${format.id}`);
+    }
+
+    this.formats.push({
+      mimeTypes: [],
+      companionExtensions: [],
+      units: { default: 'm', selectable: true },
+      ...format,
+      extensions: format.extensions.map(ext => ext.toLowerCase())
+    });
+
+    return this;
+  }
+
+  unregister(id) {
+    this.formats = this.formats.filter(format => format.id !== id);
+    return this;
+  }
+
+  get(id) {
+    return this.formats.find(format => format.id === id) || null;
+  }
+
+  getFormats() {
+    return [...this.formats];
+  }
+
+  getExtensions() {
+    return this.formats.flatMap(format => format.extensions);
+  }
+
+  getCompanionExtensions() {
+    return [...new Set(this.formats.flatMap(format => format.companionExtensions))];
+  }
+
+  // Value for a file input's accept attribute: model files plus the files they reference
+  getAcceptList() {
+    return [...new Set([...this.getExtensions(), ...this.getCompanionExtensions()])].join(',');
+  }
+
+  findByExtension(fileName) {
+    const name = fileName.toLowerCase();
+    return this.formats.find(format => format.extensions.some(ext => name.endsWith(ext))) || null;
+  }
+
+  findByMimeType(mimeType) {
+    if (!mimeType) return null;
+    const type = mimeType.split(';')[0].trim().toLowerCase();
+    return this.formats.find(format => format.mimeTypes.includes(type)) || null;
+  }
+
+  findFormat(file) {
+    return this.findByExtension(file.name) || this.findByMimeType(file.type);
+  }
+
+  // Fall back to magic bytes when neither extension nor MIME type identify the file.
+  // arrayBuffer is the whole file, or just its start and end (see readSniffBuffer), in which
+  // case size is the whole file's.
+  sniff(arrayBuffer, size = arrayBuffer.byteLength) {
+    const bytes = new Uint8Array(arrayBuffer, 0, Math.min(512, arrayBuffer.byteLength));
+    const header = String.fromCharCode(...bytes);
+
+    return this.formats.find(format => format.sniff && format.sniff(header, arrayBuffer, size)) || null;
+  }
+
+  // The start and end of a file, enough to sniff it before reading all of it
+  static readSniffBuffer(file) {
+    if (file.size <= SNIFF_HEAD_BYTES + SNIFF_TAIL_BYTES) {
+      return file.arrayBuffer();
+    }
+    return new Blob([file.slice(0, SNIFF_HEAD_BYTES), file.slice(file.size - SNIFF_TAIL_BYTES)]).arrayBuffer();
+  }
+}
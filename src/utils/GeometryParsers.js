@@ -0,0 +1,260 @@
+import * as THREE from 'three';
+import { STLLoader } from 'three/examples/jsm/loaders/STLLoader.js';
+import { PLYLoader } from 'three/examples/jsm/loaders/PLYLoader.js';
+import { OBJLoader } from 'three/examples/jsm/loaders/OBJLoader.js';
+
+// Geometry-only parsers that are safe to run inside a Web Worker (no DOM, no textures).
+// They return plain objects whose typed arrays can be transferred back to the main thread.
+// glTF is only unpacked and measured here: GLTFLoader needs the DOM for textures, so the main
+// thread builds its scene from the parsed JSON and binary chunk.
+
+const GLB_MAGIC = 0x46546C67; // 'glTF'
+const GLB_CHUNK_JSON = 0x4E4F534A;
+const GLB_CHUNK_BIN = 0x004E4942;
+
+// Scale of normalized (KHR_mesh_quantization) integer positions, by accessor component type
+const NORMALIZED_SCALES = { 5120: 1 / 127, 5121: 1 / 255, 5122: 1 / 32767, 5123: 1 / 65535 };
+
+function hasUsableNormals(geometry) {
+  const normal = geometry.getAttribute('normal');
+  if (!normal) return false;
+
+  // Many STL exporters write all-zero facet normals
+  const array = normal.array;
+  for (let i = 0; i < array.length; i++) {
+    if (array[i] !== 0) return true;
+  }
+  return false;
+}
+
+function prepareGeometry(geometry, kind) {
+  if (kind === 'mesh' && !hasUsableNormals(geometry)) {
+    geometry.computeVertexNormals();
+  }
+
+  geometry.computeBoundingBox();
+  geometry.computeBoundingSphere();
+  return geometry;
+}
+
+export function serializeGeometry(geometry) {
+  const attributes = {};
+
+  for (const [name, attribute] of Object.entries(geometry.attributes)) {
+    attributes[name] = {
+      array: attribute.array,
+      itemSize: attribute.itemSize,
+      normalized: attribute.normalized
+    };
+  }
+
+  const { boundingBox, boundingSphere } = geometry;
+
+  return {
+    attributes,
+    index: geometry.index ? geometry.index.array : null,
+    groups: geometry.groups.map(group => ({ ...group })),
+    boundingBox: boundingBox ? [...boundingBox.min.toArray(), ...boundingBox.max.toArray()] : null,
+    boundingSphere: boundingSphere ? [...boundingSphere.center.toArray(), boundingSphere.radius] : null
+  };
+}
+
+export function deserializeGeometry(data) {
+  const geometry = new THREE.BufferGeometry();
+
+  for (const [name, attribute] of Object.entries(data.attributes)) {
+    geometry.setAttribute(name, new THREE.BufferAttribute(attribute.array, attribute.itemSize, attribute.normalized));
+  }
+
+  if (data.index) {
+    geometry.setIndex(new THREE.BufferAttribute(data.index, 1));
+  }
+
+  data.groups.forEach(group => geometry.addGroup(group.start, group.count, group.materialIndex));
+
+  // Reuse the bounds computed off-thread so Box3.setFromObject doesn't walk every vertex again
+  if (data.boundingBox) {
+    geometry.boundingBox = new THREE.Box3(
+      new THREE.Vector3().fromArray(data.boundingBox, 0),
+      new THREE.Vector3().fromArray(data.boundingBox, 3)
+    );
+  }
+  if (data.boundingSphere) {
+    geometry.boundingSphere = new THREE.Sphere(
+      new THREE.Vector3().fromArray(data.boundingSphere, 0),
+      data.boundingSphere[3]
+    );
+  }
+
+  return geometry;
+}
+
+export function getTransferables(payload) {
+  const buffers = new Set();
+  if (payload.body) {
+    buffers.add(payload.body);
+  }
+
+  for (const part of payload.parts) {
+    Object.values(part.geometry.attributes).forEach(attribute => buffers.add(attribute.array.buffer));
+    if (part.geometry.index) {
+      buffers.add(part.geometry.index.buffer);
+    }
+  }
+
+  return [...buffers];
+}
+
+function createPart(geometry, kind, options = {}) {
+  return {
+    name: options.name || '',
+    kind,
+    materials: options.materials || [],
+    geometry: serializeGeometry(prepareGeometry(geometry, kind))
+  };
+}
+
+// Splits a GLB into its JSON and binary chunk; a .gltf is JSON throughout
+function unpackGLTF(arrayBuffer) {
+  const view = new DataView(arrayBuffer);
+  let text = arrayBuffer;
+  let body = null;
+
+  if (arrayBuffer.byteLength >= 12 && view.getUint32(0, true) === GLB_MAGIC) {
+    text = null;
+    for (let offset = 12; offset + 8 <= arrayBuffer.byteLength;) {
+      const length = view.getUint32(offset, true);
+      const type = view.getUint32(offset + 4, true);
+      const start = offset + 8;
+
+      if (type === GLB_CHUNK_JSON) {
+        text = new Uint8Array(arrayBuffer, start, length);
+      } else if (type === GLB_CHUNK_BIN) {
+        body = arrayBuffer.slice(start, start + length);
+      }
+      offset = start + length;
+    }
+
+    if (!text) {
+      throw new Error('Failed to parse glTF file: the GLB has no JSON chunk');
+    }
+  }
+
+  try {
+    return { json: JSON.parse(new TextDecoder().decode(text)), body };
+  } catch (error) {
+    throw new Error(`Failed to parse glTF file: ${error.message}`);
+  }
+}
+
+// Box of a primitive's positions, including how far its morph targets can move them
+function getPrimitiveBounds(json, primitive) {
+  const readBox = (accessorIndex) => {
+    const accessor = json.accessors?.[accessorIndex];
+    if (!accessor?.min || !accessor?.max) return null;
+
+    const scale = accessor.normalized ? NORMALIZED_SCALES[accessor.componentType] || 1 : 1;
+    return new THREE.Box3(
+      new THREE.Vector3().fromArray(accessor.min).multiplyScalar(scale),
+      new THREE.Vector3().fromArray(accessor.max).multiplyScalar(scale)
+    );
+  };
+
+  const box = readBox(primitive.attributes?.POSITION);
+  if (!box) return null;
+
+  // Same allowance as GLTFLoader: the largest displacement of any single target
+  const displacement = new THREE.Vector3();
+  for (const target of primitive.targets || []) {
+    const targetBox = target.POSITION !== undefined ? readBox(target.POSITION) : null;
+    if (targetBox) {
+      displacement.max(targetBox.min.clone().abs().max(targetBox.max.clone().abs()));
+    }
+  }
+  return box.expandByVector(displacement);
+}
+
+// The default scene's box from the accessors' min/max, as Box3.setFromObject would measure the
+// loaded scene. Null when the meshes have to be measured once built: skinned and instanced
+// meshes, or positions without min/max.
+function getGLTFBounds(json) {
+  const scene = json.scenes?.[json.scene ?? 0];
+  if (!scene || json.skins?.length > 0 || json.extensionsUsed?.includes('EXT_mesh_gpu_instancing')) {
+    return null;
+  }
+
+  const box = new THREE.Box3();
+  const visit = (nodeIndex, parentMatrix) => {
+    const node = json.nodes[nodeIndex];
+    const matrix = node.matrix
+      ? new THREE.Matrix4().fromArray(node.matrix)
+      : new THREE.Matrix4().compose(
+        new THREE.Vector3().fromArray(node.translation || [0, 0, 0]),
+        new THREE.Quaternion().fromArray(node.rotation || [0, 0, 0, 1]),
+        new THREE.Vector3().fromArray(node.scale || [1, 1, 1])
+      );
+    matrix.premultiply(parentMatrix);
+
+    if (node.mesh !== undefined) {
+      for (const primitive of json.meshes[node.mesh].primitives) {
+        const primitiveBox = getPrimitiveBounds(json, primitive);
+        if (!primitiveBox) return false;
+        box.union(primitiveBox.applyMatrix4(matrix));
+      }
+    }
+    return (node.children || []).every(child => visit(child, matrix));
+  };
+
+  const measured = (scene.nodes || []).every(nodeIndex => visit(nodeIndex, new THREE.Matrix4()));
+  return measured && !box.isEmpty() ? [...box.min.toArray(), ...box.max.toArray()] : null;
+}
+
+const parsers = {
+  stl(arrayBuffer) {
+    const geometry = new STLLoader().parse(arrayBuffer);
+    return { parts: [createPart(geometry, 'mesh')] };
+  },
+
+  ply(arrayBuffer) {
+    const geometry = new PLYLoader().parse(arrayBuffer);
+
+    // Scans often ship as bare point clouds without faces
+    return { parts: [createPart(geometry, geometry.index ? 'mesh' : 'points')] };
+  },
+
+  obj(arrayBuffer) {
+    const text = new TextDecoder().decode(arrayBuffer);
+    const group = new OBJLoader().parse(text);
+    const parts = [];
+
+    group.traverse((child) => {
+      if (!child.geometry) return;
+
+      const kind = child.isLineSegments ? 'line' : child.isPoints ? 'points' : 'mesh';
+      const materials = (Array.isArray(child.material) ? child.material : [child.material]).map(material => ({
+        name: material.name,
+        flatShading: Boolean(material.flatShading)
+      }));
+
+      parts.push(createPart(child.geometry, kind, { name: child.name, materials }));
+    });
+
+    // Every material library the OBJ references, for the main thread to load
+    const libraries = [...text.matchAll(/^mtllib\s+(.+)$/gm)].map(match => match[1].trim());
+    return { parts, libraries };
+  },
+
+  gltf(arrayBuffer) {
+    const { json, body } = unpackGLTF(arrayBuffer);
+    return { parts: [], json, body, bounds: getGLTFBounds(json) };
+  }
+};
+
+export function parseGeometry(formatId, arrayBuffer) {
+  const parser = parsers[formatId];
+  if (!parser) {
+    throw new Error(`No geometry parser for format: ${formatId}`);
+  }
+
+  return { formatId, ...parser(arrayBuffer) };
+}
@@ -0,0 +1,224 @@
+import * as THREE from 'three';
+import { WorkerSimplifier } from './WorkerSimplifier.js';
+import { simplifyGeometry, getTriangleCount } from './Simplification.js';
+
+const MIN_SIMPLIFY_TRIANGLES = 20000; // Lighter meshes aren't worth levels of their own
+const MIN_LEVEL_TRIANGLES = 500;
+const MIN_BUDGET_RATIO = 0.02; // Past this, meshes would fall apart rather than fit the budget
+const LEVEL_RATIOS = [1, 0.25, 0.0625]; // Of the nearest level, which the budget decides
+const LEVEL_DISTANCES = [0, 6, 20]; // In bounding radii of the mesh
+const LEVEL_HYSTERESIS = 0.1;
+
+// Not rendered by any camera (WebXR uses layers 1 and 2 for the eyes)
+export const HIDDEN_LAYER = 31;
+
+// Level meshes are display-only: picks and measurements go to the source mesh
+class LODLevelMesh extends THREE.Mesh {
+  raycast() {}
+}
+
+// Replaces a heavy mesh in the model. The full-resolution mesh stays as a child on a layer no
+// camera renders, so picking, measuring, selection, display modes and export keep using it;
+// the levels follow its material and visibility.
+export class ModelLOD extends THREE.LOD {
+  constructor() {
+    super();
+    this.sourceMesh = null;
+  }
+
+  static replace(mesh, geometries) {
+    const lod = new ModelLOD();
+    lod.name = mesh.name;
+    lod.position.copy(mesh.position);
+    lod.quaternion.copy(mesh.quaternion);
+    lod.scale.copy(mesh.scale);
+
+    // Takes the mesh's place, and its user data, which for single-mesh formats is the model's
+    lod.userData = { ...mesh.userData };
+    const { parent } = mesh;
+    if (parent) {
+      parent.children[parent.children.indexOf(mesh)] = lod;
+      lod.parent = parent;
+      mesh.parent = null;
+    }
+    mesh.position.set(0, 0, 0);
+    mesh.quaternion.identity();
+    mesh.scale.set(1, 1, 1);
+
+    if (!mesh.geometry.boundingSphere) {
+      mesh.geometry.computeBoundingSphere();
+    }
+    const radius = mesh.geometry.boundingSphere.radius || 1;
+    lod.userData.levelDistances = geometries.map((geometry, level) => LEVEL_DISTANCES[level] * radius);
+
+    geometries.forEach((geometry, level) => {
+      const levelMesh = new LODLevelMesh(geometry, mesh.material);
+      levelMesh.name = `${mesh.name || 'mesh'} LOD${level}`;
+      levelMesh.userData.lodLevel = true;
+      levelMesh.castShadow = mesh.castShadow;
+      levelMesh.receiveShadow = mesh.receiveShadow;
+      lod.addLevel(levelMesh, lod.userData.levelDistances[level], LEVEL_HYSTERESIS);
+    });
+
+    mesh.layers.set(HIDDEN_LAYER);
+    lod.sourceMesh = mesh;
+    lod.add(mesh);
+    return lod;
+  }
+
+  // Called by the renderer for every camera, including each WebXR eye
+  update(camera) {
+    // Distances are in mesh space; the model is scaled to fit the view (and to real size in AR)
+    const scale = this.matrixWorld.getMaxScaleOnAxis();
+    this.levels.forEach((level, index) => {
+      level.distance = this.userData.levelDistances[index] * scale;
+      level.object.material = this.sourceMesh.material;
+    });
+
+    super.update(camera);
+
+    if (!this.sourceMesh.visible) {
+      this.levels.forEach(level => { level.object.visible = false; });
+    }
+  }
+
+  raycast(raycaster, intersects) {
+    this.sourceMesh.raycast(raycaster, intersects);
+    return false;
+  }
+
+  // Clones (AR placement, skeleton-aware clones) need the source mesh too
+  copy(source, recursive) {
+    super.copy(source, recursive);
+
+    if (source.sourceMesh) {
+      this.sourceMesh = source.sourceMesh.clone();
+      this.add(this.sourceMesh);
+    }
+    return this;
+  }
+}
+
+// Triangles as loaded vs. as drawn with the current LOD levels; helpers aren't counted
+export function getTriangleCounts(root) {
+  const counts = { original: 0, displayed: 0 };
+
+  const visit = (object, shown) => {
+    if (object.userData.helper || object.userData.lodLevel) return;
+    shown = shown && object.visible;
+
+    if (object instanceof ModelLOD) {
+      counts.original += getTriangleCount(object.sourceMesh.geometry);
+      const level = object.levels[object.getCurrentLevel()];
+      if (shown && object.sourceMesh.visible && level) {
+        counts.displayed += getTriangleCount(level.object.geometry);
+      }
+    } else if (object.isMesh) {
+      const triangles = getTriangleCount(object.geometry) * (object.isInstancedMesh ? object.count : 1);
+      counts.original += triangles;
+      if (shown) {
+        counts.displayed += triangles;
+      }
+    }
+
+    object.children.forEach(child => {
+      if (child !== object.sourceMesh) {
+        visit(child, shown);
+      }
+    });
+  };
+
+  visit(root, true);
+  return counts;
+}
+
+export class LODGenerator {
+  constructor() {
+    // Simplifying millions of triangles takes seconds, so it runs off the main thread if it can
+    this.workerSimplifier = WorkerSimplifier.isSupported() ? new WorkerSimplifier() : null;
+  }
+
+  // Meshes that can be swapped for levels without losing anything the viewer relies on.
+  // Runs on freshly loaded models, which have no tool helpers yet.
+  static isSimplifiable(object) {
+    return object.isMesh &&
+      !object.isSkinnedMesh &&
+      !object.isInstancedMesh &&
+      !Array.isArray(object.material) &&
+      object.geometry.groups.length <= 1 &&
+      Object.keys(object.geometry.morphAttributes).length === 0 &&
+      getTriangleCount(object.geometry) >= MIN_SIMPLIFY_TRIANGLES;
+  }
+
+  // Turns the model's heavy meshes into LODs. The nearest level is simplified as far as needed for
+  // the whole model to fit the triangle budget; farther levels are coarser still. Resolves to the
+  // model's root, which is a new object when the model is a single heavy mesh.
+  async generate(model, { budget = Infinity, signal, onProgress } = {}) {
+    const meshes = [];
+    let heavy = 0;
+    let light = 0;
+
+    model.traverse((child) => {
+      if (LODGenerator.isSimplifiable(child)) {
+        meshes.push(child);
+        heavy += getTriangleCount(child.geometry);
+      } else if (child.isMesh) {
+        light += getTriangleCount(child.geometry) * (child.isInstancedMesh ? child.count : 1);
+      }
+    });
+
+    model.userData.triangles = heavy + light;
+    if (meshes.length === 0) return model;
+
+    let root = model;
+
+    const ratio = THREE.MathUtils.clamp((budget - light) / heavy, MIN_BUDGET_RATIO, 1);
+    const levelsByGeometry = new Map(); // Meshes sharing a geometry share its levels
+
+    for (let i = 0; i < meshes.length; i++) {
+      onProgress?.({ phase: 'simplify', loaded: i, total: meshes.length });
+
+      const mesh = meshes[i];
+      if (!levelsByGeometry.has(mesh.geometry)) {
+        levelsByGeometry.set(mesh.geometry, await this.createLevels(mesh.geometry, ratio, { signal }));
+      }
+      const lod = ModelLOD.replace(mesh, levelsByGeometry.get(mesh.geometry));
+      if (mesh === model) {
+        root = lod;
+      }
+    }
+    onProgress?.({ phase: 'simplify', loaded: meshes.length, total: meshes.length });
+
+    return root;
+  }
+
+  async createLevels(geometry, ratio, { signal }) {
+    const triangles = getTriangleCount(geometry);
+    const targets = LEVEL_RATIOS
+      .map(levelRatio => Math.floor(triangles * ratio * levelRatio))
+      .filter((target, level) => level === 0 || target >= MIN_LEVEL_TRIANGLES);
+
+    // Within budget, the nearest level is the source geometry itself
+    const keepSource = targets[0] >= triangles;
+    const simplifyTargets = keepSource ? targets.slice(1) : targets;
+
+    const simplified = await this.simplify(geometry, simplifyTargets, { signal });
+    return keepSource ? [geometry, ...simplified] : simplified;
+  }
+
+  simplify(geometry, targets, { signal } = {}) {
+    if (targets.length === 0) {
+      return Promise.resolve([]);
+    }
+    if (this.workerSimplifier) {
+      return this.workerSimplifier.simplify(geometry, targets, { signal });
+    }
+    return Promise.resolve().then(() => targets.map(target => simplifyGeometry(geometry, target)));
+  }
+
+  dispose() {
+    if (this.workerSimplifier) {
+      this.workerSimplifier.dispose();
+    }
+  }
+}
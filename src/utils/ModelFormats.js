@@ -0,0 +1,263 @@
+import * as THREE from 'three';
+import { MTLLoader } from 'three/examples/jsm/loaders/MTLLoader.js';
+import { ThreeMFLoader } from 'three/examples/jsm/loaders/3MFLoader.js';
+import { FBXLoader } from 'three/examples/jsm/loaders/FBXLoader.js';
+import { FileSet } from './FileSet.js';
+import { getSniffText } from './FormatRegistry.js';
+import { deserializeGeometry } from './GeometryParsers.js';
+
+const IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.webp', '.ktx2'];
+
+// GLTFLoader only reads a GLB's binary chunk when it unpacks the container itself. With the JSON
+// already parsed in the worker, hand the chunk to the parser the way its own GLB extension does.
+function createBinaryChunkPlugin(body) {
+  return parser => ({
+    name: 'KHR_binary_glTF',
+    beforeRoot() {
+      parser.extensions.KHR_binary_glTF = { body };
+    }
+  });
+}
+
+function createDefaultMaterial(options = {}) {
+  return new THREE.MeshLambertMaterial({
+    color: 0x888888,
+    ...options
+  });
+}
+
+// Rebuild objects from GeometryParsers output; createMaterial(part, materialInfo) picks each material
+function buildFromParts(parts, createMaterial) {
+  const objects = parts.map((part) => {
+    const geometry = deserializeGeometry(part.geometry);
+    const infos = part.materials.length > 0 ? part.materials : [{}];
+    const materials = infos.map(info => createMaterial(part, info, geometry));
+    const material = materials.length > 1 ? materials : materials[0];
+    
+    let object;
+    if (part.kind === 'points') {
+      object = new THREE.Points(geometry, material);
+    } else if (part.kind === 'line') {
+      object = new THREE.LineSegments(geometry, material);
+    } else {
+      object = new THREE.Mesh(geometry, material);
+    }
+    
+    object.name = part.name;
+    return object;
+  });
+  
+  return objects;
+}
+
+export const gltfFormat = {
+  id: 'gltf',
+  name: 'glTF',
+  label: 'glTF/GLB',
+  extensions: ['.glb', '.gltf'],
+  // The glTF spec defines meters
+  units: { default: 'm', selectable: false },
+  mimeTypes: ['model/gltf-binary', 'model/gltf+json'],
+  companionExtensions: ['.bin', ...IMAGE_EXTENSIONS],
+  sniff: (header) => header.startsWith('glTF') || (header.trimStart().startsWith('{') && header.includes('"asset"')),
+  async parse({ file, fileSet, basePath, arrayBuffer, loader, manager, signal }) {
+    // Unpacked, parsed and measured off-thread; only building the scene happens here
+    const { json, body, bounds } = await loader.parseGeometry('gltf', arrayBuffer, { signal });
+    const missing = fileSet.findMissing(getGLTFResourceURIs(json), basePath);
+
+    if (missing.length > 0) {
+      throw new Error(`Missing resources referenced by ${file.name}: ${missing.join(', ')}. Select or drop them together with the model.`);
+    }
+
+    // Fail with a readable message instead of GLTFLoader's generic one
+    const supported = loader.getSupportedGLTFExtensions();
+    const unavailable = (json.extensionsRequired || []).filter(name => !supported.includes(name));
+
+    if (unavailable.length > 0) {
+      throw new Error(`${file.name} requires glTF extensions that aren't available: ${unavailable.join(', ')}`);
+    }
+
+    const ignored = (json.extensionsUsed || []).filter(name => !supported.includes(name));
+    if (ignored.length > 0) {
+      console.warn(`${file.name} uses unsupported optional glTF extensions, rendering without them: ${ignored.join(', ')}`);
+    }
+
+    const gltfLoader = loader.createGLTFLoader(manager, json.extensionsUsed);
+    if (body) {
+      gltfLoader.register(createBinaryChunkPlugin(body));
+    }
+
+    // A KTX2 transcoder's workers stop once parsing settles
+    const gltf = await new Promise((resolve, reject) => {
+      gltfLoader.parse(json, '', resolve, (error) => {
+        console.error('GLTFLoader error:', error);
+        reject(new Error(`Failed to parse glTF file: ${error.message || 'Unknown error'}`));
+      });
+    }).finally(() => gltfLoader.ktx2Loader?.dispose());
+
+    return {
+      model: gltf.scene,
+      animations: gltf.animations,
+      bounds
+    };
+  }
+};
+
+export const stlFormat = {
+  id: 'stl',
+  name: 'STL (3D Printing)',
+  label: 'STL',
+  extensions: ['.stl'],
+  // STL is unitless; CAD exports are usually millimeters
+  units: { default: 'mm', selectable: true },
+  mimeTypes: ['model/stl', 'application/sla', 'application/vnd.ms-pki.stl'],
+  sniff: (header, arrayBuffer, size) => {
+    if (header.startsWith('solid')) return true;
+
+    // Binary STL: 80-byte header, triangle count, 50 bytes per triangle
+    if (size < 84) return false;
+    const triangles = new DataView(arrayBuffer).getUint32(80, true);
+    return 84 + triangles * 50 === size;
+  },
+  async parse({ arrayBuffer, loader, signal }) {
+    const { parts } = await loader.parseGeometry('stl', arrayBuffer, { signal });
+
+    // Create material for STL
+    const [model] = buildFromParts(parts, () => createDefaultMaterial({
+      transparent: true,
+      opacity: 0.9
+    }));
+
+    return { model, animations: [] };
+  }
+};
+
+export const plyFormat = {
+  id: 'ply',
+  name: 'PLY (Polygon File Format)',
+  label: 'PLY',
+  extensions: ['.ply'],
+  units: { default: 'mm', selectable: true },
+  mimeTypes: ['model/ply', 'application/ply'],
+  sniff: (header) => header.startsWith('ply'),
+  async parse({ arrayBuffer, loader, signal }) {
+    const { parts } = await loader.parseGeometry('ply', arrayBuffer, { signal });
+
+    const [model] = buildFromParts(parts, (part, info, geometry) => {
+      const hasColors = geometry.hasAttribute('color');
+
+      if (part.kind === 'points') {
+        return new THREE.PointsMaterial({ size: 0.01, vertexColors: hasColors });
+      }
+      return createDefaultMaterial({ vertexColors: hasColors, color: hasColors ? 0xffffff : 0x888888 });
+    });
+
+    return { model, animations: [] };
+  }
+};
+
+export const threeMFFormat = {
+  id: '3mf',
+  name: '3MF (3D Manufacturing Format)',
+  label: '3MF',
+  extensions: ['.3mf'],
+  units: { default: 'mm', selectable: true },
+  mimeTypes: ['model/3mf', 'application/vnd.ms-package.3dmanufacturing-3dmodel+xml'],
+  // Any zip starts with PK; a 3MF package has its model part under 3D/
+  sniff: (header, arrayBuffer) => header.startsWith('PK\x03\x04') && /3D\/[^/\0]*\.model/i.test(getSniffText(arrayBuffer)),
+  async parse({ arrayBuffer, manager }) {
+    const model = new ThreeMFLoader(manager).parse(arrayBuffer);
+    return { model, animations: [] };
+  },
+  // 3MF is Z-up like most CAD/slicer tools
+  postProcess: (model) => {
+    model.rotation.x = -Math.PI / 2;
+    model.updateMatrixWorld(true);
+  }
+};
+
+export const fbxFormat = {
+  id: 'fbx',
+  name: 'FBX (Autodesk)',
+  label: 'FBX',
+  extensions: ['.fbx'],
+  units: { default: 'cm', selectable: true },
+  // FBX records centimeters per unit in its global settings
+  detectUnit: (model) => ({ 0.1: 'mm', 1: 'cm', 100: 'm', 2.54: 'in' })[model.userData.unitScaleFactor] || null,
+  mimeTypes: ['application/octet-stream+fbx'],
+  companionExtensions: [...IMAGE_EXTENSIONS, '.tga'],
+  sniff: (header) => header.startsWith('Kaydara FBX Binary') || header.includes('FBXHeaderExtension'),
+  async parse({ arrayBuffer, manager }) {
+    const model = new FBXLoader(manager).parse(arrayBuffer, '');
+    return { model, animations: model.animations || [] };
+  }
+};
+
+export const objFormat = {
+  id: 'obj',
+  name: 'Wavefront OBJ (+MTL)',
+  label: 'OBJ+MTL',
+  extensions: ['.obj'],
+  units: { default: 'mm', selectable: true },
+  mimeTypes: ['model/obj'],
+  companionExtensions: ['.mtl', ...IMAGE_EXTENSIONS],
+  sniff: (header) => /^(v|vn|vt|f|o|g|mtllib)\s/m.test(header),
+  async parse({ file, fileSet, basePath, arrayBuffer, loader, manager, signal }) {
+    // The worker decodes the text and lists its mtllib references along with the geometry
+    const { parts, libraries } = await loader.parseGeometry('obj', arrayBuffer, { signal });
+    const missing = fileSet.findMissing(libraries, basePath);
+    let materials = null;
+
+    if (missing.length > 0) {
+      console.warn(`Missing material libraries for ${file.name}: ${missing.join(', ')}. Using default material.`);
+    }
+
+    for (const library of libraries.filter(name => !missing.includes(name))) {
+      const mtlText = await FileSet.readAsText(fileSet.resolve(library, basePath));
+      const creator = new MTLLoader(manager).parse(mtlText, '');
+      creator.preload();
+      materials = { ...materials, ...creator.materials };
+    }
+
+    const model = new THREE.Group();
+
+    buildFromParts(parts, (part, info, geometry) => {
+      const vertexColors = geometry.hasAttribute('color');
+
+      if (part.kind === 'points') {
+        return new THREE.PointsMaterial({ size: 1, sizeAttenuation: false, vertexColors });
+      }
+      if (part.kind === 'line') {
+        return new THREE.LineBasicMaterial({ vertexColors });
+      }
+      if (materials && materials[info.name]) {
+        const material = materials[info.name].clone();
+        material.flatShading = info.flatShading;
+        material.vertexColors = vertexColors;
+        return material;
+      }
+      return createDefaultMaterial({ flatShading: info.flatShading, vertexColors });
+    }).forEach(object => model.add(object));
+
+    return { model, animations: [] };
+  }
+};
+
+export function getGLTFResourceURIs(gltf) {
+  if (!gltf) return [];
+
+  return [...(gltf.buffers || []), ...(gltf.images || [])]
+    .map(resource => resource.uri)
+    .filter(uri => typeof uri === 'string');
+}
+
+// Registration order doubles as sniffing priority, so loosely detected formats go last
+export function registerDefaultFormats(registry) {
+  return registry
+    .register(gltfFormat)
+    .register(plyFormat)
+    .register(fbxFormat)
+    .register(threeMFFormat)
+    .register(stlFormat)
+    .register(objFormat);
+}
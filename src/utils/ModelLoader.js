@@ -1,109 +1,289 @@
 import * as THREE from 'three';
 import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
-import { STLLoader } from 'three/examples/jsm/loaders/STLLoader.js';
 import { DRACOLoader } from 'three/examples/jsm/loaders/DRACOLoader.js';
+import { KTX2Loader } from 'three/examples/jsm/loaders/KTX2Loader.js';
+import { MeshoptDecoder } from 'three/examples/jsm/libs/meshopt_decoder.module.js';
+import { FileSet } from './FileSet.js';
+import { FormatRegistry } from './FormatRegistry.js';
+import { registerDefaultFormats } from './ModelFormats.js';
+import { WorkerParser } from './WorkerParser.js';
+import { LODGenerator } from './LODGenerator.js';
+import { parseGeometry } from './GeometryParsers.js';
+import { toMeters, scaleModel } from './Units.js';
+
+const MAX_FILE_SIZE = 50 * 1024 * 1024; // 50MB in bytes
+
+// Copied into the build by the three-decoders plugin in vite.config.js.
+// Absolute so URL-loaded models can't rebase them onto the model's server.
+const DRACO_DECODER_PATH = new URL('decoders/draco/', document.baseURI).href;
+const BASIS_TRANSCODER_PATH = new URL('decoders/basis/', document.baseURI).href;
+
+// Meshopt decoding moves off the main thread the first time a file needs it; the decoder is a
+// module singleton, so its workers are shared by every loader
+const MESHOPT_WORKER_COUNT = 2;
+let meshoptWorkersStarted = false;
+
+// Extensions GLTFLoader handles without extra decoders
+const BUILTIN_GLTF_EXTENSIONS = [
+  'KHR_binary_glTF',
+  'KHR_lights_punctual',
+  'KHR_materials_clearcoat',
+  'KHR_materials_dispersion',
+  'KHR_materials_ior',
+  'KHR_materials_sheen',
+  'KHR_materials_specular',
+  'KHR_materials_transmission',
+  'KHR_materials_iridescence',
+  'KHR_materials_anisotropy',
+  'KHR_materials_unlit',
+  'KHR_materials_volume',
+  'KHR_materials_emissive_strength',
+  'KHR_texture_transform',
+  'KHR_mesh_quantization',
+  'EXT_materials_bump',
+  'EXT_texture_webp',
+  'EXT_texture_avif',
+  'EXT_mesh_gpu_instancing'
+];
+
+// Single source of truth for supported formats: validation, file input accept list and UI text
+const formatRegistry = registerDefaultFormats(new FormatRegistry());
 
 export class ModelLoader {
-  constructor() {
-    this.gltfLoader = new GLTFLoader();
-    this.stlLoader = new STLLoader();
+  constructor({ renderer } = {}) {
+    // KTX2/Basis needs the renderer to pick a GPU texture format
+    this.renderer = renderer || null;
     
     // Set up Draco loader for compressed glTF files
     this.dracoLoader = new DRACOLoader();
-    this.dracoLoader.setDecoderPath('https://www.gstatic.com/draco/versioned/decoders/1.5.6/');
-    this.gltfLoader.setDRACOLoader(this.dracoLoader);
+    this.dracoLoader.setDecoderPath(DRACO_DECODER_PATH);
     
-    console.log('ModelLoader initialized with Draco compression support');
+    // Geometry-only formats (STL, PLY, OBJ) parse in a worker to keep the UI responsive;
+    // glTF is unpacked and measured there too
+    this.workerParser = WorkerParser.isSupported() ? new WorkerParser() : null;
+    
+    // Heavy meshes can be swapped for generated levels of detail
+    this.lodGenerator = new LODGenerator();
+    
+    console.log('ModelLoader initialized with Draco, Meshopt and KTX2 support');
   }
 
-  async loadModel(file) {
-    const fileName = file.name.toLowerCase();
+  getSupportedGLTFExtensions() {
+    const extensions = [...BUILTIN_GLTF_EXTENSIONS, 'KHR_draco_mesh_compression', 'EXT_meshopt_compression'];
+    if (this.renderer) {
+      extensions.push('KHR_texture_basisu');
+    }
+    return extensions;
+  }
+
+  // One per load, on that load's manager; the Draco and Meshopt decoders are shared. A file with
+  // Basis textures gets its own KTX2Loader, which the caller disposes once parsing settles.
+  createGLTFLoader(manager, extensionsUsed = []) {
+    const gltfLoader = new GLTFLoader(manager);
+    gltfLoader.setDRACOLoader(this.dracoLoader);
+    
+    // Meshopt decoder ships as an ES module with inlined WebAssembly
+    gltfLoader.setMeshoptDecoder(MeshoptDecoder);
+    if (extensionsUsed.includes('EXT_meshopt_compression') && !meshoptWorkersStarted) {
+      MeshoptDecoder.useWorkers(MESHOPT_WORKER_COUNT);
+      meshoptWorkersStarted = true;
+    }
     
-    if (fileName.endsWith('.glb') || fileName.endsWith('.gltf')) {
-      return this.loadGLTF(file);
-    } else if (fileName.endsWith('.stl')) {
-      return this.loadSTL(file);
-    } else {
-      throw new Error(`Unsupported file format: ${fileName}`);
+    if (extensionsUsed.includes('KHR_texture_basisu') && this.renderer) {
+      const ktx2Loader = new KTX2Loader(manager);
+      ktx2Loader.setTranscoderPath(BASIS_TRANSCODER_PATH);
+      ktx2Loader.detectSupport(this.renderer);
+      gltfLoader.setKTX2Loader(ktx2Loader);
     }
+    
+    return gltfLoader;
   }
 
-  loadGLTF(file) {
-    return new Promise((resolve, reject) => {
-      const reader = new FileReader();
+  // Every load gets its own manager, so a cancelled parse that is still fetching resources keeps
+  // resolving them against its own files instead of whichever load comes next
+  static createManager(fileSet, basePath, { signal, onProgress } = {}) {
+    const manager = new THREE.LoadingManager();
+    manager.setURLModifier(fileSet.createURLModifier(basePath));
+    manager.onProgress = (url, itemsLoaded, itemsTotal) => {
+      if (!signal?.aborted) {
+        onProgress?.({ phase: 'parse', loaded: itemsLoaded, total: itemsTotal });
+      }
+    };
+    
+    // Textures from OBJ/MTL and FBX keep loading after parse returns
+    let pending = false;
+    let waiters = [];
+    manager.onStart = () => {
+      pending = true;
+    };
+    manager.onLoad = () => {
+      pending = false;
+      waiters.forEach(resolve => resolve());
+      waiters = [];
+    };
+    
+    const whenLoaded = () => pending ? new Promise(resolve => waiters.push(resolve)) : Promise.resolve();
+    return { manager, whenLoaded };
+  }
+
+  static get registry() {
+    return formatRegistry;
+  }
+
+  async loadFromURL(url, { signal, onProgress, unit, lod, triangleBudget } = {}) {
+    const resolvedURL = new URL(url, window.location.href);
+    const response = await fetch(resolvedURL, { signal });
+    
+    if (!response.ok) {
+      throw new Error(`Failed to download ${url}: ${response.status} ${response.statusText}`);
+    }
+    
+    const total = Number(response.headers.get('Content-Length')) || 0;
+    if (total > MAX_FILE_SIZE) {
+      throw new Error(`File too large. Maximum size: 50MB`);
+    }
+    
+    // Stream the body so the download can report byte-level progress
+    const reader = response.body.getReader();
+    const chunks = [];
+    let loaded = 0;
+    
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
       
-      reader.onload = (event) => {
-        const arrayBuffer = event.target.result;
-        
-        this.gltfLoader.parse(arrayBuffer, '', (gltf) => {
-          const model = gltf.scene;
-          this.processModel(model);
-          resolve({
-            model,
-            animations: gltf.animations,
-            type: 'gltf'
-          });
-        }, (error) => {
-          console.error('GLTFLoader error:', error);
-          reject(new Error(`Failed to parse glTF file: ${error.message || 'Unknown error'}`));
-        });
-      };
-
-      reader.onerror = () => {
-        reject(new Error('Failed to read file'));
-      };
-      reader.readAsArrayBuffer(file);
+      chunks.push(value);
+      loaded += value.byteLength;
+      if (loaded > MAX_FILE_SIZE) {
+        reader.cancel();
+        throw new Error(`File too large. Maximum size: 50MB`);
+      }
+      onProgress?.({ phase: 'download', loaded, total });
+    }
+    
+    const name = decodeURIComponent(resolvedURL.pathname.split('/').pop()) || 'model';
+    const file = new File(chunks, name, { type: response.headers.get('Content-Type') || '' });
+    
+    const result = await this.loadModel(new FileSet([file], { baseURL: resolvedURL.href }), { signal, onProgress, unit, lod, triangleBudget });
+    
+    // Remembered so the view can be shared as a link (see ViewStateTool)
+    result.model.userData.sourceURL = resolvedURL.href;
+    return result;
+  }
+
+  async loadModel(input, { signal, onProgress, unit = 'auto', lod = false, triangleBudget = Infinity } = {}) {
+    const fileSet = input instanceof FileSet ? input : new FileSet(input instanceof File ? [input] : Array.from(input));
+    const file = ModelLoader.findModelFile(fileSet);
+    const arrayBuffer = await FileSet.readAsArrayBuffer(file, { signal, onProgress });
+    
+    const format = formatRegistry.findFormat(file) || formatRegistry.sniff(arrayBuffer);
+    if (!format) {
+      throw new Error(`Unsupported file format: ${file.name}`);
+    }
+    
+    // Resolve external resources relative to the main file's folder
+    const basePath = FileSet.dirname(fileSet.pathOf(file) || '');
+    const { manager, whenLoaded } = ModelLoader.createManager(fileSet, basePath, { signal, onProgress });
+    onProgress?.({ phase: 'parse', loaded: 0, total: 0 });
+    
+    const parsing = format.parse({
+      file,
+      fileSet,
+      basePath,
+      arrayBuffer,
+      loader: this,
+      manager,
+      signal
     });
+    
+    // A cancelled load stops waiting below, but the parse carries on; its files stay readable
+    // until it and the resources it's fetching have settled
+    parsing
+      .catch(() => {})
+      .then(whenLoaded)
+      .finally(() => fileSet.revokeObjectURLs());
+    
+    const { model: parsed, animations = [], bounds = null } = await ModelLoader.abortable(parsing, signal);
+    
+    if (format.postProcess) {
+      format.postProcess(parsed);
+    }
+    
+    const modelUnit = ModelLoader.resolveUnit(format, parsed, unit);
+    this.processModel(parsed, { unit: modelUnit, bounds });
+    parsed.userData.fileName = file.name;
+    await ModelLoader.abortable(whenLoaded(), signal);
+    
+    // A single-mesh model gets a new root when it's replaced by its levels
+    const model = lod
+      ? await ModelLoader.abortable(this.lodGenerator.generate(parsed, { budget: triangleBudget, signal, onProgress }), signal)
+      : parsed;
+    
+    return {
+      model,
+      animations,
+      type: format.id,
+      fileName: file.name,
+      unit: modelUnit,
+      dimensions: new THREE.Vector3().fromArray(model.userData.dimensions)
+    };
   }
 
-  loadSTL(file) {
+  // Parsers can't be interrupted, so a cancelled load just stops waiting for them
+  static abortable(promise, signal) {
+    if (!signal) {
+      return promise;
+    }
+    
     return new Promise((resolve, reject) => {
-      const reader = new FileReader();
+      const onAbort = () => reject(signal.reason);
       
-      reader.onload = (event) => {
-        const arrayBuffer = event.target.result;
-        
-        try {
-          const geometry = this.stlLoader.parse(arrayBuffer);
-          
-          // Create material for STL
-          const material = new THREE.MeshLambertMaterial({ 
-            color: 0x888888,
-            transparent: true,
-            opacity: 0.9
-          });
-          
-          const mesh = new THREE.Mesh(geometry, material);
-          this.processModel(mesh);
-          
-          resolve({
-            model: mesh,
-            animations: [],
-            type: 'stl'
-          });
-        } catch (error) {
-          reject(error);
-        }
-      };
-
-      reader.onerror = reject;
-      reader.readAsArrayBuffer(file);
+      if (signal.aborted) {
+        onAbort();
+        return;
+      }
+      signal.addEventListener('abort', onAbort, { once: true });
+      
+      promise.then(resolve, reject).finally(() => {
+        signal.removeEventListener('abort', onAbort);
+      });
     });
   }
 
-  processModel(model) {
-    // Compute bounding box
-    const box = new THREE.Box3().setFromObject(model);
-    const center = box.getCenter(new THREE.Vector3());
+  // The user's choice wins for unitless formats; otherwise ask the file, then fall back to the format default
+  static resolveUnit(format, model, requestedUnit) {
+    if (format.units.selectable && requestedUnit && requestedUnit !== 'auto') {
+      return requestedUnit;
+    }
+    return (format.detectUnit && format.detectUnit(model)) || format.units.default;
+  }
+
+  // Resolves to { formatId, parts } with geometry bounds and normals already computed, plus
+  // whatever else the format's parser extracts (see GeometryParsers.js)
+  parseGeometry(formatId, arrayBuffer, { signal } = {}) {
+    if (this.workerParser) {
+      return this.workerParser.parse(formatId, arrayBuffer, { signal });
+    }
+    return Promise.resolve().then(() => parseGeometry(formatId, arrayBuffer));
+  }
+
+  processModel(model, { unit = 'm', bounds = null } = {}) {
+    // Measure in source units, relative to the model's own origin; formats can hand over a box
+    // measured while parsing ([minX, minY, minZ, maxX, maxY, maxZ])
+    const box = bounds ? new THREE.Box3().setFromArray(bounds) : new THREE.Box3().setFromObject(model);
+    const center = box.getCenter(new THREE.Vector3()).sub(model.position);
     const size = box.getSize(new THREE.Vector3());
+    const unitScale = toMeters(unit);
     
-    // Scale model to fit in a reasonable size
-    const maxDim = Math.max(size.x, size.y, size.z);
-    const scale = 2 / maxDim;
-    model.scale.multiplyScalar(scale);
+    // Everything needed to re-scale later without measuring again; the scene works in meters
+    model.userData.unit = unit;
+    model.userData.unitScale = unitScale;
+    model.userData.baseScale = model.scale.toArray();
+    model.userData.centerOffset = center.toArray();
+    model.userData.dimensions = size.multiplyScalar(unitScale).toArray();
     
-    // Center the model
-    model.position.sub(center.multiplyScalar(scale));
+    // True size, centered on the origin
+    scaleModel(model, unitScale);
     
     // Set up shadows and materials
     model.traverse((child) => {
@@ -148,26 +328,37 @@ export class ModelLoader {
   }
 
   static getSupportedFormats() {
-    return [
-      { extension: '.glb', description: 'Binary glTF' },
-      { extension: '.gltf', description: 'glTF JSON' },
-      { extension: '.stl', description: 'STL (3D Printing)' }
-    ];
+    return formatRegistry.getFormats().flatMap(format =>
+      format.extensions.map(extension => ({ extension, description: format.name }))
+    );
   }
 
-  static validateFile(file) {
-    const supportedExtensions = ['.glb', '.gltf', '.stl'];
-    const fileName = file.name.toLowerCase();
+  // A lone file that neither its extension nor its MIME type identify (e.g. a download URL
+  // served as application/octet-stream) is taken as the model; its contents are sniffed
+  static findModelFile(fileSet) {
+    const files = Array.from(fileSet.files.values());
+    const file = fileSet.findMainFile(formatRegistry.getExtensions()) ||
+      files.find(candidate => formatRegistry.findByMimeType(candidate.type)) ||
+      (files.length === 1 ? files[0] : null);
+    
+    if (!file) {
+      throw new Error(`No model file found. Supported formats: ${formatRegistry.getExtensions().join(', ')}`);
+    }
     
-    const isSupported = supportedExtensions.some(ext => fileName.endsWith(ext));
+    return file;
+  }
+
+  // Reads only the start and end of files whose name and type don't give the format away
+  static async validateFile(file) {
+    const isSupported = Boolean(formatRegistry.findFormat(file)) ||
+      Boolean(formatRegistry.sniff(await FormatRegistry.readSniffBuffer(file), file.size));
     
     if (!isSupported) {
-      throw new Error(`Unsupported file format. Supported formats: ${supportedExtensions.join(', ')}`);
+      throw new Error(`Unsupported file format. Supported formats: ${formatRegistry.getExtensions().join(', ')}`);
     }
     
     // Check file size (limit to 50MB)
-    const maxSize = 50 * 1024 * 1024; // 50MB in bytes
-    if (file.size > maxSize) {
+    if (file.size > MAX_FILE_SIZE) {
       throw new Error(`File too large. Maximum size: 50MB`);
     }
     
@@ -179,5 +370,11 @@ export class ModelLoader {
     if (this.dracoLoader) {
       this.dracoLoader.dispose();
     }
+    
+    if (this.workerParser) {
+      this.workerParser.dispose();
+    }
+    
+    this.lodGenerator.dispose();
   }
 }
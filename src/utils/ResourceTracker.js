@@ -0,0 +1,98 @@
+import * as THREE from 'three';
+
+export class ResourceTracker {
+  constructor() {
+    this.resources = new Set();
+  }
+
+  // Records an object tree (or a single geometry/material/texture) and everything it allocates
+  track(resource) {
+    if (!resource) {
+      return resource;
+    }
+
+    if (Array.isArray(resource)) {
+      resource.forEach(item => this.track(item));
+      return resource;
+    }
+
+    // Helpers (measurement lines, display materials, ...) are freed by the tool that made them
+    if (resource.userData && resource.userData.helper) {
+      return resource;
+    }
+
+    if (resource.dispose || resource instanceof THREE.Object3D) {
+      this.resources.add(resource);
+    }
+
+    if (resource instanceof THREE.Object3D) {
+      this.track(resource.geometry);
+      this.track(resource.material);
+      if (resource.skeleton) {
+        this.track(resource.skeleton);
+      }
+      resource.children.forEach(child => this.track(child));
+    } else if (resource instanceof THREE.Material) {
+      // Textures can hang off any material property or shader uniform
+      for (const value of Object.values(resource)) {
+        if (value instanceof THREE.Texture) {
+          this.track(value);
+        }
+      }
+      if (resource.uniforms) {
+        for (const uniform of Object.values(resource.uniforms)) {
+          const value = uniform && uniform.value;
+          if (value instanceof THREE.Texture || Array.isArray(value)) {
+            this.track(value);
+          }
+        }
+      }
+    }
+
+    return resource;
+  }
+
+  untrack(resource) {
+    this.resources.delete(resource);
+  }
+
+  has(resource) {
+    return this.resources.has(resource);
+  }
+
+  getCounts() {
+    const counts = { objects: 0, geometries: 0, materials: 0, textures: 0 };
+
+    for (const resource of this.resources) {
+      if (resource instanceof THREE.Object3D) counts.objects++;
+      else if (resource instanceof THREE.BufferGeometry) counts.geometries++;
+      else if (resource instanceof THREE.Material) counts.materials++;
+      else if (resource instanceof THREE.Texture) counts.textures++;
+    }
+
+    return counts;
+  }
+
+  // Removes tracked objects from their parents and frees GPU memory. Resources also held by
+  // `except` (a tracker or a list of them, e.g. for the originals a clone was made from) are left alone.
+  dispose(except = null) {
+    const keep = [except].flat().filter(Boolean);
+
+    for (const resource of this.resources) {
+      if (resource instanceof THREE.Object3D) {
+        if (resource.parent) {
+          resource.parent.remove(resource);
+        }
+      } else if (!keep.some(tracker => tracker.has(resource))) {
+        resource.dispose();
+
+        // Decoded images (e.g. from GLTFLoader) hold memory until closed
+        if (resource instanceof THREE.Texture && resource.image && typeof resource.image.close === 'function') {
+          resource.image.close();
+        }
+      }
+    }
+
+    this.resources.clear();
+  }
+}
@@ -0,0 +1,9 @@
+// Helpers hang off the model so they follow its transform (and its clone in AR);
+// flagging them keeps picking, bounds and exports from treating them as model geometry.
+// Generated LOD levels count too: tools work on the full-resolution source mesh.
+export function isHelperObject(object) {
+  for (let current = object; current; current = current.parent) {
+    if (current.userData.helper || current.userData.lodLevel) return true;
+  }
+  return false;
+}
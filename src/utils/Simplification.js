@@ -0,0 +1,152 @@
+import * as THREE from 'three';
+
+// Worker-safe mesh simplification for LOD levels (no DOM).
+//
+// Vertex clustering: vertices are snapped to a grid and every occupied cell becomes one vertex,
+// so triangles whose corners share a cell disappear. It runs in linear time, which keeps
+// multi-million triangle scans to seconds; edge collapse (SimplifyModifier) is quadratic.
+// Detail is removed evenly rather than where it shows least, which suits distance levels.
+
+const MAX_GRID_RESOLUTION = 4096;
+const GRID_SPAN = MAX_GRID_RESOLUTION + 2; // Cells per axis in the cell key; keys stay below 2^53
+const REFINE_PASSES = 4;
+const TARGET_TOLERANCE = 0.9; // A pass landing within 10% under the target is good enough
+
+// Averaging these would produce nonsense; normals are averaged and renormalized
+const DROPPED_ATTRIBUTES = ['tangent', 'skinIndex', 'skinWeight'];
+
+export function getTriangleCount(geometry) {
+  const count = geometry.index ? geometry.index.count : geometry.attributes.position.count;
+  return Math.floor(count / 3);
+}
+
+function forEachTriangle(geometry, callback) {
+  const { index } = geometry;
+  const count = getTriangleCount(geometry);
+
+  for (let i = 0; i < count; i++) {
+    if (index) {
+      callback(index.getX(i * 3), index.getX(i * 3 + 1), index.getX(i * 3 + 2));
+    } else {
+      callback(i * 3, i * 3 + 1, i * 3 + 2);
+    }
+  }
+}
+
+function clusterVertices(geometry, origin, cellSize) {
+  const position = geometry.attributes.position;
+  const clusterOf = new Int32Array(position.count);
+  const cells = new Map();
+  const inverse = 1 / cellSize;
+
+  for (let i = 0; i < position.count; i++) {
+    const x = Math.floor((position.getX(i) - origin.x) * inverse);
+    const y = Math.floor((position.getY(i) - origin.y) * inverse);
+    const z = Math.floor((position.getZ(i) - origin.z) * inverse);
+    const key = x + GRID_SPAN * (y + GRID_SPAN * z);
+
+    let cluster = cells.get(key);
+    if (cluster === undefined) {
+      cluster = cells.size;
+      cells.set(key, cluster);
+    }
+    clusterOf[i] = cluster;
+  }
+
+  let triangles = 0;
+  forEachTriangle(geometry, (a, b, c) => {
+    const ca = clusterOf[a];
+    const cb = clusterOf[b];
+    const cc = clusterOf[c];
+    if (ca !== cb && cb !== cc && ca !== cc) {
+      triangles++;
+    }
+  });
+
+  return { clusterOf, clusterCount: cells.size, triangles };
+}
+
+function buildGeometry(geometry, { clusterOf, clusterCount, triangles }) {
+  const result = new THREE.BufferGeometry();
+  const members = new Uint32Array(clusterCount);
+  clusterOf.forEach(cluster => { members[cluster]++; });
+
+  // Each cluster's vertex averages its members' attributes (getComponent undoes normalization)
+  for (const [name, attribute] of Object.entries(geometry.attributes)) {
+    if (DROPPED_ATTRIBUTES.includes(name)) continue;
+
+    const { itemSize } = attribute;
+    const values = new Float32Array(clusterCount * itemSize);
+    for (let i = 0; i < attribute.count; i++) {
+      const offset = clusterOf[i] * itemSize;
+      for (let k = 0; k < itemSize; k++) {
+        values[offset + k] += attribute.getComponent(i, k);
+      }
+    }
+    for (let i = 0; i < values.length; i++) {
+      values[i] /= members[Math.floor(i / itemSize)];
+    }
+    result.setAttribute(name, new THREE.BufferAttribute(values, itemSize));
+  }
+
+  const IndexArray = clusterCount > 65535 ? Uint32Array : Uint16Array;
+  const index = new IndexArray(triangles * 3);
+  let offset = 0;
+  forEachTriangle(geometry, (a, b, c) => {
+    const ca = clusterOf[a];
+    const cb = clusterOf[b];
+    const cc = clusterOf[c];
+    if (ca !== cb && cb !== cc && ca !== cc) {
+      index[offset++] = ca;
+      index[offset++] = cb;
+      index[offset++] = cc;
+    }
+  });
+  result.setIndex(new THREE.BufferAttribute(index, 1));
+
+  if (result.attributes.normal) {
+    result.normalizeNormals();
+  } else {
+    result.computeVertexNormals();
+  }
+  result.computeBoundingBox();
+  result.computeBoundingSphere();
+  return result;
+}
+
+// Returns a new geometry with at most targetTriangles triangles (fewer if the grid can't get
+// closer). Groups and morph targets are not carried over.
+export function simplifyGeometry(geometry, targetTriangles) {
+  if (getTriangleCount(geometry) <= targetTriangles) {
+    return geometry.clone();
+  }
+
+  if (!geometry.boundingBox) {
+    geometry.computeBoundingBox();
+  }
+  const { min, max } = geometry.boundingBox;
+  const extent = Math.max(max.x - min.x, max.y - min.y, max.z - min.z) || 1;
+
+  // A surface keeps about resolution² triangles, so the grid scales with the square root of
+  // the remaining ratio; a few passes home in on the target
+  let resolution = Math.sqrt(targetTriangles);
+  let best = null;
+  let coarsest = null;
+
+  for (let pass = 0; pass < REFINE_PASSES; pass++) {
+    resolution = THREE.MathUtils.clamp(Math.round(resolution), 1, MAX_GRID_RESOLUTION);
+    const clustering = clusterVertices(geometry, min, extent / resolution);
+
+    if (clustering.triangles <= targetTriangles && (!best || clustering.triangles > best.triangles)) {
+      best = clustering;
+    }
+    if (!coarsest || clustering.triangles < coarsest.triangles) {
+      coarsest = clustering;
+    }
+    if (best && best.triangles >= targetTriangles * TARGET_TOLERANCE) break;
+
+    resolution *= Math.sqrt(targetTriangles / Math.max(clustering.triangles, 1)) * 0.98;
+  }
+
+  return buildGeometry(geometry, best || coarsest);
+}
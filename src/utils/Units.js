@@ -0,0 +1,50 @@
+// Meters per source unit. The scene itself is always in meters, which is what WebXR expects.
+export const UNITS = {
+  mm: { label: 'Millimeters', symbol: 'mm', meters: 0.001 },
+  cm: { label: 'Centimeters', symbol: 'cm', meters: 0.01 },
+  m: { label: 'Meters', symbol: 'm', meters: 1 },
+  in: { label: 'Inches', symbol: 'in', meters: 0.0254 }
+};
+
+export function toMeters(unit) {
+  const definition = UNITS[unit];
+  if (!definition) {
+    throw new Error(`Unknown unit: ${unit}. Supported units: ${Object.keys(UNITS).join(', ')}`);
+  }
+  return definition.meters;
+}
+
+export function formatLength(meters, unit, digits = 2) {
+  const value = meters / toMeters(unit);
+
+  // Drop trailing zeros so 300 mm doesn't read as 300.00 mm
+  return `${parseFloat(value.toFixed(digits))} ${UNITS[unit].symbol}`;
+}
+
+export function formatDimensions(size, unit) {
+  const values = [size.x, size.y, size.z].map(meters => parseFloat((meters / toMeters(unit)).toFixed(2)));
+  return `${values.join(' × ')} ${UNITS[unit].symbol}`;
+}
+
+// Re-declares which unit a processed model's source coordinates are in
+export function setModelUnit(model, unit) {
+  const { unitScale, dimensions } = model.userData;
+  const newScale = toMeters(unit);
+
+  model.userData.unit = unit;
+  model.userData.unitScale = newScale;
+  model.userData.dimensions = dimensions.map(value => (value / unitScale) * newScale);
+}
+
+// Scales a processed model (see ModelLoader.processModel) and re-centers it on the origin.
+// anchor 'base' rests the model on y = 0 instead, which is what AR placement wants.
+export function scaleModel(model, scale, { anchor = 'center' } = {}) {
+  const { baseScale, centerOffset, dimensions, unitScale } = model.userData;
+
+  model.scale.fromArray(baseScale).multiplyScalar(scale);
+  model.position.fromArray(centerOffset).multiplyScalar(-scale);
+
+  if (anchor === 'base') {
+    model.position.y += (dimensions[1] / unitScale) * scale / 2;
+  }
+}
@@ -0,0 +1,79 @@
+export class WorkerParser {
+  constructor() {
+    this.worker = null;
+    this.requests = new Map();
+    this.nextId = 0;
+  }
+
+  static isSupported() {
+    return typeof Worker !== 'undefined';
+  }
+
+  getWorker() {
+    if (!this.worker) {
+      this.worker = new Worker(new URL('../workers/ModelParserWorker.js', import.meta.url), { type: 'module' });
+      this.worker.addEventListener('message', (event) => this.onMessage(event.data));
+      this.worker.addEventListener('error', (event) => {
+        event.preventDefault();
+        this.reset(new Error(`Model parser worker failed: ${event.message || 'Unknown error'}`));
+      });
+    }
+    return this.worker;
+  }
+
+  parse(formatId, arrayBuffer, { signal } = {}) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(signal.reason);
+        return;
+      }
+
+      const id = this.nextId++;
+      const onAbort = () => {
+        // Terminating is the only way to stop a parse that's already running
+        this.reset(signal.reason);
+      };
+
+      this.requests.set(id, {
+        resolve,
+        reject,
+        cleanup: () => signal?.removeEventListener('abort', onAbort)
+      });
+      signal?.addEventListener('abort', onAbort, { once: true });
+
+      // Transfer the file buffer; the main thread doesn't need it once parsing starts
+      this.getWorker().postMessage({ id, formatId, arrayBuffer }, [arrayBuffer]);
+    });
+  }
+
+  onMessage({ id, payload, error }) {
+    const request = this.requests.get(id);
+    if (!request) return;
+
+    this.requests.delete(id);
+    request.cleanup();
+
+    if (error) {
+      request.reject(new Error(error));
+    } else {
+      request.resolve(payload);
+    }
+  }
+
+  reset(reason) {
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+
+    this.requests.forEach(request => {
+      request.cleanup();
+      request.reject(reason);
+    });
+    this.requests.clear();
+  }
+
+  dispose() {
+    this.reset(new Error('Model parser worker disposed'));
+  }
+}
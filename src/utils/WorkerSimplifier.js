@@ -0,0 +1,95 @@
+import { deinterleaveAttribute } from 'three/examples/jsm/utils/BufferGeometryUtils.js';
+import { serializeGeometry, deserializeGeometry } from './GeometryParsers.js';
+
+// Runs SimplifyWorker.js; same request/abort bookkeeping as WorkerParser
+export class WorkerSimplifier {
+  constructor() {
+    this.worker = null;
+    this.requests = new Map();
+    this.nextId = 0;
+  }
+
+  static isSupported() {
+    return typeof Worker !== 'undefined';
+  }
+
+  getWorker() {
+    if (!this.worker) {
+      this.worker = new Worker(new URL('../workers/SimplifyWorker.js', import.meta.url), { type: 'module' });
+      this.worker.addEventListener('message', (event) => this.onMessage(event.data));
+      this.worker.addEventListener('error', (event) => {
+        event.preventDefault();
+        this.reset(new Error(`Simplification worker failed: ${event.message || 'Unknown error'}`));
+      });
+    }
+    return this.worker;
+  }
+
+  // Resolves with one geometry per target triangle count
+  simplify(geometry, targets, { signal } = {}) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(signal.reason);
+        return;
+      }
+
+      const id = this.nextId++;
+      const onAbort = () => {
+        this.reset(signal.reason);
+      };
+
+      this.requests.set(id, {
+        resolve: payload => resolve(payload.parts.map(part => deserializeGeometry(part.geometry))),
+        reject,
+        cleanup: () => signal?.removeEventListener('abort', onAbort)
+      });
+      signal?.addEventListener('abort', onAbort, { once: true });
+
+      // Copied rather than transferred: the source mesh keeps its geometry
+      this.getWorker().postMessage({ id, geometry: WorkerSimplifier.serialize(geometry), targets });
+    });
+  }
+
+  // glTF attributes may share an interleaved buffer, which doesn't survive serializing
+  static serialize(geometry) {
+    const data = serializeGeometry(geometry);
+    for (const [name, attribute] of Object.entries(geometry.attributes)) {
+      if (attribute.isInterleavedBufferAttribute) {
+        const { array, itemSize, normalized } = deinterleaveAttribute(attribute);
+        data.attributes[name] = { array, itemSize, normalized };
+      }
+    }
+    return data;
+  }
+
+  onMessage({ id, payload, error }) {
+    const request = this.requests.get(id);
+    if (!request) return;
+
+    this.requests.delete(id);
+    request.cleanup();
+
+    if (error) {
+      request.reject(new Error(error));
+    } else {
+      request.resolve(payload);
+    }
+  }
+
+  reset(reason) {
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+
+    this.requests.forEach(request => {
+      request.cleanup();
+      request.reject(reason);
+    });
+    this.requests.clear();
+  }
+
+  dispose() {
+    this.reset(new Error('Simplification worker disposed'));
+  }
+}
@@ -0,0 +1,13 @@
+import { parseGeometry, getTransferables } from '../utils/GeometryParsers.js';
+
+// Parses geometry-only formats off the main thread and hands the buffers back without copying
+self.addEventListener('message', (event) => {
+  const { id, formatId, arrayBuffer } = event.data;
+
+  try {
+    const payload = parseGeometry(formatId, arrayBuffer);
+    self.postMessage({ id, payload }, getTransferables(payload));
+  } catch (error) {
+    self.postMessage({ id, error: error.message || 'Unknown parse error' });
+  }
+});
@@ -0,0 +1,17 @@
+import { deserializeGeometry, serializeGeometry, getTransferables } from '../utils/GeometryParsers.js';
+import { simplifyGeometry } from '../utils/Simplification.js';
+
+// Builds LOD levels off the main thread and hands the buffers back without copying
+self.addEventListener('message', (event) => {
+  const { id, geometry, targets } = event.data;
+
+  try {
+    const source = deserializeGeometry(geometry);
+    const payload = {
+      parts: targets.map(target => ({ geometry: serializeGeometry(simplifyGeometry(source, target)) }))
+    };
+    self.postMessage({ id, payload }, getTransferables(payload));
+  } catch (error) {
+    self.postMessage({ id, error: error.message || 'Unknown simplification error' });
+  }
+});
@@ -1,7 +1,55 @@
 import { defineConfig } from 'vite'
+import { readFileSync, readdirSync, existsSync } from 'node:fs'
+import { resolve } from 'node:path'
+
+// Decoder binaries for compressed glTF, served from our own build so they work offline
+const decoders = {
+  'decoders/draco': {
+    dir: 'node_modules/three/examples/jsm/libs/draco/gltf',
+    files: ['draco_decoder.js', 'draco_wasm_wrapper.js', 'draco_decoder.wasm']
+  },
+  'decoders/basis': {
+    dir: 'node_modules/three/examples/jsm/libs/basis',
+    files: ['basis_transcoder.js', 'basis_transcoder.wasm']
+  }
+}
+
+function threeDecoders() {
+  const lookup = (url) => {
+    for (const [prefix, { dir, files }] of Object.entries(decoders)) {
+      const file = url.startsWith(`/${prefix}/`) && url.substring(prefix.length + 2)
+      if (file && files.includes(file)) {
+        return resolve(dir, file)
+      }
+    }
+    return null
+  }
+
+  return {
+    name: 'three-decoders',
+    configureServer(server) {
+      server.middlewares.use((req, res, next) => {
+        const path = lookup(req.url.split('?')[0])
+        if (!path || !existsSync(path)) return next()
+
+        res.setHeader('Content-Type', path.endsWith('.wasm') ? 'application/wasm' : 'text/javascript')
+        res.end(readFileSync(path))
+      })
+    },
+    generateBundle() {
+      for (const [prefix, { dir, files }] of Object.entries(decoders)) {
+        const available = readdirSync(dir)
+        for (const file of files.filter(name => available.includes(name))) {
+          this.emitFile({ type: 'asset', fileName: `${prefix}/${file}`, source: readFileSync(resolve(dir, file)) })
+        }
+      }
+    }
+  }
+}
 
 export default defineConfig({
   base: './',
+  plugins: [threeDecoders()],
   build: {
     outDir: 'dist',
     assetsDir: 'assets',
@@ -12,13 +60,28 @@ export default defineConfig({
           'three-examples': [
             'three/examples/jsm/loaders/GLTFLoader.js',
             'three/examples/jsm/loaders/STLLoader.js',
+            'three/examples/jsm/loaders/OBJLoader.js',
+            'three/examples/jsm/loaders/MTLLoader.js',
+            'three/examples/jsm/loaders/PLYLoader.js',
+            'three/examples/jsm/loaders/3MFLoader.js',
+            'three/examples/jsm/loaders/FBXLoader.js',
             'three/examples/jsm/loaders/DRACOLoader.js',
-            'three/examples/jsm/controls/OrbitControls.js'
+            'three/examples/jsm/loaders/KTX2Loader.js',
+            'three/examples/jsm/loaders/RGBELoader.js',
+            'three/examples/jsm/loaders/EXRLoader.js',
+            'three/examples/jsm/environments/RoomEnvironment.js',
+            'three/examples/jsm/libs/meshopt_decoder.module.js',
+            'three/examples/jsm/controls/OrbitControls.js',
+            'three/examples/jsm/controls/TransformControls.js'
           ]
         }
       }
     }
   },
+  worker: {
+    // Module workers so the parser worker can share three.js loaders with the app
+    format: 'es'
+  },
   server: {
     host: true,
     port: 5173